@@ -0,0 +1,101 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { STAGES, MIN_JURORS_FOR_DECRYPTION, getCaseStage, getLifecycleAction, formatCountdown } from '../lib/cases';
+import { describeError } from '../lib/errors';
+
+const ACTION_LABELS = {
+  endVoting: 'End Voting',
+  requestDecryption: 'Decryption Request',
+  handleDecryptionTimeout: 'Decryption Timeout',
+  processRefund: 'Juror Refund'
+};
+
+export default function CaseLifecycle({ contract, account, legalCase, onTransaction, onUpdated }) {
+  const [now, setNow] = useState(Date.now() / 1000);
+  const [hasVoted, setHasVoted] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const stage = getCaseStage(legalCase, now);
+
+  useEffect(() => {
+    if (stage !== STAGES.VOTING && stage !== STAGES.DECRYPTING) return;
+
+    const timer = setInterval(() => setNow(Date.now() / 1000), 1000);
+    return () => clearInterval(timer);
+  }, [stage]);
+
+  useEffect(() => {
+    if (!contract || !account || stage !== STAGES.REFUNDABLE) return;
+
+    contract.hasVoted(legalCase.id, account)
+      .then(setHasVoted)
+      .catch((err) => console.error('Failed to check vote status:', err));
+  }, [contract, account, legalCase.id, stage]);
+
+  const action = getLifecycleAction(legalCase, account, { hasVoted }, now);
+
+  const runAction = async () => {
+    setError('');
+    setIsSubmitting(true);
+    try {
+      const args = action.method === 'processRefund'
+        ? [legalCase.id, ethers.ZeroAddress]
+        : [legalCase.id];
+      const tx = await contract[action.method](...args);
+      await onTransaction(ACTION_LABELS[action.method], tx);
+      onUpdated();
+    } catch (err) {
+      console.error(`Failed to ${action.method}:`, err);
+      setError(describeError(err));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="lifecycle-section">
+      {stage === STAGES.VOTING && (
+        <p>🗳️ Voting closes in <strong>{formatCountdown(legalCase.endTime - now)}</strong></p>
+      )}
+      {stage === STAGES.VOTING_EXPIRED && (
+        <p>⏰ The voting period has elapsed; anyone may close it.</p>
+      )}
+      {stage === STAGES.ENDED && (
+        <p>
+          🔒 Voting closed with {legalCase.jurorCount} vote(s).{' '}
+          {legalCase.jurorCount < MIN_JURORS_FOR_DECRYPTION ? 'Too few jurors voted for decryption.' : 'Awaiting the judge\'s decryption request.'}
+        </p>
+      )}
+      {stage === STAGES.DECRYPTING && (
+        <p>🔐 Gateway decryption pending — deadline in <strong>{formatCountdown(legalCase.decryption.deadline - now)}</strong></p>
+      )}
+      {stage === STAGES.TIMED_OUT && (
+        <p>⚠️ The Gateway missed its decryption deadline of {new Date(legalCase.decryption.deadline * 1000).toLocaleString()}.</p>
+      )}
+      {stage === STAGES.REFUNDABLE && (
+        <p>
+          ↩️ Decryption {legalCase.decryption.failed ? 'failed' : 'timed out'}; jurors who voted may claim a refund.
+          {account && !hasVoted && ' You have no vote to refund on this case.'}
+        </p>
+      )}
+      {stage === STAGES.REVEALED && legalCase.results && (
+        <div className="revealed-results">
+          <div><strong>Verdict:</strong> {legalCase.results.verdict ? 'GUILTY' : 'NOT GUILTY'}</div>
+          <div>Guilty: {legalCase.results.guiltyVotes}</div>
+          <div>Not Guilty: {legalCase.results.innocentVotes}</div>
+          <div>Total Jurors: {legalCase.results.totalJurors}</div>
+        </div>
+      )}
+
+      {action && (
+        <div style={{textAlign: 'center'}}>
+          <button className="case-btn" disabled={isSubmitting} onClick={runAction}>
+            {isSubmitting ? 'Submitting...' : action.label}
+          </button>
+        </div>
+      )}
+      {error && <div className="field-error">{error}</div>}
+    </div>
+  );
+}
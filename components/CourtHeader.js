@@ -0,0 +1,22 @@
+import Head from 'next/head';
+
+export default function CourtHeader({ subtitle = 'Jury Decision System • Powered by Blockchain Technology' }) {
+  return (
+    <>
+      <Head>
+        <link rel="icon" href="/favicon.ico" />
+        <link rel="preconnect" href="https://fonts.googleapis.com" />
+        <link rel="preconnect" href="https://fonts.gstatic.com" crossOrigin="true" />
+        <link href="https://fonts.googleapis.com/css2?family=Crimson+Text:ital,wght@0,400;0,600;1,400&family=Playfair+Display:wght@400;500;700&display=swap" rel="stylesheet" />
+      </Head>
+
+      <div className="courthouse-header">
+        <div className="court-seal">
+          <div className="scales">⚖️</div>
+        </div>
+        <h1 className="court-title">United States Digital Court</h1>
+        <p className="court-subtitle">{subtitle}</p>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,18 @@
+import { listNetworks } from '../lib/networks';
+
+// Network dropdown fed by the shared registry. Networks without a DigitalCourt
+// deployment stay selectable (e.g. to deploy to localhost) but are marked.
+export default function NetworkSelector({ selectedNetwork, onSelect }) {
+  return (
+    <label className="network-selector">
+      🌐 Network{' '}
+      <select value={selectedNetwork} onChange={(e) => onSelect(e.target.value)}>
+        {listNetworks().map((network) => (
+          <option key={network.name} value={network.name}>
+            {network.label} ({network.chainId}){network.contractAddress ? '' : ' - not deployed'}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,232 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { checkVoteEligibility, formatCaseNumber } from '../lib/cases';
+import { describeError } from '../lib/errors';
+import { generateSalt, computeCommitment, buildReceipt, signReceipt, downloadReceipt } from '../lib/receipts';
+
+const STEPS = ['Eligibility', 'Encrypt & Preview', 'Submit', 'Receipt'];
+
+const SUBMISSION_LABELS = {
+  signing: 'Waiting for wallet signature...',
+  pending: 'Transaction submitted, waiting for confirmation...',
+  confirmed: 'Vote confirmed on-chain',
+  receipt: 'Sign your vote receipt in the wallet...'
+};
+
+const shortHex = (hex) => (hex.length > 26 ? hex.slice(0, 14) + '…' + hex.slice(-10) : hex);
+
+// Guides a juror through one castPrivateVote: eligibility checklist, encryption
+// and gas preview, submission tracking and the commit-reveal receipt.
+export default function VoteWizard({ contract, account, chainId, fheBackend, caseId, vote, onTransaction, onVoted, onClose }) {
+  const [step, setStep] = useState(0);
+  const [eligibility, setEligibility] = useState(null);
+  const [owner, setOwner] = useState('');
+  const [payload, setPayload] = useState(null);
+  const [gas, setGas] = useState(null);
+  const [submission, setSubmission] = useState(null);
+  const [voteReceipt, setVoteReceipt] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const voteText = vote === 1 ? 'GUILTY' : 'NOT GUILTY';
+
+  useEffect(() => {
+    runChecks();
+    contract.owner().then(setOwner).catch((err) => console.error('Failed to read contract owner:', err));
+  }, []);
+
+  const run = async (action) => {
+    setError('');
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error('Vote wizard step failed:', err);
+      setError(describeError(err));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const runChecks = () => run(async () => {
+    setEligibility(await checkVoteEligibility(contract, caseId, account));
+  });
+
+  // certifyJuror is owner-only and authorizeJuror judge-only, so only offer what will succeed
+  const isOwner = owner && owner.toLowerCase() === account.toLowerCase();
+  const isJudge = eligibility && eligibility.legalCase &&
+    eligibility.legalCase.judge.toLowerCase() === account.toLowerCase();
+
+  const fixes = {
+    certified: isOwner && {
+      label: 'Certify Me',
+      action: async () => onTransaction('Juror Certification', await contract.certifyJuror(account))
+    },
+    authorized: isJudge && {
+      label: 'Authorize Me',
+      action: async () => onTransaction('Juror Authorization', await contract.authorizeJuror(caseId, account))
+    }
+  };
+
+  const applyFix = (fix) => run(async () => {
+    await fix.action();
+    setEligibility(await checkVoteEligibility(contract, caseId, account));
+  });
+
+  const isEligible = eligibility && eligibility.checks.every((check) => check.ok);
+
+  const prepare = () => run(async () => {
+    const contractAddress = await contract.getAddress();
+    const { handles, inputProof } = await fheBackend
+      .createEncryptedInput(contractAddress, account)
+      .add8(vote)
+      .encrypt();
+
+    // Commit to the vote with a fresh random salt (scheme documented in lib/commitments.js)
+    const salt = generateSalt();
+    const commitment = computeCommitment({ chainId, contractAddress, caseId, juror: account, vote, salt });
+    const handle = ethers.hexlify(handles[0]);
+
+    const [gasLimit, feeData] = await Promise.all([
+      contract.castPrivateVote.estimateGas(caseId, handle, commitment),
+      contract.runner.provider.getFeeData()
+    ]);
+    const gasPrice = feeData.maxFeePerGas || feeData.gasPrice;
+
+    setPayload({ contractAddress, handle, inputProof: ethers.hexlify(inputProof), salt, commitment });
+    setGas({ limit: gasLimit, fee: gasPrice ? ethers.formatEther(gasLimit * gasPrice) : null });
+    setStep(1);
+  });
+
+  const submit = () => run(async () => {
+    setStep(2);
+    setSubmission({ status: 'signing' });
+    const tx = await contract.castPrivateVote(caseId, payload.handle, payload.commitment);
+    setSubmission({ status: 'pending', hash: tx.hash });
+
+    const receipt = await onTransaction('FHE Jury Vote', tx);
+    setSubmission({ status: 'confirmed', hash: tx.hash, blockNumber: receipt.blockNumber });
+    onVoted();
+
+    // The salt exists nowhere else, so hand the receipt over even if signing is declined
+    let signed = buildReceipt({
+      chainId,
+      contractAddress: payload.contractAddress,
+      caseId,
+      juror: account,
+      vote,
+      salt: payload.salt,
+      commitment: payload.commitment,
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber
+    });
+    setSubmission({ status: 'receipt', hash: tx.hash, blockNumber: receipt.blockNumber });
+    try {
+      signed = await signReceipt(contract.runner, signed);
+    } catch (signError) {
+      console.warn('Vote receipt left unsigned:', signError);
+    }
+    downloadReceipt(signed);
+    setVoteReceipt(signed);
+    setStep(3);
+  });
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal" role="dialog" aria-modal="true" aria-labelledby="vote-wizard-title">
+        <div className="modal-header">
+          <h3 id="vote-wizard-title">🗳️ Vote {voteText} on Case No. {formatCaseNumber(caseId)}</h3>
+          <button className="modal-close" disabled={isBusy} onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        <ol className="wizard-steps">
+          {STEPS.map((label, index) => (
+            <li key={label} className={index === step ? 'current' : index < step ? 'done' : ''}>{label}</li>
+          ))}
+        </ol>
+
+        {step === 0 && (
+          <>
+            {!eligibility ? (
+              <p>Checking your eligibility...</p>
+            ) : (
+              <ul className="checklist">
+                {eligibility.checks.map((check) => (
+                  <li key={check.id} className={check.ok ? 'ok' : 'failed'}>
+                    <span>{check.ok ? '✅' : '❌'} {check.label}</span>
+                    {check.detail && <span className="field-hint">{check.detail}</span>}
+                    {!check.ok && fixes[check.id] && (
+                      <button className="case-btn" disabled={isBusy} onClick={() => applyFix(fixes[check.id])}>
+                        {fixes[check.id].label}
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {!fheBackend && <p className="field-error">Vote encryption is not available on this network.</p>}
+            <div className="modal-actions">
+              <button className="case-btn" disabled={isBusy} onClick={runChecks}>Re-check</button>
+              <button className="case-btn" disabled={isBusy || !isEligible || !fheBackend} onClick={prepare}>
+                Encrypt Vote
+              </button>
+            </div>
+          </>
+        )}
+
+        {step === 1 && payload && (
+          <>
+            <div className="tx-item">
+              <p><strong>Vote:</strong> {voteText}</p>
+              <p><strong>Encryption:</strong> {fheBackend.label}</p>
+              <div className="tx-hash">Ciphertext handle: {payload.handle}</div>
+              <div className="tx-hash">Input proof ({ethers.dataLength(payload.inputProof)} bytes): {shortHex(payload.inputProof)}</div>
+              <div className="tx-hash">Commitment: {payload.commitment}</div>
+              <p className="field-hint">Only the handle and commitment go on-chain; the salt stays in your receipt.</p>
+            </div>
+            <div className="tx-item">
+              <p><strong>Estimated gas:</strong> {gas.limit.toString()} units</p>
+              {gas.fee && <p><strong>Maximum fee:</strong> {gas.fee} ETH</p>}
+            </div>
+            <div className="modal-actions">
+              <button className="case-btn" disabled={isBusy} onClick={() => setStep(0)}>← Back</button>
+              <button className="case-btn" disabled={isBusy} onClick={submit}>Submit Vote</button>
+            </div>
+          </>
+        )}
+
+        {step === 2 && submission && (
+          <div className="tx-item">
+            <p><strong>{SUBMISSION_LABELS[submission.status]}</strong></p>
+            {submission.hash && <div className="tx-hash">TX: {submission.hash}</div>}
+            {submission.blockNumber && <p>Included in block {submission.blockNumber}</p>}
+            {error && (
+              <div className="modal-actions">
+                <button className="case-btn" onClick={() => setStep(1)}>← Back to Preview</button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {step === 3 && voteReceipt && (
+          <>
+            <div className="tx-item">
+              <p>✅ Your {voteText} vote was recorded in block {voteReceipt.blockNumber}.</p>
+              <div className="tx-hash">TX: {voteReceipt.transactionHash}</div>
+              <p className="field-hint">
+                Your {voteReceipt.signature ? 'signed' : 'unsigned'} vote receipt was downloaded. Keep it private: it
+                reveals your vote, and it proves your commitment on the receipt verifier page.
+              </p>
+            </div>
+            <div className="modal-actions">
+              <button className="case-btn" onClick={() => downloadReceipt(voteReceipt)}>Download Receipt Again</button>
+              <button className="case-btn" onClick={onClose}>Done</button>
+            </div>
+          </>
+        )}
+
+        {error && <p className="field-error">{error}</p>}
+      </div>
+    </div>
+  );
+}
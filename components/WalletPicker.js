@@ -0,0 +1,62 @@
+import { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+
+// Lets the user choose among the wallets useWallet discovered, or pair a mobile
+// wallet through WalletConnect by scanning the pairing URI as a QR code.
+export default function WalletPicker({ picker }) {
+  const [qrCode, setQrCode] = useState('');
+
+  useEffect(() => {
+    if (!picker.pairingUri) {
+      setQrCode('');
+      return;
+    }
+    QRCode.toDataURL(picker.pairingUri, { width: 280, margin: 1 })
+      .then(setQrCode)
+      .catch((error) => console.error('Failed to render pairing QR code:', error));
+  }, [picker.pairingUri]);
+
+  if (!picker.isOpen) return null;
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal" role="dialog" aria-modal="true" aria-labelledby="wallet-picker-title">
+        <div className="modal-header">
+          <h3 id="wallet-picker-title">🔑 Connect a Wallet</h3>
+          <button className="modal-close" onClick={picker.close} aria-label="Close">×</button>
+        </div>
+
+        {picker.pairingUri ? (
+          <div className="wallet-qr">
+            <p>Scan with a WalletConnect-compatible mobile wallet</p>
+            {qrCode && <img src={qrCode} alt="WalletConnect pairing QR code" />}
+            <div className="tx-hash">{picker.pairingUri}</div>
+          </div>
+        ) : (
+          <ul className="wallet-list">
+            {picker.wallets.map((wallet) => (
+              <li key={wallet.id}>
+                <button className="wallet-option" disabled={picker.isConnecting} onClick={() => picker.selectWallet(wallet)}>
+                  {wallet.icon && <img src={wallet.icon} alt="" />}
+                  <span>{wallet.name}</span>
+                </button>
+              </li>
+            ))}
+            {picker.walletConnectEnabled && (
+              <li>
+                <button className="wallet-option" disabled={picker.isConnecting} onClick={picker.connectWalletConnect}>
+                  <span>📱 WalletConnect (QR code)</span>
+                </button>
+              </li>
+            )}
+          </ul>
+        )}
+
+        {picker.wallets.length === 0 && !picker.walletConnectEnabled && (
+          <p>No browser wallet was detected. Install a wallet extension such as MetaMask to take part in the court.</p>
+        )}
+        {picker.error && <p className="field-error">{picker.error}</p>}
+      </div>
+    </div>
+  );
+}
@@ -591,7 +591,20 @@ contract DigitalCourt is Ownable, ReentrancyGuard {
     /**
      * @notice Get comprehensive case information
      * @param caseId Case identifier
-     * @return Complete case details
+     * @return title Case title
+     * @return description Case description
+     * @return evidenceHash IPFS hash of evidence
+     * @return judge Presiding judge address
+     * @return startTime Voting start timestamp
+     * @return endTime Voting end timestamp
+     * @return requiredJurors Number of jurors needed
+     * @return active Whether voting is open
+     * @return revealed Whether results have been decrypted
+     * @return verdict Final verdict (true=guilty)
+     * @return jurorCount Number of jurors who voted
+     * @return decryptionRequested Whether decryption was requested
+     * @return decryptionDeadline Gateway callback deadline
+     * @return refundEnabled Whether refunds are available
      */
     function getCaseInfo(uint256 caseId)
         external
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../DigitalCourt.sol";
+
+/**
+ * @title DigitalCourtHarness - Test-only DigitalCourt
+ * @notice Exposes DigitalCourt modifiers that no production function applies yet
+ * @dev Deployed by test/fixtures.js with { contractName: "DigitalCourtHarness" }; never deploy it
+ */
+contract DigitalCourtHarness is DigitalCourt {
+
+    /**
+     * @notice Passes unless the case is awaiting a Gateway callback past its deadline
+     * @param caseId Case identifier
+     * @return ok Always true when the modifiers pass
+     */
+    function checkNotTimedOut(uint256 caseId)
+        external
+        view
+        validCase(caseId)
+        notTimedOut(caseId)
+        returns (bool)
+    {
+        return true;
+    }
+}
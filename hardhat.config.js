@@ -2,9 +2,10 @@ require("@nomicfoundation/hardhat-ethers");
 require("@nomicfoundation/hardhat-chai-matchers");
 require("@fhevm/hardhat-plugin");
 require("dotenv/config");
+// After dotenv, so registry RPC URLs pick up .env overrides
+const { NETWORKS } = require("./lib/networks");
 
 const SEPOLIA_PRIVATE_KEY = process.env.SEPOLIA_PRIVATE_KEY || "";
-const SEPOLIA_RPC_URL = process.env.SEPOLIA_RPC_URL || "https://sepolia.infura.io/v3/";
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -17,26 +18,32 @@ module.exports = {
       },
       evmVersion: "cancun", // Required for FHEVM
       viaIR: true, // Required for FHEVM compilation
+      // storageLayout lets scripts/export-abi.js publish the slots lib/courtStorage.js reads
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"],
+        },
+      },
     },
   },
   networks: {
     hardhat: {
-      chainId: 31337,
+      chainId: NETWORKS.localhost.chainId,
     },
     localhost: {
-      url: "http://127.0.0.1:8545",
-      chainId: 31337,
+      url: NETWORKS.localhost.rpcUrl,
+      chainId: NETWORKS.localhost.chainId,
     },
     sepolia: {
-      url: SEPOLIA_RPC_URL,
+      url: NETWORKS.sepolia.rpcUrl,
       accounts: SEPOLIA_PRIVATE_KEY ? [SEPOLIA_PRIVATE_KEY] : [],
-      chainId: 11155111,
+      chainId: NETWORKS.sepolia.chainId,
     },
     // Zama Devnet for FHEVM testing
     zama: {
-      url: "https://devnet.zama.ai",
+      url: NETWORKS.zama.rpcUrl,
       accounts: SEPOLIA_PRIVATE_KEY ? [SEPOLIA_PRIVATE_KEY] : [],
-      chainId: 8009,
+      chainId: NETWORKS.zama.chainId,
     },
   },
   paths: {
@@ -0,0 +1,262 @@
+// Server-side data layer behind pages/api: reads DigitalCourt over the network
+// registry's RPC URL and shapes cases, votes and jurors into JSON. Votes are only
+// ever reported as VoteCast events (juror, timestamp, block); the encrypted votes
+// and commitments in storage are never read.
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { CONTRACT_ABI, deploymentBlock } from '../contract';
+import { DEFAULT_NETWORK, getNetwork } from '../networks';
+import { INDEXED_EVENTS, loadStore, storePath } from '../indexStore';
+import { fetchCase, getCaseStage, getCaseStatus } from '../cases';
+
+// getCaseInfo calls made in parallel while loading every case
+const CASE_FETCH_CONCURRENCY = 10;
+
+export class NotFoundError extends Error {}
+
+const courts = new Map();
+
+/**
+ * Read-only contract for a registry network, kept per server process until the
+ * network's deployment record changes (a redeploy or a restarted Hardhat node).
+ */
+export const getCourt = (networkName = DEFAULT_NETWORK) => {
+  const network = getNetwork(networkName);
+  if (!network) throw new NotFoundError(`Unknown network "${networkName}"`);
+  if (!network.contractAddress) throw new NotFoundError(`DigitalCourt is not deployed on ${network.label}`);
+
+  // null on a live chain whose deployment record lacks a block
+  const fromBlock = deploymentBlock(network.chainId);
+  const cached = courts.get(network.name);
+  if (!cached || cached.network.contractAddress !== network.contractAddress || cached.fromBlock !== fromBlock) {
+    const provider = new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true });
+    courts.set(network.name, {
+      network,
+      provider,
+      contract: new ethers.Contract(network.contractAddress, CONTRACT_ABI, provider),
+      fromBlock,
+      snapshot: null,
+      // { mtimeMs, store } of the indexer store last parsed
+      indexStore: null,
+      // Block hash -> timestamp promise, for event timelines
+      blockTimestamps: new Map()
+    });
+  }
+  return courts.get(network.name);
+};
+
+const toCaseJson = (legalCase, now) => ({
+  ...legalCase,
+  stage: getCaseStage(legalCase, now),
+  status: getCaseStatus(legalCase, now).label
+});
+
+/** Caches `create()` under `key`, forgetting it again if the promise rejects. */
+const memo = (cache, key, create) => {
+  if (!cache.has(key)) {
+    cache.set(key, create().catch((error) => {
+      cache.delete(key);
+      throw error;
+    }));
+  }
+  return cache.get(key);
+};
+
+/**
+ * Reads for the latest block. Every read is pinned to that block and its promise
+ * is shared until the next one, so concurrent requests within a block - or one
+ * page loading a case and its timeline - cost a single set of RPC calls.
+ */
+const latestSnapshot = async (court) => {
+  const block = await court.provider.getBlock('latest');
+  if (!court.snapshot || court.snapshot.blockHash !== block.hash) {
+    court.snapshot = { blockNumber: block.number, blockHash: block.hash, timestamp: block.timestamp, reads: new Map() };
+  }
+  return court.snapshot;
+};
+
+const snapshotBlock = ({ blockNumber, blockHash, timestamp }) => ({ blockNumber, blockHash, timestamp });
+
+const readCaseCount = (court, snapshot) =>
+  memo(snapshot.reads, 'caseCount', async () => Number(await court.contract.caseCount({ blockTag: snapshot.blockNumber })));
+
+const readCase = (court, snapshot, caseId) =>
+  memo(snapshot.reads, `case:${caseId}`, async () =>
+    toCaseJson(await fetchCase(court.contract, caseId, { blockTag: snapshot.blockNumber }), snapshot.timestamp));
+
+/** Every case with its lifecycle stage as of the latest block. */
+export const loadCases = async (court) => {
+  const snapshot = await latestSnapshot(court);
+  const cases = await memo(snapshot.reads, 'cases', async () => {
+    const caseCount = await readCaseCount(court, snapshot);
+    const all = [];
+    for (let offset = 0; offset < caseCount; offset += CASE_FETCH_CONCURRENCY) {
+      const ids = Array.from({ length: Math.min(CASE_FETCH_CONCURRENCY, caseCount - offset) }, (_, i) => offset + i);
+      all.push(...await Promise.all(ids.map((caseId) => readCase(court, snapshot, caseId))));
+    }
+    return all;
+  });
+  return { ...snapshotBlock(snapshot), cases };
+};
+
+/** One case as of the latest block, without reading the others. */
+export const loadCase = async (court, caseId) => {
+  const snapshot = await latestSnapshot(court);
+  if (caseId >= await readCaseCount(court, snapshot)) throw new NotFoundError(`Case ${caseId} does not exist`);
+  return { legalCase: await readCase(court, snapshot, caseId), block: snapshotBlock(snapshot) };
+};
+
+// As scripts/indexer.js stores them: numbers, or strings beyond 2^53 such as Gateway request ids
+const toPlain = (value) => {
+  if (typeof value !== 'bigint') return value;
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+};
+
+// eth_getLogs for one event from `fromBlock` to the latest block
+const queryEvents = async (court, name, match, fromBlock) => {
+  const fragment = court.contract.interface.getEvent(name);
+  const filterArgs = fragment.inputs.filter((input) => input.indexed).map((input) => match[input.name] ?? null);
+  const logs = await court.contract.queryFilter(court.contract.filters[name](...filterArgs), fromBlock);
+  return logs.map((log) => {
+    const args = {};
+    fragment.inputs.forEach((input, index) => {
+      const value = log.args[index];
+      args[input.name] = toPlain(value);
+    });
+    return { ...args, blockNumber: log.blockNumber, blockHash: log.blockHash, transactionHash: log.transactionHash, logIndex: log.index };
+  });
+};
+
+// The indexer store, parsed again only once the indexer has rewritten the file
+const readIndexStore = (court) => {
+  const file = storePath(court.network.name);
+  const mtimeMs = fs.existsSync(file) ? fs.statSync(file).mtimeMs : null;
+  if (!court.indexStore || court.indexStore.mtimeMs !== mtimeMs) {
+    court.indexStore = { mtimeMs, store: mtimeMs === null ? null : loadStore(file) };
+  }
+  return court.indexStore.store;
+};
+
+// Events come from scripts/indexer.js up to the last block its store covers, and
+// from eth_getLogs after that, so a lagging or stopped indexer never hides recent
+// events. Without a store for this deployment every event is read from the chain.
+const loadEvents = async (court, name, match) => {
+  const store = readIndexStore(court);
+  if (!store || !INDEXED_EVENTS.includes(name) || store.contractAddress !== ethers.getAddress(court.network.contractAddress)) {
+    if (court.fromBlock === null) {
+      throw new Error(`No deployment block recorded for ${court.network.name}; add blockNumber to its deployments/ record or run the indexer`);
+    }
+    return queryEvents(court, name, match, court.fromBlock);
+  }
+
+  const stored = store.events
+    .filter((event) => event.name === name && Object.entries(match).every(([key, value]) => sameValue(event.args[key], value)))
+    .map(({ args, blockNumber, blockHash, transactionHash, logIndex }) => ({ ...args, blockNumber, blockHash, transactionHash, logIndex }));
+  return stored.concat(await queryEvents(court, name, match, store.lastProcessedBlock + 1));
+};
+
+const sameValue = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+/** When each juror voted on a case - never what they voted. */
+export const loadCaseVotes = async (court, caseId) => {
+  await loadCase(court, caseId);
+  const votes = await loadEvents(court, 'VoteCast', { caseId });
+  return votes.map(({ juror, timestamp, blockNumber, transactionHash }) => ({ juror, timestamp, blockNumber, transactionHash }));
+};
+
+// Events that carry the case id, in the order a case normally emits them
+const CASE_EVENTS = [
+  'CaseCreated',
+  'JurorAuthorized',
+  'VoteCast',
+  'DecryptionRequested',
+  'DecryptionCallbackReceived',
+  'CaseRevealed',
+  'TimeoutTriggered',
+  'RefundIssued'
+];
+
+// Timestamp carried by the event itself: both are block.timestamp when emitted
+const EVENT_TIMESTAMPS = {
+  CaseCreated: (event) => event.startTime,
+  VoteCast: (event) => event.timestamp
+};
+
+/**
+ * Every event emitted for a case, oldest first, with its block timestamp.
+ * CallbackAttempted only carries the Gateway request id, so it is matched
+ * through the case's DecryptionRequested events. Timestamps come from the
+ * events where they carry one and from a per-network block cache otherwise.
+ */
+export const loadCaseTimeline = async (court, caseId) => {
+  await loadCase(court, caseId);
+  const byName = await Promise.all(CASE_EVENTS.map((name) => loadEvents(court, name, { caseId })));
+  const events = CASE_EVENTS.flatMap((name, index) => byName[index].map((event) => ({ name, ...event })));
+
+  const requestIds = events.filter((event) => event.name === 'DecryptionRequested').map((event) => event.requestId);
+  const attempts = await Promise.all(requestIds.map((requestId) => loadEvents(court, 'CallbackAttempted', { requestId })));
+  events.push(...attempts.flat().map((event) => ({ name: 'CallbackAttempted', ...event })));
+
+  for (const event of events) {
+    if (EVENT_TIMESTAMPS[event.name]) {
+      court.blockTimestamps.set(event.blockHash, Promise.resolve(EVENT_TIMESTAMPS[event.name](event)));
+    }
+  }
+  const timestamps = await Promise.all(events.map((event) =>
+    memo(court.blockTimestamps, event.blockHash, async () => (await court.provider.getBlock(event.blockHash)).timestamp)));
+
+  return events
+    .map((event, index) => ({ event, timestamp: timestamps[index] }))
+    .sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.logIndex - b.event.logIndex)
+    .map(({ event: { name, blockNumber, blockHash, transactionHash, logIndex, ...args }, timestamp }) => ({
+      name,
+      args,
+      blockNumber,
+      timestamp,
+      transactionHash,
+      logIndex
+    }));
+};
+
+export const loadJuror = async (court, address) => {
+  const [certified, reputation, authorizations, votes, refunds] = await Promise.all([
+    court.contract.certifiedJurors(address),
+    court.contract.getJurorReputation(address),
+    loadEvents(court, 'JurorAuthorized', { juror: address }),
+    loadEvents(court, 'VoteCast', { juror: address }),
+    loadEvents(court, 'RefundIssued', { juror: address })
+  ]);
+
+  return {
+    address,
+    certified,
+    reputation: Number(reputation),
+    authorizedCases: authorizations.map(({ caseId }) => caseId),
+    votes: votes.map(({ caseId, timestamp, blockNumber, transactionHash }) => ({ caseId, timestamp, blockNumber, transactionHash })),
+    refunds: refunds.map(({ caseId, reason, blockNumber, transactionHash }) => ({ caseId, reason, blockNumber, transactionHash }))
+  };
+};
+
+export const loadStats = async (court) => {
+  const { cases, ...block } = await loadCases(court);
+  const stages = {};
+  for (const legalCase of cases) {
+    stages[legalCase.stage] = (stages[legalCase.stage] || 0) + 1;
+  }
+  const revealed = cases.filter((legalCase) => legalCase.results);
+
+  return {
+    network: court.network.name,
+    chainId: court.network.chainId,
+    contractAddress: court.network.contractAddress,
+    block,
+    totalCases: cases.length,
+    stages,
+    totalVotes: cases.reduce((sum, legalCase) => sum + legalCase.jurorCount, 0),
+    verdicts: {
+      guilty: revealed.filter((legalCase) => legalCase.results.verdict).length,
+      notGuilty: revealed.filter((legalCase) => !legalCase.results.verdict).length
+    },
+    judges: new Set(cases.map((legalCase) => legalCase.judge.toLowerCase())).size
+  };
+};
@@ -0,0 +1,80 @@
+// Shared plumbing for the pages/api routes: GET-only handlers, network selection
+// through ?network=, JSON errors, pagination and ETag revalidation.
+import { createHash } from 'crypto';
+import { ethers } from 'ethers';
+import { NotFoundError, getCourt } from './courtData';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+export class BadRequestError extends Error {}
+
+/**
+ * Sends `body` as JSON with a strong ETag over its serialization; a request whose
+ * If-None-Match already holds that tag gets an empty 304 instead.
+ */
+const sendJson = (req, res, body) => {
+  const json = JSON.stringify(body);
+  const etag = `"${createHash('sha1').update(json).digest('hex')}"`;
+
+  res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', 'public, max-age=0, must-revalidate');
+  if (req.headers['if-none-match'] === etag) {
+    res.status(304).end();
+    return;
+  }
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  // end() rather than send(), which would replace this ETag with Next's own
+  res.status(200).end(json);
+};
+
+/**
+ * Wraps a route handler `(req, court) => body`. The court is the read-only
+ * DigitalCourt on ?network= (default: the registry default).
+ */
+export const courtRoute = (handler) => async (req, res) => {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: `Method ${req.method} not allowed` });
+    return;
+  }
+
+  try {
+    const court = getCourt(req.query.network || undefined);
+    sendJson(req, res, await handler(req, court));
+  } catch (error) {
+    if (error instanceof BadRequestError) {
+      res.status(400).json({ error: error.message });
+    } else if (error instanceof NotFoundError) {
+      res.status(404).json({ error: error.message });
+    } else {
+      console.error(`API ${req.url} failed:`, error);
+      res.status(502).json({ error: 'Failed to read DigitalCourt from the network' });
+    }
+  }
+};
+
+export const parseCaseId = (value) => {
+  if (!/^\d+$/.test(String(value))) throw new BadRequestError(`Invalid case id "${value}"`);
+  return Number(value);
+};
+
+export const parseAddress = (value) => {
+  if (!ethers.isAddress(value)) throw new BadRequestError(`Invalid address "${value}"`);
+  return ethers.getAddress(value);
+};
+
+/** Slices `items` by ?page= (1-based) and ?pageSize= and describes the result. */
+export const paginate = (items, query) => {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+  if (!Number.isInteger(page) || page < 1) throw new BadRequestError('page must be a positive integer');
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new BadRequestError(`pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  return {
+    items: items.slice((page - 1) * pageSize, page * pageSize),
+    pagination: { page, pageSize, total: items.length, totalPages: Math.ceil(items.length / pageSize) }
+  };
+};
@@ -0,0 +1,91 @@
+// Runtime bytecode comparison for the local verification mode of scripts/verify.js.
+// solc appends CBOR-encoded metadata (a hash of the sources and settings, and the
+// compiler version) to the runtime code, followed by its two-byte length. Two
+// builds whose code matches once that trailer is stripped run identical logic.
+const { ethers } = require('ethers');
+
+const LIBRARY_PLACEHOLDER = /__\$[0-9a-fA-F]{34}\$__/g;
+
+const normalize = (hex) => (hex.startsWith('0x') ? hex : `0x${hex}`).toLowerCase();
+
+/** Splits runtime code into its executable part and the metadata trailer with its length (null if absent). */
+function splitMetadata(bytecode) {
+  const code = ethers.getBytes(normalize(bytecode));
+  if (code.length < 2) return { code: ethers.hexlify(code), metadata: null };
+
+  const length = (code[code.length - 2] << 8) | code[code.length - 1];
+  const start = code.length - 2 - length;
+  // The trailer is a CBOR map: major type 5, so its first byte is 0xa0-0xbf
+  if (length === 0 || start < 0 || (code[start] & 0xe0) !== 0xa0) {
+    return { code: ethers.hexlify(code), metadata: null };
+  }
+  return { code: ethers.hexlify(code.subarray(0, start)), metadata: ethers.hexlify(code.subarray(start)) };
+}
+
+/** Byte ranges solc fills in at deploy time: immutables and linked library addresses. */
+function variableRanges(deployedBytecode) {
+  const immutables = Object.values(deployedBytecode.immutableReferences || {}).flat();
+  const libraries = Object.values(deployedBytecode.linkReferences || {}).flatMap((file) => Object.values(file).flat());
+  return [...immutables, ...libraries];
+}
+
+/** Zeroes the given { start, length } byte ranges. */
+function maskRanges(bytecode, ranges) {
+  const code = ethers.getBytes(bytecode);
+  for (const { start, length } of ranges) code.fill(0, start, Math.min(start + length, code.length));
+  return ethers.hexlify(code);
+}
+
+function firstDifference(a, b) {
+  const left = ethers.getBytes(a);
+  const right = ethers.getBytes(b);
+  const shared = Math.min(left.length, right.length);
+  for (let i = 0; i < shared; i++) {
+    if (left[i] !== right[i]) return i;
+  }
+  return left.length === right.length ? null : shared;
+}
+
+/**
+ * Compares on-chain runtime code (eth_getCode) with solc's evm.deployedBytecode output.
+ * status is "full" when everything including the metadata matches, "partial" when
+ * only the metadata differs (e.g. comments or file paths changed), "mismatch" or
+ * "no-code".
+ */
+function compareRuntimeCode(onChainCode, deployedBytecode) {
+  const onChain = normalize(onChainCode);
+  if (onChain === '0x') return { status: 'no-code' };
+
+  const ranges = variableRanges(deployedBytecode);
+  const compiled = normalize(deployedBytecode.object.replace(LIBRARY_PLACEHOLDER, '0'.repeat(40)));
+  const deployedParts = splitMetadata(maskRanges(onChain, ranges));
+  const compiledParts = splitMetadata(maskRanges(compiled, ranges));
+
+  let status = 'mismatch';
+  if (deployedParts.code === compiledParts.code) {
+    status = deployedParts.metadata === compiledParts.metadata ? 'full' : 'partial';
+  }
+
+  return {
+    status,
+    onChain: {
+      size: ethers.dataLength(onChain),
+      codeHash: ethers.keccak256(onChain),
+      metadata: deployedParts.metadata
+    },
+    compiled: {
+      size: ethers.dataLength(compiled),
+      codeHash: ethers.keccak256(compiled),
+      metadata: compiledParts.metadata
+    },
+    maskedRanges: ranges.length,
+    firstDifference: status === 'mismatch' ? firstDifference(deployedParts.code, compiledParts.code) : null
+  };
+}
+
+module.exports = {
+  splitMetadata,
+  variableRanges,
+  maskRanges,
+  compareRuntimeCode
+};
@@ -0,0 +1,176 @@
+// Helpers for reading DigitalCourt cases into plain objects the pages render
+import { DEFAULT_NETWORK } from './networks';
+
+// Mirrors DigitalCourt.MIN_JURORS, checked by requestDecryption
+export const MIN_JURORS_FOR_DECRYPTION = 3;
+
+// Lifecycle stages a case moves through, derived from getCaseInfo/getDecryptionStatus
+export const STAGES = {
+  VOTING: 'voting',
+  VOTING_EXPIRED: 'voting-expired',
+  ENDED: 'ended',
+  DECRYPTING: 'decrypting',
+  TIMED_OUT: 'timed-out',
+  REFUNDABLE: 'refundable',
+  REVEALED: 'revealed'
+};
+
+const STAGE_BADGES = {
+  [STAGES.VOTING]: { label: 'READY FOR JURY', className: 'status-active' },
+  [STAGES.VOTING_EXPIRED]: { label: 'VOTING PERIOD OVER', className: 'status-pending' },
+  [STAGES.ENDED]: { label: 'VOTING ENDED', className: 'status-pending' },
+  [STAGES.DECRYPTING]: { label: 'DECRYPTION REQUESTED', className: 'status-pending' },
+  [STAGES.TIMED_OUT]: { label: 'DECRYPTION TIMED OUT', className: 'status-closed' },
+  [STAGES.REFUNDABLE]: { label: 'REFUNDS AVAILABLE', className: 'status-closed' },
+  [STAGES.REVEALED]: { label: 'VERDICT REACHED', className: 'status-closed' }
+};
+
+/** Reads a case at `blockTag` (default: latest), so a snapshot never mixes blocks. */
+export const fetchCase = async (contract, caseId, { blockTag } = {}) => {
+  const overrides = blockTag === undefined ? {} : { blockTag };
+  const info = await contract.getCaseInfo(caseId, overrides);
+  const legalCase = {
+    id: Number(caseId),
+    title: info.title,
+    description: info.description,
+    evidenceHash: info.evidenceHash,
+    judge: info.judge,
+    startTime: Number(info.startTime),
+    endTime: Number(info.endTime),
+    requiredJurors: Number(info.requiredJurors),
+    active: info.active,
+    revealed: info.revealed,
+    verdict: info.verdict,
+    jurorCount: Number(info.jurorCount),
+    decryption: {
+      requested: info.decryptionRequested,
+      deadline: Number(info.decryptionDeadline),
+      failed: false,
+      refundAvailable: info.refundEnabled
+    },
+    results: null
+  };
+
+  if (legalCase.decryption.requested) {
+    const status = await contract.getDecryptionStatus(caseId, overrides);
+    legalCase.decryption.failed = status.failed;
+  }
+
+  if (legalCase.revealed) {
+    const results = await contract.getRevealedResults(caseId, overrides);
+    legalCase.results = {
+      verdict: results.verdict,
+      guiltyVotes: Number(results.guiltyVotes),
+      innocentVotes: Number(results.innocentVotes),
+      totalJurors: Number(results.totalJurors)
+    };
+  }
+
+  return legalCase;
+};
+
+export const getCaseStage = (legalCase, now = Date.now() / 1000) => {
+  const { decryption } = legalCase;
+
+  if (legalCase.revealed) return STAGES.REVEALED;
+  if (decryption.refundAvailable) return STAGES.REFUNDABLE;
+  if (decryption.requested) {
+    return now > decryption.deadline ? STAGES.TIMED_OUT : STAGES.DECRYPTING;
+  }
+  if (!legalCase.active) return STAGES.ENDED;
+  return now > legalCase.endTime ? STAGES.VOTING_EXPIRED : STAGES.VOTING;
+};
+
+export const getCaseStatus = (legalCase, now) => STAGE_BADGES[getCaseStage(legalCase, now)];
+
+/**
+ * The single lifecycle action the connected account may take on a case, mirroring
+ * the require() checks in endVoting, requestDecryption, handleDecryptionTimeout and
+ * processRefund. Returns null when the account has nothing to do at this stage.
+ */
+export const getLifecycleAction = (legalCase, account, { hasVoted = false } = {}, now = Date.now() / 1000) => {
+  if (!account) return null;
+
+  const isJudge = legalCase.judge.toLowerCase() === account.toLowerCase();
+
+  switch (getCaseStage(legalCase, now)) {
+    case STAGES.VOTING:
+      if (isJudge || legalCase.jurorCount >= legalCase.requiredJurors) {
+        return { method: 'endVoting', label: 'End Voting' };
+      }
+      return null;
+    case STAGES.VOTING_EXPIRED:
+      return { method: 'endVoting', label: 'Close Voting Period' };
+    case STAGES.ENDED:
+      if (isJudge && legalCase.jurorCount >= MIN_JURORS_FOR_DECRYPTION) {
+        return { method: 'requestDecryption', label: 'Request Decryption' };
+      }
+      return null;
+    case STAGES.TIMED_OUT:
+      return { method: 'handleDecryptionTimeout', label: 'Trigger Timeout & Enable Refunds' };
+    case STAGES.REFUNDABLE:
+      if (hasVoted) {
+        return { method: 'processRefund', label: 'Claim Refund' };
+      }
+      return null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Mirrors the checks castPrivateVote runs (validCase, votingActive, onlyAuthorizedJuror
+ * and the double-vote guard) for one account, in the order a juror has to clear them.
+ * Returns the case (null if it does not exist) and a list of { id, label, ok, detail }.
+ */
+export const checkVoteEligibility = async (contract, caseId, account) => {
+  const count = Number(await contract.caseCount());
+  const exists = caseId < count;
+  const checks = [{
+    id: 'exists',
+    label: 'Case exists',
+    ok: exists,
+    detail: exists ? formatCaseNumber(caseId) : `Only ${count} case(s) have been filed`
+  }];
+  if (!exists) return { legalCase: null, checks };
+
+  const [legalCase, certified, authorized, voted] = await Promise.all([
+    fetchCase(contract, caseId),
+    contract.certifiedJurors(account),
+    contract.isAuthorizedJuror(caseId, account),
+    contract.hasVoted(caseId, account)
+  ]);
+
+  // votingActive compares against block.timestamp, which can drift from the local clock
+  const { timestamp: now } = await contract.runner.provider.getBlock('latest');
+  const windowOpen = legalCase.active && now >= legalCase.startTime && now <= legalCase.endTime;
+  const windowDetail = windowOpen
+    ? 'Closes in ' + formatCountdown(legalCase.endTime - now)
+    : !legalCase.active ? 'Voting has been closed'
+    : now < legalCase.startTime ? 'Voting has not started yet'
+    : 'The voting period is over';
+
+  checks.push(
+    { id: 'window', label: 'Voting window open', ok: windowOpen, detail: windowDetail },
+    { id: 'certified', label: 'Certified juror', ok: certified, detail: certified ? account : 'The court administrator must certify you' },
+    { id: 'authorized', label: 'Authorized for this case', ok: authorized, detail: authorized ? '' : 'The case judge must authorize you' },
+    { id: 'notVoted', label: 'Not yet voted', ok: !voted, detail: voted ? 'Each juror votes once per case' : '' }
+  );
+  return { legalCase, checks };
+};
+
+export const formatCountdown = (seconds) => {
+  if (seconds <= 0) return 'expired';
+
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  return (days > 0 ? days + 'd ' : '') + hours + 'h ' + minutes + 'm ' + secs + 's';
+};
+
+export const formatCaseNumber = (caseId) => 'CR-' + String(caseId + 1).padStart(4, '0');
+
+// Shareable link to a case's detail page; the default network is left out of the URL
+export const caseUrl = (caseId, network = DEFAULT_NETWORK) =>
+  `/case/${caseId}` + (network === DEFAULT_NETWORK ? '' : `?network=${encodeURIComponent(network)}`);
@@ -0,0 +1,35 @@
+// Vote commitment scheme (DigitalCourt.vote.v1), shared by the web app's vote
+// receipts and the CLI:
+//
+//   commitment = keccak256(abi.encode(
+//     string  "DigitalCourt.vote.v1",
+//     uint256 chainId,
+//     address court,      // DigitalCourt contract address
+//     uint256 caseId,
+//     address juror,
+//     uint8   vote,       // 0 = not guilty, 1 = guilty
+//     bytes32 salt        // 32 bytes from crypto.getRandomValues
+//   ))
+//
+// CommonJS so Node scripts can require it; crypto.getRandomValues exists in
+// browsers and in Node 19+ alike.
+const { ethers } = require('ethers');
+
+const COMMITMENT_SCHEME = 'DigitalCourt.vote.v1';
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+const generateSalt = () => ethers.hexlify(crypto.getRandomValues(new Uint8Array(32)));
+
+const computeCommitment = ({ chainId, contractAddress, caseId, juror, vote, salt }) => ethers.keccak256(
+  coder.encode(
+    ['string', 'uint256', 'address', 'uint256', 'address', 'uint8', 'bytes32'],
+    [COMMITMENT_SCHEME, chainId, contractAddress, caseId, juror, vote, salt]
+  )
+);
+
+module.exports = {
+  COMMITMENT_SCHEME,
+  generateSalt,
+  computeCommitment
+};
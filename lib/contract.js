@@ -0,0 +1,9 @@
+// DigitalCourt ABI, generated from the Hardhat artifact by `npm run abi:export` -
+// do not edit the JSON by hand. Per-chain deployments come from deployments/.
+import generated from './generated/DigitalCourt.json';
+import { listDeployments, getDeployment, deploymentBlock } from './deployments';
+
+export const CONTRACT_ABI = generated.abi;
+export { getDeployment, deploymentBlock };
+
+export const supportedNetworkNames = () => listDeployments().map((deployment) => deployment.network);
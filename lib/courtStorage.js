@@ -0,0 +1,55 @@
+// Direct reads of DigitalCourt contract storage. JurorVote lives in a mapping
+// inside the LegalCase struct, which the public `cases` getter cannot return, so
+// the receipt verifier and the local gateway read its words from storage.
+// CommonJS so both the browser bundle and the Node scripts can load it.
+const { ethers } = require('ethers');
+
+// Slots and member offsets exported with the ABI from the compiler's storage layout
+// (scripts/export-abi.js), so they follow any change to the contract's layout
+const { storage } = require('./generated/DigitalCourt.json');
+
+const CASES_SLOT = BigInt(storage.slots.cases);
+const LEGAL_CASE_JURORS_OFFSET = BigInt(storage.structs.LegalCase.jurors);
+const LEGAL_CASE_JUROR_VOTES_OFFSET = BigInt(storage.structs.LegalCase.jurorVotes);
+
+// Word offsets of the JurorVote fields read here
+const JUROR_VOTE_OFFSETS = {
+  encryptedVote: BigInt(storage.structs.JurorVote.encryptedVote),
+  commitment: BigInt(storage.structs.JurorVote.commitment)
+};
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+const mappingSlot = (keyType, key, slot) => BigInt(ethers.keccak256(coder.encode([keyType, 'uint256'], [key, slot])));
+
+// Base slot of cases[caseId]
+const locateCase = async (contract, caseId) => ({
+  provider: contract.runner.provider,
+  address: await contract.getAddress(),
+  caseBase: mappingSlot('uint256', caseId, CASES_SLOT)
+});
+
+/** Reads one bytes32 field of cases[caseId].jurorVotes[juror]. */
+const readJurorVoteField = async (contract, caseId, juror, field) => {
+  const { provider, address, caseBase } = await locateCase(contract, caseId);
+  const voteBase = mappingSlot('address', juror, caseBase + LEGAL_CASE_JUROR_VOTES_OFFSET);
+  return provider.getStorage(address, voteBase + JUROR_VOTE_OFFSETS[field]);
+};
+
+/** Reads cases[caseId].jurors, the addresses that voted, in voting order. */
+const readCaseJurors = async (contract, caseId) => {
+  const { provider, address, caseBase } = await locateCase(contract, caseId);
+  const lengthSlot = caseBase + LEGAL_CASE_JURORS_OFFSET;
+  const length = Number(await provider.getStorage(address, lengthSlot));
+  const dataSlot = BigInt(ethers.keccak256(ethers.toBeHex(lengthSlot, 32)));
+
+  const words = await Promise.all(
+    Array.from({ length }, (_, i) => provider.getStorage(address, dataSlot + BigInt(i)))
+  );
+  return words.map((word) => ethers.getAddress(ethers.dataSlice(word, 12)));
+};
+
+module.exports = {
+  readJurorVoteField,
+  readCaseJurors
+};
@@ -0,0 +1,71 @@
+// DigitalCourt deployment records, read from deployments/<network>-deployment.json
+// at runtime so a new deployment needs no regenerated file. CommonJS like
+// lib/networks.js. The browser bundle carries the records webpack found (and picks
+// up new ones in `next dev`); the Next.js server and plain Node read the directory
+// from disk and read it again whenever a record changes, so a redeploy needs no
+// restart.
+
+const DEPLOYMENT_FILE = /-deployment\.json$/;
+
+// Deployments keyed by chainId; records without a chainId or address are skipped
+const toDeployments = (records) => Object.fromEntries(records
+  .filter(({ record }) => record.chainId && record.contractAddress)
+  .map(({ file, record }) => [String(record.chainId), {
+    network: record.network || file.replace('-deployment.json', ''),
+    chainId: Number(record.chainId),
+    contractAddress: record.contractAddress,
+    blockNumber: record.blockNumber ?? null,
+    explorerUrl: record.etherscanUrl || null
+  }]));
+
+let bundled = null;
+let fromDisk = null;
+
+const readDeployments = () => {
+  if (typeof window !== 'undefined') {
+    if (!bundled) {
+      const context = require.context('../deployments', false, /-deployment\.json$/);
+      bundled = toDeployments(context.keys().map((key) => ({ file: key.replace('./', ''), record: context(key) })));
+    }
+    return bundled;
+  }
+
+  const fs = require('fs');
+  const path = require('path');
+  // The Next.js server is bundled too, and runs from the project root
+  const directory = typeof __webpack_require__ === 'function'
+    ? path.join(process.cwd(), 'deployments')
+    : path.join(__dirname, '..', 'deployments');
+  const files = fs.existsSync(directory) ? fs.readdirSync(directory).filter((file) => DEPLOYMENT_FILE.test(file)) : [];
+  const version = files.map((file) => `${file}@${fs.statSync(path.join(directory, file)).mtimeMs}`).join(',');
+  if (!fromDisk || fromDisk.version !== version) {
+    const records = files.map((file) => ({ file, record: JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')) }));
+    fromDisk = { version, deployments: toDeployments(records) };
+  }
+  return fromDisk.deployments;
+};
+
+/** Every recorded deployment. */
+const listDeployments = () => Object.values(readDeployments());
+
+const getDeployment = (chainId) => readDeployments()[String(chainId)] || null;
+
+// The Hardhat chain, where scanning logs from genesis is cheap
+const LOCAL_CHAIN_ID = 31337;
+
+/**
+ * First block to read DigitalCourt logs from on `chainId`: the recorded deployment
+ * block, or genesis on the local chain. Null when a live chain's record lacks one,
+ * since range-limited public RPCs reject eth_getLogs from block 0.
+ */
+const deploymentBlock = (chainId) => {
+  const deployment = getDeployment(chainId);
+  if (deployment && deployment.blockNumber !== null) return deployment.blockNumber;
+  return Number(chainId) === LOCAL_CHAIN_ID ? 0 : null;
+};
+
+module.exports = {
+  listDeployments,
+  getDeployment,
+  deploymentBlock
+};
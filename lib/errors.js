@@ -0,0 +1,89 @@
+// Friendly messages for DigitalCourt reverts and wallet errors, so pages show
+// one consistent explanation instead of matching on error.reason themselves.
+
+// require() reasons in DigitalCourt.sol
+const REVERT_MESSAGES = {
+  'Invalid case ID': 'This case does not exist on the blockchain yet. A judge must file it from the Judge Console first.',
+  'Case not active': 'Voting on this case has been closed.',
+  'Voting not started': 'The voting period for this case has not started yet.',
+  'Voting ended': 'The voting period for this case is over.',
+  'Voting still active': 'Voting is still open; it must be closed first.',
+  'Not authorized juror for this case': 'You are not authorized to vote on this case. The case judge must authorize you first.',
+  'Not certified juror': 'You are not a certified juror. The court administrator must certify you first.',
+  'Already voted': 'You have already cast your vote for this case. Each juror can only vote once per case.',
+  'Invalid encrypted vote': 'The encrypted vote is empty. Please encrypt your vote again.',
+  'Invalid commitment': 'The vote commitment is empty. Please prepare your vote again.',
+  'Only case judge can perform this action': 'Only the judge presiding over this case can do this.',
+  'Juror not certified': 'This juror must be certified by the court administrator first.',
+  'Juror already certified': 'This juror is already certified.',
+  'Juror already authorized': 'This juror is already authorized for the case.',
+  'Invalid juror address': 'A juror address is invalid.',
+  'Empty juror array': 'No juror addresses were provided.',
+  'Batch size too large': 'Too many jurors in one transaction; split the list into smaller batches.',
+  'Max jurors reached': 'This case already has all the jurors it needs.',
+  'Exceeds max jurors': 'Authorizing these jurors would exceed the seats left on the case.',
+  'Invalid juror count': 'The number of required jurors is outside the allowed range.',
+  'Title cannot be empty': 'The case title cannot be empty.',
+  'Title too long': 'The case title is too long (200 bytes maximum).',
+  'Description cannot be empty': 'The case description cannot be empty.',
+  'Description too long': 'The case description is too long (5000 bytes maximum).',
+  'Insufficient jurors': 'Too few jurors voted for the results to be decrypted.',
+  'Decryption already requested': 'Decryption has already been requested for this case.',
+  'Already revealed': 'The verdict for this case has already been revealed.',
+  'Results already revealed': 'The verdict for this case has already been revealed.',
+  'Results not revealed yet': 'The verdict for this case has not been revealed yet.',
+  'No decryption requested': 'Decryption has not been requested for this case.',
+  'Decryption timeout exceeded': 'The Gateway missed its decryption deadline; trigger the timeout to enable refunds.',
+  'Decryption deadline passed': 'The Gateway missed its decryption deadline.',
+  'Deadline not passed': 'The decryption deadline has not passed yet.',
+  'Refund already enabled': 'Refunds are already enabled for this case.',
+  'Refunds not enabled': 'Refunds are not available for this case.',
+  'Juror did not vote': 'There is no vote to refund for this juror, or it was already refunded.',
+  'Invalid request ID': 'The Gateway request is unknown to the court.',
+  'Invalid cleartexts': 'The Gateway returned malformed decryption results.',
+  'Invalid decryption proof': 'The Gateway decryption proof was rejected.'
+};
+
+// Custom errors inherited from OpenZeppelin
+const CUSTOM_ERROR_MESSAGES = {
+  OwnableUnauthorizedAccount: 'Only the court administrator can do this.',
+  ReentrancyGuardReentrantCall: 'The court rejected a re-entrant call.'
+};
+
+// ethers v6 error codes
+const CODE_MESSAGES = {
+  ACTION_REJECTED: 'You rejected the request in your wallet.',
+  INSUFFICIENT_FUNDS: 'Your wallet does not have enough ETH to pay for gas.',
+  NETWORK_ERROR: 'Could not reach the network. Check your connection and wallet.'
+};
+
+// Hardhat nodes report reverts only in the message text
+const HARDHAT_REASON = /reverted with reason string '([^']*)'/;
+const HARDHAT_CUSTOM_ERROR = /reverted with custom error '(\w+)/;
+
+const matchMessage = (error, pattern) => {
+  const match = typeof error.message === 'string' && error.message.match(pattern);
+  return match ? match[1] : null;
+};
+
+/**
+ * Turns anything thrown by ethers, the wallet or the contract into a message
+ * a juror or judge can act on. Unknown reverts fall back to their raw reason.
+ */
+export const describeError = (error) => {
+  if (!error) return 'Unknown error';
+
+  const reason = error.reason || matchMessage(error, HARDHAT_REASON);
+  if (reason && REVERT_MESSAGES[reason]) {
+    return REVERT_MESSAGES[reason];
+  }
+
+  const customError = (error.revert && error.revert.name) || matchMessage(error, HARDHAT_CUSTOM_ERROR);
+  if (customError && CUSTOM_ERROR_MESSAGES[customError]) {
+    return CUSTOM_ERROR_MESSAGES[customError];
+  }
+  if (error.code && CODE_MESSAGES[error.code]) {
+    return CODE_MESSAGES[error.code];
+  }
+  return reason || error.shortMessage || error.message || String(error);
+};
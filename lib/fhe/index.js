@@ -0,0 +1,55 @@
+// Client-side vote encryption. Every backend exposes the fhevmjs input API:
+//
+//   const { handles, inputProof } = await backend
+//     .createEncryptedInput(contractAddress, userAddress)
+//     .add8(vote)
+//     .encrypt();
+//
+// so callers never branch on which one is in use.
+import { MOCK_BACKEND_NAME, createMockEncryptedInput } from './mockBackend';
+import { getNetwork } from '../networks';
+
+export const FHEVMJS_BACKEND_NAME = 'fhevmjs';
+
+const createFhevmjsBackend = async (config, eip1193) => {
+  // fhevmjs ships TFHE as WASM; load it only once a real network needs it
+  const { initFhevm, createInstance } = await import('fhevmjs');
+  await initFhevm();
+  const instance = await createInstance({ ...config, network: eip1193 });
+
+  return {
+    name: FHEVMJS_BACKEND_NAME,
+    label: 'fhevmjs (Zama TFHE)',
+    isPrivate: true,
+    createEncryptedInput: (contractAddress, userAddress) => instance.createEncryptedInput(contractAddress, userAddress)
+  };
+};
+
+const createMockBackend = () => ({
+  name: MOCK_BACKEND_NAME,
+  label: 'Local Mock (MockFHEVM, not private)',
+  isPrivate: false,
+  createEncryptedInput: createMockEncryptedInput
+});
+
+/**
+ * Picks the encryption backend a chain's registry entry names: fhevmjs where Zama's
+ * fhEVM is deployed, the deterministic mock on local chains. Throws for any other
+ * chain rather than silently downgrading votes to the mock encoding. fhevmjs reads
+ * the network public key through `eip1193`, the connected wallet's provider.
+ */
+export const createFheBackend = async (chainId, eip1193) => {
+  const network = getNetwork(chainId);
+  if (!network || !network.fhe) {
+    throw new Error(`No FHE encryption backend configured for chain ${chainId}`);
+  }
+
+  const { backend, gatewayUrl, kmsContractAddress, aclContractAddress } = network.fhe;
+  if (backend === MOCK_BACKEND_NAME) {
+    return createMockBackend();
+  }
+  if (!kmsContractAddress || !aclContractAddress) {
+    throw new Error(`fhEVM KMS and ACL contracts are not configured for ${network.label}`);
+  }
+  return createFhevmjsBackend({ kmsContractAddress, aclContractAddress, gatewayUrl }, eip1193);
+};
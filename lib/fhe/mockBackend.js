@@ -0,0 +1,68 @@
+// Deterministic stand-in for fhevmjs used on local Hardhat chains, where no
+// KMS or Gateway exists. Kept as CommonJS so the Node scripts (gateway,
+// simulations) can rebuild the same handles the browser produced.
+//
+// Encoding, per added value i:
+//   inputProof = word(value_0) || word(value_1) || ...   (32-byte big-endian words)
+//   handle_i   = keccak256(abi.encode(contract, user, i, bits, value_i))
+//
+// MockFHEVM.asEuint32(handle, inputProof) reads the first proof word, so a single
+// add8/add32 input round-trips through the mock contract. Nothing here is private.
+const { ethers } = require('ethers');
+
+const MOCK_BACKEND_NAME = 'mock';
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+const assertFits = (value, bits) => {
+  const big = BigInt(value);
+  if (big < 0n || big >= 1n << BigInt(bits)) {
+    throw new RangeError(`Value ${value} does not fit in euint${bits}`);
+  }
+  return big;
+};
+
+const mockHandleFor = (contractAddress, userAddress, index, bits, value) => ethers.keccak256(
+  coder.encode(
+    ['address', 'address', 'uint8', 'uint8', 'uint256'],
+    [contractAddress, userAddress, index, bits, value]
+  )
+);
+
+const createMockEncryptedInput = (contractAddress, userAddress) => {
+  if (!ethers.isAddress(contractAddress) || !ethers.isAddress(userAddress)) {
+    throw new TypeError('createEncryptedInput requires a contract and a user address');
+  }
+
+  const values = [];
+  const input = {
+    add8(value) {
+      values.push({ bits: 8, value: assertFits(value, 8) });
+      return input;
+    },
+    add32(value) {
+      values.push({ bits: 32, value: assertFits(value, 32) });
+      return input;
+    },
+    async encrypt() {
+      if (values.length === 0) {
+        throw new Error('Encrypted input is empty');
+      }
+
+      const handles = values.map(({ bits, value }, index) => ethers.getBytes(
+        mockHandleFor(contractAddress, userAddress, index, bits, value)
+      ));
+      const inputProof = ethers.getBytes(ethers.concat(
+        values.map(({ value }) => ethers.toBeHex(value, 32))
+      ));
+      return { handles, inputProof };
+    }
+  };
+  return input;
+};
+
+module.exports = {
+  MOCK_BACKEND_NAME,
+  mockHandleFor,
+  createMockEncryptedInput
+};
@@ -0,0 +1,82 @@
+// Decryption helpers for the local Gateway stand-in (scripts/gateway.js). Mock
+// vote handles are deterministic, so "decrypting" a vote means finding the
+// plaintext that reproduces the handle stored in JurorVote.encryptedVote. The
+// callback payload follows the real Gateway's shape: ABI-encoded cleartexts and
+// a proof holding signatures over them. Only meaningful for mock-encrypted votes.
+const { ethers } = require('ethers');
+const { mockHandleFor } = require('./fhe/mockBackend');
+const { readJurorVoteField, readCaseJurors } = require('./courtStorage');
+
+// VoteWizard encrypts each vote as a single add8 input: index 0, 8 bits
+const VOTE_INPUT_INDEX = 0;
+const VOTE_INPUT_BITS = 8;
+const NOT_GUILTY = 0;
+const GUILTY = 1;
+
+const CLEARTEXT_TYPES = ['uint32', 'uint32'];
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/** The vote (0 or 1) whose mock handle matches `handle`, or null if neither does. */
+const decryptMockVote = (contractAddress, juror, handle) => {
+  for (const vote of [NOT_GUILTY, GUILTY]) {
+    if (mockHandleFor(contractAddress, juror, VOTE_INPUT_INDEX, VOTE_INPUT_BITS, vote) === handle) {
+      return vote;
+    }
+  }
+  return null;
+};
+
+/**
+ * Decrypts every vote on a case and counts them. Throws if any stored handle was
+ * not produced by the mock backend, since the tally would not match jurorCount.
+ */
+const tallyMockVotes = async (contract, caseId) => {
+  const contractAddress = await contract.getAddress();
+  const jurors = await readCaseJurors(contract, caseId);
+
+  let guilty = 0;
+  let innocent = 0;
+  for (const juror of jurors) {
+    const handle = await readJurorVoteField(contract, caseId, juror, 'encryptedVote');
+    const vote = decryptMockVote(contractAddress, juror, handle);
+    if (vote === null) {
+      throw new Error(`Vote by ${juror} on case ${caseId} is not a mock-encrypted handle`);
+    }
+    if (vote === GUILTY) guilty++;
+    else innocent++;
+  }
+
+  return { guilty, innocent, jurors: jurors.length };
+};
+
+const encodeCleartexts = (guilty, innocent) => coder.encode(CLEARTEXT_TYPES, [guilty, innocent]);
+
+// What the gateway signs: the cleartexts bound to one request on one court
+const decryptionDigest = ({ chainId, contractAddress, requestId, cleartexts }) => ethers.keccak256(
+  coder.encode(['uint256', 'address', 'uint256', 'bytes'], [chainId, contractAddress, requestId, cleartexts])
+);
+
+/** abi.encode(bytes[] signatures), each an EIP-191 signature over decryptionDigest. */
+const buildDecryptionProof = async (signers, request) => {
+  const digest = ethers.getBytes(decryptionDigest(request));
+  const signatures = await Promise.all(signers.map((signer) => signer.signMessage(digest)));
+  return coder.encode(['bytes[]'], [signatures]);
+};
+
+/** Addresses that signed a decryption proof, for checking a callback off-chain. */
+const recoverProofSigners = ({ proof, ...request }) => {
+  const [signatures] = coder.decode(['bytes[]'], proof);
+  const digest = ethers.getBytes(decryptionDigest(request));
+  return signatures.map((signature) => ethers.verifyMessage(digest, signature));
+};
+
+module.exports = {
+  CLEARTEXT_TYPES,
+  decryptMockVote,
+  tallyMockVotes,
+  encodeCleartexts,
+  decryptionDigest,
+  buildDecryptionProof,
+  recoverProofSigners
+};
@@ -0,0 +1,204 @@
+// JSON event store written by scripts/indexer.js. The decoded contract events are
+// the source of truth; the per-case and per-juror views are updated as events are
+// appended and rebuilt from them after a rollback, so rolling back a reorged block
+// only means dropping its events. CommonJS so both
+// the indexer and the Next.js API routes can load it.
+const fs = require('fs');
+const path = require('path');
+
+const STORE_VERSION = 1;
+const STORE_DIR = path.join(__dirname, '..', 'data');
+
+// DigitalCourt events the indexer stores; readers query others from the chain
+const INDEXED_EVENTS = [
+  'CaseCreated',
+  'JurorAuthorized',
+  'JurorCertified',
+  'VoteCast',
+  'DecryptionRequested',
+  'DecryptionCallbackReceived',
+  'CaseRevealed',
+  'RefundIssued',
+  'TimeoutTriggered'
+];
+
+// Block hashes remembered for reorg detection, newest first when walking back
+const MAX_CHECKPOINTS = 128;
+
+const storePath = (network) => process.env.INDEXER_STORE || path.join(STORE_DIR, `${network}-index.json`);
+
+const createStore = ({ network, chainId, contractAddress, startBlock }) => ({
+  version: STORE_VERSION,
+  network,
+  chainId,
+  contractAddress,
+  startBlock,
+  lastProcessedBlock: startBlock - 1,
+  updatedAt: null,
+  checkpoints: {},
+  events: [],
+  cases: {},
+  jurors: {}
+});
+
+/** Reads a store file; null when it does not exist or was written by another store version. */
+const loadStore = (file) => {
+  if (!fs.existsSync(file)) return null;
+  const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return store.version === STORE_VERSION ? store : null;
+};
+
+// Write to a temp file and rename so a crash never leaves a half-written store
+const saveStore = (file, store) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = `${file}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify({ ...store, updatedAt: new Date().toISOString() }, null, 2));
+  fs.renameSync(temp, file);
+};
+
+const emptyCase = (caseId) => ({
+  id: caseId,
+  title: null,
+  judge: null,
+  startTime: null,
+  endTime: null,
+  requiredJurors: null,
+  createdAt: null,
+  authorizedJurors: [],
+  votes: [],
+  decryption: null,
+  timedOut: false,
+  result: null,
+  refunds: []
+});
+
+const emptyJuror = (address) => ({
+  address,
+  certifiedBy: null,
+  certifiedAt: null,
+  authorizedCases: [],
+  votes: [],
+  refunds: []
+});
+
+const location = (event) => ({ blockNumber: event.blockNumber, transactionHash: event.transactionHash });
+
+/** Folds `events` into the { cases, jurors } views in place, keyed by case id and lowercased address. */
+const applyEvents = ({ cases, jurors }, events) => {
+  const caseFor = (caseId) => (cases[caseId] = cases[caseId] || emptyCase(caseId));
+  const jurorFor = (address) => {
+    const key = address.toLowerCase();
+    return (jurors[key] = jurors[key] || emptyJuror(address));
+  };
+
+  for (const event of events) {
+    const { args } = event;
+    switch (event.name) {
+      case 'CaseCreated':
+        Object.assign(caseFor(args.caseId), {
+          title: args.title,
+          judge: args.judge,
+          startTime: args.startTime,
+          endTime: args.endTime,
+          requiredJurors: args.requiredJurors,
+          createdAt: location(event)
+        });
+        break;
+      case 'JurorCertified':
+        Object.assign(jurorFor(args.juror), { certifiedBy: args.certifier, certifiedAt: location(event) });
+        break;
+      case 'JurorAuthorized':
+        caseFor(args.caseId).authorizedJurors.push(args.juror);
+        jurorFor(args.juror).authorizedCases.push(args.caseId);
+        break;
+      case 'VoteCast':
+        caseFor(args.caseId).votes.push({ juror: args.juror, timestamp: args.timestamp, ...location(event) });
+        jurorFor(args.juror).votes.push({ caseId: args.caseId, timestamp: args.timestamp, ...location(event) });
+        break;
+      case 'DecryptionRequested':
+        caseFor(args.caseId).decryption = {
+          requestId: args.requestId,
+          deadline: args.deadline,
+          requestedAt: location(event),
+          callback: null
+        };
+        break;
+      case 'DecryptionCallbackReceived': {
+        const { decryption } = caseFor(args.caseId);
+        if (decryption) decryption.callback = { success: args.success, ...location(event) };
+        break;
+      }
+      case 'CaseRevealed':
+        caseFor(args.caseId).result = {
+          verdict: args.verdict,
+          guiltyVotes: args.guiltyVotes,
+          innocentVotes: args.innocentVotes,
+          totalJurors: args.totalJurors,
+          revealedAt: location(event)
+        };
+        break;
+      case 'TimeoutTriggered':
+        caseFor(args.caseId).timedOut = true;
+        break;
+      case 'RefundIssued':
+        caseFor(args.caseId).refunds.push({ juror: args.juror, reason: args.reason, ...location(event) });
+        jurorFor(args.juror).refunds.push({ caseId: args.caseId, reason: args.reason, ...location(event) });
+        break;
+      default:
+        break;
+    }
+  }
+};
+
+/** The { cases, jurors } views of a whole event log. */
+const buildViews = (events) => {
+  const views = { cases: {}, jurors: {} };
+  applyEvents(views, events);
+  return views;
+};
+
+const pruneCheckpoints = (checkpoints) => {
+  const kept = Object.keys(checkpoints).map(Number).sort((a, b) => b - a).slice(0, MAX_CHECKPOINTS);
+  return Object.fromEntries(kept.map((blockNumber) => [blockNumber, checkpoints[blockNumber]]));
+};
+
+/**
+ * Appends the events of a processed block range, folds them into the views and
+ * records the hash of its last block, plus the hashes of every block an event
+ * came from, as reorg checkpoints.
+ */
+const appendEvents = (store, events, { blockNumber, blockHash }) => {
+  const checkpoints = { ...store.checkpoints, [blockNumber]: blockHash };
+  for (const event of events) {
+    checkpoints[event.blockNumber] = event.blockHash;
+  }
+
+  for (const event of events) {
+    store.events.push(event);
+  }
+  store.checkpoints = pruneCheckpoints(checkpoints);
+  store.lastProcessedBlock = blockNumber;
+  applyEvents(store, events);
+};
+
+/** Forgets everything after blockNumber so the indexer re-reads it from the canonical chain. */
+const rollbackTo = (store, blockNumber) => {
+  store.events = store.events.filter((event) => event.blockNumber <= blockNumber);
+  store.checkpoints = Object.fromEntries(
+    Object.entries(store.checkpoints).filter(([checkpoint]) => Number(checkpoint) <= blockNumber)
+  );
+  store.lastProcessedBlock = Math.max(blockNumber, store.startBlock - 1);
+  Object.assign(store, buildViews(store.events));
+};
+
+module.exports = {
+  STORE_VERSION,
+  INDEXED_EVENTS,
+  storePath,
+  createStore,
+  loadStore,
+  saveStore,
+  buildViews,
+  appendEvents,
+  rollbackTo
+};
@@ -0,0 +1,138 @@
+import { ethers } from 'ethers';
+import { fetchCase } from './cases';
+
+// DigitalCourt.certifyJurors rejects batches above 100 addresses; stay well
+// below that so a single chunk never approaches the block gas limit.
+export const CERTIFY_CHUNK_SIZE = 50;
+
+/**
+ * Parse a pasted list or CSV of addresses into checksummed, de-duplicated entries.
+ * Tokens that are not addresses (CSV headers, names, typos) are returned in `invalid`.
+ */
+export const parseAddressList = (text) => {
+  const seen = new Set();
+  const addresses = [];
+  const duplicates = [];
+  const invalid = [];
+
+  text
+    .split(/[\s,;]+/)
+    .map((token) => token.trim().replace(/^["']|["']$/g, ''))
+    .filter(Boolean)
+    .forEach((token) => {
+      if (!ethers.isAddress(token)) {
+        invalid.push(token);
+        return;
+      }
+
+      const address = ethers.getAddress(token.toLowerCase());
+      if (seen.has(address)) {
+        duplicates.push(address);
+        return;
+      }
+
+      seen.add(address);
+      addresses.push(address);
+    });
+
+  return { addresses, duplicates, invalid };
+};
+
+export const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Split addresses into those still needing certification and those already certified
+export const partitionCertified = async (contract, addresses) => {
+  const flags = await Promise.all(addresses.map((address) => contract.certifiedJurors(address)));
+  return {
+    pending: addresses.filter((_, i) => !flags[i]),
+    skipped: addresses.filter((_, i) => flags[i])
+  };
+};
+
+// Split addresses into those still needing authorization for a case and those already authorized
+export const partitionAuthorized = async (contract, caseId, addresses) => {
+  const flags = await Promise.all(addresses.map((address) => contract.isAuthorizedJuror(caseId, address)));
+  return {
+    pending: addresses.filter((_, i) => !flags[i]),
+    skipped: addresses.filter((_, i) => flags[i])
+  };
+};
+
+// Mirror the reputation DigitalCourt grants in certifyJuror(s) and decryptionCallback
+export const STARTING_REPUTATION = 100;
+export const REVEAL_REPUTATION_REWARD = 5;
+
+const byBlock = (a, b) => a.blockNumber - b.blockNumber;
+
+/**
+ * Everything the juror dashboard shows for one address, from the view functions and
+ * the events emitted since `fromBlock`: each case the juror was authorized for with
+ * its vote status, the reputation history and refunds issued in the juror's name.
+ * History entries replay the contract's rules, so `reputation` is the value to trust
+ * if the two disagree (e.g. when events before `fromBlock` are not available).
+ */
+export const fetchJurorActivity = async (contract, juror, fromBlock) => {
+  const { filters } = contract;
+  const [certified, reputation, certifications, authorizations, votes, refunds] = await Promise.all([
+    contract.certifiedJurors(juror),
+    contract.getJurorReputation(juror),
+    contract.queryFilter(filters.JurorCertified(juror), fromBlock),
+    contract.queryFilter(filters.JurorAuthorized(null, juror), fromBlock),
+    contract.queryFilter(filters.VoteCast(null, juror), fromBlock),
+    contract.queryFilter(filters.RefundIssued(null, juror), fromBlock)
+  ]);
+
+  const votesByCase = new Map(votes.map((event) => [Number(event.args.caseId), event]));
+  const caseIds = [...new Set(authorizations.map((event) => Number(event.args.caseId)))];
+
+  const cases = await Promise.all(caseIds.map(async (caseId) => {
+    const [legalCase, authorized, voted] = await Promise.all([
+      fetchCase(contract, caseId),
+      contract.isAuthorizedJuror(caseId, juror),
+      contract.hasVoted(caseId, juror)
+    ]);
+    const vote = votesByCase.get(caseId);
+    return {
+      legalCase,
+      // JurorAuthorized logs can outlive a reorg; the mapping is authoritative
+      authorized,
+      // processRefund clears hasVoted, so the VoteCast event is the lasting record
+      voted: voted || Boolean(vote),
+      votedAt: vote ? Number(vote.args.timestamp) : null,
+      voteTransaction: vote ? vote.transactionHash : null
+    };
+  }));
+
+  // Every juror who voted on a case is rewarded when its verdict is revealed
+  const revealedIds = new Set(cases.filter(({ legalCase, voted }) => voted && legalCase.revealed).map(({ legalCase }) => legalCase.id));
+  const reveals = revealedIds.size === 0
+    ? []
+    : (await contract.queryFilter(filters.CaseRevealed(), fromBlock)).filter((event) => revealedIds.has(Number(event.args.caseId)));
+
+  let running = 0;
+  const reputationHistory = [
+    ...certifications.map((event) => ({ kind: 'certified', caseId: null, change: STARTING_REPUTATION, blockNumber: event.blockNumber, transactionHash: event.transactionHash })),
+    ...reveals.map((event) => ({ kind: 'revealed', caseId: Number(event.args.caseId), change: REVEAL_REPUTATION_REWARD, blockNumber: event.blockNumber, transactionHash: event.transactionHash }))
+  ]
+    .sort(byBlock)
+    .map((entry) => {
+      running += entry.change;
+      return { ...entry, reputation: running };
+    });
+
+  return {
+    certified,
+    reputation: Number(reputation),
+    cases: cases.filter(({ authorized }) => authorized).sort((a, b) => b.legalCase.id - a.legalCase.id),
+    reputationHistory,
+    refunds: refunds
+      .map((event) => ({ caseId: Number(event.args.caseId), reason: event.args.reason, blockNumber: event.blockNumber, transactionHash: event.transactionHash }))
+      .sort(byBlock)
+  };
+};
@@ -0,0 +1,87 @@
+// Network registry shared by hardhat.config.js, the scripts and the Next.js app.
+// CommonJS so Node can require it directly. Contract addresses come from the
+// deployment records in deployments/ (see lib/deployments.js).
+//
+// In the browser only NEXT_PUBLIC_* variables exist, so server-side RPC URLs
+// (which may embed API keys) never reach the bundle; the public fallbacks do.
+const { getDeployment } = require('./deployments');
+
+const ETH = { name: 'Ether', symbol: 'ETH', decimals: 18 };
+
+const NETWORKS = {
+  localhost: {
+    name: 'localhost',
+    label: 'Localhost (Hardhat)',
+    chainId: 31337,
+    rpcUrl: process.env.LOCALHOST_RPC_URL || process.env.NEXT_PUBLIC_LOCALHOST_RPC_URL || 'http://127.0.0.1:8545',
+    explorerUrl: null,
+    nativeCurrency: ETH,
+    // MockFHEVM only; the local gateway relayer answers decryption requests on-chain
+    fhe: { backend: 'mock', gatewayUrl: null }
+  },
+  sepolia: {
+    name: 'sepolia',
+    label: 'Sepolia Testnet',
+    chainId: 11155111,
+    rpcUrl: process.env.SEPOLIA_RPC_URL || process.env.NEXT_PUBLIC_SEPOLIA_RPC_URL || 'https://ethereum-sepolia-rpc.publicnode.com',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    nativeCurrency: ETH,
+    // Zama fhEVM coprocessor contracts and Gateway (fhevmjs 0.6)
+    fhe: {
+      backend: 'fhevmjs',
+      gatewayUrl: 'https://gateway.sepolia.zama.ai/',
+      kmsContractAddress: '0x9D6891A6240D6130c54ae243d8005063D05fE14b',
+      aclContractAddress: '0xFee8407e2f5e3Ee68ad77cAE98c434e637f516e5'
+    }
+  },
+  zama: {
+    name: 'zama',
+    label: 'Zama Devnet',
+    chainId: 8009,
+    rpcUrl: 'https://devnet.zama.ai',
+    explorerUrl: 'https://main.explorer.zama.ai',
+    nativeCurrency: { name: 'Zama', symbol: 'ZAMA', decimals: 18 },
+    // The devnet KMS/ACL contracts are not published; fill them in to enable fhevmjs
+    fhe: {
+      backend: 'fhevmjs',
+      gatewayUrl: 'https://gateway.devnet.zama.ai',
+      kmsContractAddress: null,
+      aclContractAddress: null
+    }
+  }
+};
+
+const DEFAULT_NETWORK = process.env.NEXT_PUBLIC_DEFAULT_NETWORK || 'sepolia';
+
+const withDeployment = (network) => {
+  const deployment = getDeployment(network.chainId);
+  return { ...network, contractAddress: deployment ? deployment.contractAddress : null };
+};
+
+/** Every registered network, each with the DigitalCourt address deployed there (or null). */
+const listNetworks = () => Object.values(NETWORKS).map(withDeployment);
+
+/** Looks a network up by registry name or chainId; null if it is not registered. */
+const getNetwork = (nameOrChainId) => {
+  const network = NETWORKS[nameOrChainId] ||
+    Object.values(NETWORKS).find((candidate) => candidate.chainId === Number(nameOrChainId));
+  return network ? withDeployment(network) : null;
+};
+
+const explorerLink = (chainId, kind, value) => {
+  const network = getNetwork(chainId);
+  return network && network.explorerUrl ? `${network.explorerUrl}/${kind}/${value}` : null;
+};
+
+const explorerTxUrl = (chainId, hash) => explorerLink(chainId, 'tx', hash);
+
+const explorerAddressUrl = (chainId, address) => explorerLink(chainId, 'address', address);
+
+module.exports = {
+  NETWORKS,
+  DEFAULT_NETWORK,
+  listNetworks,
+  getNetwork,
+  explorerTxUrl,
+  explorerAddressUrl
+};
@@ -0,0 +1,113 @@
+// Commit-reveal vote receipts. Each vote commits to its value under the
+// DigitalCourt.vote.v1 scheme in lib/commitments.js.
+//
+// The juror keeps the salt in an EIP-712 signed receipt; anyone holding the
+// receipt can recompute the commitment and compare it with JurorVote.commitment.
+import { ethers } from 'ethers';
+import { readJurorVoteField } from './courtStorage';
+import { COMMITMENT_SCHEME, computeCommitment } from './commitments';
+
+export { COMMITMENT_SCHEME, generateSalt, computeCommitment } from './commitments';
+
+const RECEIPT_DOMAIN_NAME = 'DigitalCourt Vote Receipt';
+const RECEIPT_TYPES = {
+  VoteReceipt: [
+    { name: 'caseId', type: 'uint256' },
+    { name: 'juror', type: 'address' },
+    { name: 'vote', type: 'uint8' },
+    { name: 'salt', type: 'bytes32' },
+    { name: 'commitment', type: 'bytes32' },
+    { name: 'transactionHash', type: 'bytes32' },
+    { name: 'blockNumber', type: 'uint256' }
+  ]
+};
+
+const receiptDomain = (receipt) => ({
+  name: RECEIPT_DOMAIN_NAME,
+  version: '1',
+  chainId: receipt.chainId,
+  verifyingContract: receipt.contractAddress
+});
+
+// The fields covered by the EIP-712 signature
+const receiptValue = ({ caseId, juror, vote, salt, commitment, transactionHash, blockNumber }) => (
+  { caseId, juror, vote, salt, commitment, transactionHash, blockNumber }
+);
+
+export const buildReceipt = ({ chainId, contractAddress, caseId, juror, vote, salt, commitment, transactionHash, blockNumber }) => ({
+  scheme: COMMITMENT_SCHEME,
+  chainId: Number(chainId),
+  contractAddress,
+  caseId: Number(caseId),
+  juror,
+  vote,
+  salt,
+  commitment,
+  transactionHash,
+  blockNumber: Number(blockNumber),
+  signature: null
+});
+
+export const signReceipt = async (signer, receipt) => {
+  const signature = await signer.signTypedData(receiptDomain(receipt), RECEIPT_TYPES, receiptValue(receipt));
+  return { ...receipt, signature };
+};
+
+export const downloadReceipt = (receipt) => {
+  const blob = new Blob([JSON.stringify(receipt, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `vote-receipt-case-${receipt.caseId}-${receipt.juror.slice(0, 8)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/** Reads cases[caseId].jurorVotes[juror].commitment, which no getter returns. */
+export const readOnChainCommitment = (contract, caseId, juror) => readJurorVoteField(contract, caseId, juror, 'commitment');
+
+const check = (label, ok, detail) => ({ label, ok, detail });
+
+/**
+ * Runs every receipt check against the connected court and returns them in
+ * order as { label, ok, detail }. The receipt is valid only if all pass.
+ */
+export const verifyReceipt = async (contract, receipt) => {
+  const checks = [];
+  const provider = contract.runner.provider;
+  const courtAddress = await contract.getAddress();
+  const { chainId } = await provider.getNetwork();
+
+  if (receipt.scheme !== COMMITMENT_SCHEME) {
+    return [check('Commitment scheme', false, `Unsupported scheme ${receipt.scheme}`)];
+  }
+
+  const sameCourt = Number(chainId) === receipt.chainId && courtAddress.toLowerCase() === receipt.contractAddress.toLowerCase();
+  checks.push(check('Receipt is for the connected court', sameCourt,
+    sameCourt ? courtAddress : `Receipt names ${receipt.contractAddress} on chain ${receipt.chainId}`));
+  if (!sameCourt) return checks;
+
+  const recomputed = computeCommitment(receipt);
+  checks.push(check('Commitment matches vote and salt', recomputed === receipt.commitment, recomputed));
+
+  if (receipt.signature) {
+    const signer = ethers.verifyTypedData(receiptDomain(receipt), RECEIPT_TYPES, receiptValue(receipt), receipt.signature);
+    checks.push(check('Signed by the juror', signer.toLowerCase() === receipt.juror.toLowerCase(), signer));
+  } else {
+    checks.push(check('Signed by the juror', false, 'Receipt is unsigned'));
+  }
+
+  const txReceipt = await provider.getTransactionReceipt(receipt.transactionHash);
+  const txOk = Boolean(txReceipt) &&
+    txReceipt.status === 1 &&
+    txReceipt.blockNumber === receipt.blockNumber &&
+    txReceipt.from.toLowerCase() === receipt.juror.toLowerCase() &&
+    txReceipt.to.toLowerCase() === courtAddress.toLowerCase();
+  checks.push(check('Vote transaction confirmed in the recorded block', txOk,
+    txReceipt ? `Block ${txReceipt.blockNumber}, status ${txReceipt.status}` : 'Transaction not found'));
+
+  const onChain = await readOnChainCommitment(contract, receipt.caseId, receipt.juror);
+  checks.push(check('On-chain JurorVote.commitment matches', onChain === receipt.commitment, onChain));
+
+  return checks;
+};
@@ -0,0 +1,49 @@
+// SARIF 2.1.0 logs for the analysis scripts, in the shape GitHub code scanning
+// accepts. Findings carry { ruleId, level, message, file, line, column }; file
+// and line are optional for project-wide findings.
+
+/**
+ * @param {string} toolName
+ * @param {{ id: string, name: string, description: string, level: string }[]} rules
+ * @param {object[]} findings
+ */
+const toSarif = (toolName, rules, findings) => ({
+  $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+  version: '2.1.0',
+  runs: [
+    {
+      tool: {
+        driver: {
+          name: toolName,
+          rules: rules.map((rule) => ({
+            id: rule.id,
+            name: rule.name,
+            shortDescription: { text: rule.description },
+            defaultConfiguration: { level: rule.level }
+          }))
+        }
+      },
+      results: findings.map((finding) => ({
+        ruleId: finding.ruleId,
+        level: finding.level,
+        message: { text: finding.message },
+        locations: finding.file
+          ? [
+              {
+                physicalLocation: {
+                  artifactLocation: { uri: finding.file, uriBaseId: '%SRCROOT%' },
+                  ...(finding.line && { region: { startLine: finding.line, startColumn: finding.column || 1 } })
+                }
+              }
+            ]
+          : [],
+        ...(finding.fingerprint && { fingerprints: { [`${toolName}/v1`]: finding.fingerprint } }),
+        ...(finding.baselineState && { baselineState: finding.baselineState }),
+        ...(finding.suppressed && { suppressions: [{ kind: 'inSource' }] }),
+        properties: finding.details || {}
+      }))
+    }
+  ]
+});
+
+module.exports = { toSarif };
@@ -0,0 +1,123 @@
+// Rule engine behind scripts/security-check.js. Each rule in ./rules is a module
+//
+//   { id, severity, description, match(project) }
+//
+// where match returns raw findings { message, key, ctx?, node?, file?, line? }:
+// AST findings pass the compilation context and node, project-level ones a file
+// and optional line. `key` identifies the finding independently of line numbers
+// (e.g. "DigitalCourt.endVoting") so baselines survive unrelated edits.
+//
+// Suppress a finding in source with a comment on the line or the line above:
+//
+//   // security-check-disable-next-line unbounded-loop
+//   for (uint256 i = 0; i < legalCase.jurors.length; i++) {
+const crypto = require('crypto');
+
+const RULES = [
+  require('./rules/unrestrictedCallback'),
+  require('./rules/unboundedLoop'),
+  require('./rules/missingEvent'),
+  require('./rules/txOrigin'),
+  require('./rules/selfdestruct'),
+  require('./rules/delegatecall'),
+  require('./rules/uncheckedCall'),
+  require('./rules/reentrancyGuard'),
+  require('./rules/undeclaredImport'),
+  require('./rules/envPlaceholder'),
+  require('./rules/gitignoreSecrets'),
+  require('./rules/optimizerDisabled'),
+  require('./rules/missingTests')
+];
+
+// Ordered from most to least severe; SARIF has no severity, only a level
+const SEVERITIES = ['high', 'medium', 'low', 'info'];
+const SARIF_LEVELS = { high: 'error', medium: 'warning', low: 'note', info: 'note' };
+
+const SUPPRESSION = /(?:\/\/|#)\s*security-check-disable-(next-line|line)\s+([\w-]+(?:\s*,\s*[\w-]+)*)/;
+
+// Must be fixed or suppressed in source with a justification, never accepted in a baseline
+const UNBASELINED_SEVERITIES = ['high'];
+const canBaseline = (finding) => !UNBASELINED_SEVERITIES.includes(finding.severity);
+
+const atLeast = (severity, threshold) => SEVERITIES.indexOf(severity) <= SEVERITIES.indexOf(threshold);
+
+const fingerprintOf = (ruleId, file, key) =>
+  crypto.createHash('sha256').update(`${ruleId}|${file || ''}|${key}`).digest('hex').slice(0, 16);
+
+/** Rule ids suppressed for `line` (1-based) of a file's lines. */
+function suppressedRules(lines, line) {
+  const ids = new Set();
+  const collect = (text, kind) => {
+    const match = SUPPRESSION.exec(text || '');
+    if (match && match[1] === kind) match[2].split(',').forEach((id) => ids.add(id.trim()));
+  };
+  collect(lines[line - 1], 'line');
+  collect(lines[line - 2], 'next-line');
+  return ids;
+}
+
+/**
+ * Runs every rule against the project and returns normalized findings with
+ * severity, SARIF level, location, fingerprint and suppression applied.
+ * @param {{ readFile: (relativePath: string) => string | null }} project
+ */
+function runRules(project, rules = RULES) {
+  const findings = [];
+  for (const rule of rules) {
+    for (const raw of rule.match(project)) {
+      const location = raw.node ? raw.ctx.locate(raw.node) : { file: raw.file, line: raw.line, column: raw.column };
+      findings.push({
+        ruleId: rule.id,
+        severity: rule.severity,
+        level: SARIF_LEVELS[rule.severity],
+        message: raw.message,
+        ...location,
+        fingerprint: fingerprintOf(rule.id, location.file, raw.key || raw.message)
+      });
+    }
+  }
+
+  const linesByFile = new Map();
+  for (const finding of findings) {
+    if (!finding.file || !finding.line) continue;
+    if (!linesByFile.has(finding.file)) linesByFile.set(finding.file, (project.readFile(finding.file) || '').split(/\r?\n/));
+    finding.suppressed = suppressedRules(linesByFile.get(finding.file), finding.line).has(finding.ruleId);
+  }
+
+  return findings.sort(
+    (a, b) =>
+      SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+      (a.file || '').localeCompare(b.file || '') ||
+      (a.line || 0) - (b.line || 0)
+  );
+}
+
+/**
+ * Marks findings whose fingerprint the baseline lists, SARIF-style: "unchanged" or "new".
+ * High-severity findings stay "new" even if a hand-edited baseline lists them.
+ */
+function applyBaseline(findings, baseline) {
+  const known = new Set((baseline?.findings || []).map((entry) => entry.fingerprint));
+  for (const finding of findings) finding.baselineState = known.has(finding.fingerprint) && canBaseline(finding) ? 'unchanged' : 'new';
+  const current = new Set(findings.map((finding) => finding.fingerprint));
+  // Baseline entries that no longer occur; worth pruning with --update-baseline
+  return (baseline?.findings || []).filter((entry) => !current.has(entry.fingerprint));
+}
+
+const toBaseline = (findings) => ({
+  version: 1,
+  findings: findings
+    .filter((finding) => !finding.suppressed && canBaseline(finding))
+    .map(({ fingerprint, ruleId, severity, file, message }) => ({ fingerprint, ruleId, severity, file: file || null, message }))
+});
+
+module.exports = {
+  RULES,
+  SEVERITIES,
+  SARIF_LEVELS,
+  UNBASELINED_SEVERITIES,
+  atLeast,
+  runRules,
+  applyBaseline,
+  toBaseline
+};
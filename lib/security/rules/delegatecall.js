@@ -0,0 +1,20 @@
+// delegatecall runs foreign code against this contract's storage; outside a
+// reviewed proxy pattern it hands the target full control of the contract.
+const { walk, enclosingFunction, enclosingContract } = require('../../solidityAst');
+
+module.exports = {
+  id: 'delegatecall',
+  severity: 'medium',
+  description: 'Low-level delegatecall, which executes another contract\'s code on this contract\'s storage.',
+  match({ sources }) {
+    const findings = [];
+    for (const { ctx, ast } of sources) {
+      walk(ast, (node, ancestors) => {
+        if (node.nodeType !== 'MemberAccess' || node.memberName !== 'delegatecall') return;
+        const scope = `${enclosingContract(ancestors).name}.${enclosingFunction(ancestors)?.name}`;
+        findings.push({ ctx, node, key: scope, message: `${scope} uses delegatecall; verify the target cannot be chosen by a caller` });
+      });
+    }
+    return findings;
+  }
+};
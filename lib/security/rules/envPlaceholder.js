@@ -0,0 +1,16 @@
+// A .env still holding .env.example placeholders deploys with dummy keys and RPC URLs.
+const PLACEHOLDER = /^\s*([A-Z0-9_]+)\s*=\s*["']?(your_|YOUR_)/;
+
+module.exports = {
+  id: 'env-placeholder',
+  severity: 'low',
+  description: 'Variables in .env that still hold placeholder values from .env.example.',
+  match({ readFile }) {
+    const content = readFile('.env');
+    if (content === null) return [];
+    return content.split(/\r?\n/).flatMap((text, index) => {
+      const match = PLACEHOLDER.exec(text);
+      return match ? [{ file: '.env', line: index + 1, key: match[1], message: `${match[1]} in .env is still a placeholder` }] : [];
+    });
+  }
+};
@@ -0,0 +1,21 @@
+// Secrets that are not ignored end up in a commit sooner or later.
+const REQUIRED = [
+  { pattern: '.env', reason: 'environment files hold private keys and RPC credentials' },
+  { pattern: '*.key', reason: 'key files' },
+  { pattern: '*.pem', reason: 'certificates and keys' }
+];
+
+module.exports = {
+  id: 'gitignore-secrets',
+  severity: 'high',
+  description: '.gitignore entries that keep environment files and key material out of Git.',
+  match({ readFile }) {
+    const content = readFile('.gitignore');
+    const entries = new Set((content || '').split(/\r?\n/).map((line) => line.trim()));
+    return REQUIRED.filter(({ pattern }) => !entries.has(pattern)).map(({ pattern, reason }) => ({
+      file: '.gitignore',
+      key: pattern,
+      message: `.gitignore does not ignore ${pattern} (${reason})`
+    }));
+  }
+};
@@ -0,0 +1,57 @@
+// Off-chain consumers (scripts/indexer.js, the frontend) follow the contract through
+// its events; a state change without one is invisible to them. DigitalCourt's
+// endVoting closing a case is the motivating example.
+const { walk, isStorageReference } = require('../../solidityAst');
+
+/** True when the body writes storage or emits, directly or through internal calls. */
+function inspect(ctx, body, seen = new Set()) {
+  const result = { writes: false, emits: false };
+  walk(body, (node) => {
+    if (node.nodeType === 'EmitStatement') result.emits = true;
+    if (node.nodeType === 'Assignment' && isStorageReference(ctx, node.leftHandSide)) result.writes = true;
+    if (node.nodeType === 'UnaryOperation' && ['++', '--', 'delete'].includes(node.operator) && isStorageReference(ctx, node.subExpression)) {
+      result.writes = true;
+    }
+    if (node.nodeType !== 'FunctionCall') return;
+    if (node.expression.nodeType === 'MemberAccess' && ['push', 'pop'].includes(node.expression.memberName) && isStorageReference(ctx, node.expression.expression)) {
+      result.writes = true;
+    }
+    // Internal calls only; calls on other contracts emit there, not here
+    const callee = ctx.nodes.get(node.expression.referencedDeclaration);
+    if (callee?.nodeType === 'FunctionDefinition' && callee.body && ['internal', 'private'].includes(callee.visibility) && !seen.has(callee.id)) {
+      seen.add(callee.id);
+      const inner = inspect(ctx, callee.body, seen);
+      result.writes ||= inner.writes;
+      result.emits ||= inner.emits;
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  id: 'missing-event',
+  severity: 'low',
+  description: 'Externally callable functions that change storage without emitting an event.',
+  match({ sources }) {
+    const findings = [];
+    for (const { ctx, ast } of sources) {
+      walk(ast, (contract) => {
+        if (contract.nodeType !== 'ContractDefinition' || contract.contractKind !== 'contract') return;
+        for (const fn of contract.nodes) {
+          if (fn.nodeType !== 'FunctionDefinition' || fn.kind !== 'function' || !fn.body) continue;
+          if (!['external', 'public'].includes(fn.visibility) || ['view', 'pure'].includes(fn.stateMutability)) continue;
+
+          const { writes, emits } = inspect(ctx, fn.body);
+          if (!writes || emits) continue;
+          findings.push({
+            ctx,
+            node: fn,
+            key: `${contract.name}.${fn.name}`,
+            message: `${contract.name}.${fn.name} changes storage but emits no event`
+          });
+        }
+      });
+    }
+    return findings;
+  }
+};
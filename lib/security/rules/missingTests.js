@@ -0,0 +1,15 @@
+// Without tests nothing backs the other rules' assumptions about contract behaviour.
+const fs = require('fs');
+const path = require('path');
+
+module.exports = {
+  id: 'missing-tests',
+  severity: 'high',
+  description: 'No test files in the Hardhat tests directory.',
+  match({ config }) {
+    const dir = config.paths.tests;
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter((file) => /\.test\.(js|ts)$/.test(file)) : [];
+    if (files.length > 0) return [];
+    return [{ key: 'tests', message: `No *.test.js or *.test.ts files in ${path.relative(config.paths.root, dir) || '.'}/` }];
+  }
+};
@@ -0,0 +1,15 @@
+// Deployed bytecode should come from the optimized build that was tested and audited.
+module.exports = {
+  id: 'optimizer-disabled',
+  severity: 'low',
+  description: 'Solidity compilers configured without the optimizer.',
+  match({ config }) {
+    return config.solidity.compilers
+      .filter((compiler) => !compiler.settings?.optimizer?.enabled)
+      .map((compiler) => ({
+        file: 'hardhat.config.js',
+        key: compiler.version,
+        message: `solc ${compiler.version} is configured with the optimizer disabled`
+      }));
+  }
+};
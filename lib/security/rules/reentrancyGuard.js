@@ -0,0 +1,42 @@
+// Contracts that call out to other contracts should guard their state-changing
+// entry points against re-entry.
+const { walk } = require('../../solidityAst');
+
+/** True when the contract sends value or calls another contract. */
+function callsExternally(ctx, contract) {
+  let calls = false;
+  walk(contract, (node) => {
+    if (node.nodeType !== 'FunctionCall') return;
+    let { expression } = node;
+    if (expression.nodeType === 'FunctionCallOptions') expression = expression.expression;
+    if (expression.nodeType !== 'MemberAccess') return;
+    const target = expression.expression.typeDescriptions?.typeString || '';
+    if (/^address/.test(target) && ['call', 'send', 'transfer'].includes(expression.memberName)) calls = true;
+    if (target.startsWith('contract ') && !expression.typeDescriptions?.typeString?.includes(' view ')) calls = true;
+  });
+  return calls;
+}
+
+module.exports = {
+  id: 'reentrancy-guard',
+  severity: 'medium',
+  description: 'Contracts that make external calls without inheriting ReentrancyGuard.',
+  match({ sources }) {
+    const findings = [];
+    for (const { ctx, ast } of sources) {
+      walk(ast, (contract) => {
+        if (contract.nodeType !== 'ContractDefinition' || contract.contractKind !== 'contract') return;
+        const bases = contract.linearizedBaseContracts.map((id) => ctx.nodes.get(id)?.name);
+        if (bases.includes('ReentrancyGuard') || bases.includes('ReentrancyGuardTransient')) return;
+        if (!callsExternally(ctx, contract)) return;
+        findings.push({
+          ctx,
+          node: contract,
+          key: contract.name,
+          message: `${contract.name} makes external calls but does not inherit ReentrancyGuard`
+        });
+      });
+    }
+    return findings;
+  }
+};
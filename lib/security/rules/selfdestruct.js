@@ -0,0 +1,21 @@
+// selfdestruct can remove a contract's code (before Cancun) or drain its balance
+// in one call, and is deprecated since solc 0.8.18.
+const { walk, enclosingFunction, enclosingContract } = require('../../solidityAst');
+
+module.exports = {
+  id: 'selfdestruct',
+  severity: 'high',
+  description: 'Calls to selfdestruct.',
+  match({ sources }) {
+    const findings = [];
+    for (const { ctx, ast } of sources) {
+      walk(ast, (node, ancestors) => {
+        if (node.nodeType !== 'FunctionCall' || node.expression.nodeType !== 'Identifier') return;
+        if (!['selfdestruct', 'suicide'].includes(node.expression.name)) return;
+        const scope = `${enclosingContract(ancestors).name}.${enclosingFunction(ancestors)?.name}`;
+        findings.push({ ctx, node, key: scope, message: `${scope} calls selfdestruct` });
+      });
+    }
+    return findings;
+  }
+};
@@ -0,0 +1,21 @@
+// tx.origin is the account that started the transaction, not the immediate caller,
+// so authorizing with it lets any contract the user calls act on their behalf.
+const { walk, enclosingFunction, enclosingContract } = require('../../solidityAst');
+
+module.exports = {
+  id: 'tx-origin',
+  severity: 'high',
+  description: 'Uses of tx.origin, which contracts the user interacts with can exploit for authorization.',
+  match({ sources }) {
+    const findings = [];
+    for (const { ctx, ast } of sources) {
+      walk(ast, (node, ancestors) => {
+        if (node.nodeType !== 'MemberAccess' || node.memberName !== 'origin') return;
+        if (node.expression.nodeType !== 'Identifier' || node.expression.name !== 'tx') return;
+        const scope = `${enclosingContract(ancestors)?.name}.${enclosingFunction(ancestors)?.name}`;
+        findings.push({ ctx, node, key: scope, message: `${scope} reads tx.origin; authorize with msg.sender instead` });
+      });
+    }
+    return findings;
+  }
+};
@@ -0,0 +1,43 @@
+// A loop bounded by the length of a storage array costs gas per element. If the
+// array grows without a cap (DigitalCourt's legalCase.jurors gains one entry per
+// vote) the function can eventually run out of gas and lock the case.
+const { LOOPS, walk, isStorageReference, enclosingFunction, enclosingContract, declarationOf } = require('../../solidityAst');
+
+const isDynamicStorageArray = (node) => /\[\] storage (ref|pointer)$/.test(node.typeDescriptions?.typeString || '');
+
+module.exports = {
+  id: 'unbounded-loop',
+  severity: 'medium',
+  description: 'Loops whose bound is the length of a storage array, with no constant cap in the loop condition.',
+  match({ sources }) {
+    const findings = [];
+    for (const { ctx, ast } of sources) {
+      walk(ast, (loop, ancestors) => {
+        if (!LOOPS.has(loop.nodeType) || !loop.condition) return;
+
+        const arrays = [];
+        let capped = false;
+        walk(loop.condition, (node) => {
+          if (node.nodeType === 'MemberAccess' && node.memberName === 'length') {
+            if (isStorageReference(ctx, node.expression) && isDynamicStorageArray(node.expression)) arrays.push(node.expression);
+          }
+          if (node.nodeType === 'Identifier' && declarationOf(ctx, node)?.constant) capped = true;
+        });
+        if (arrays.length === 0 || capped) return;
+
+        const fn = enclosingFunction(ancestors);
+        const scope = `${enclosingContract(ancestors).name}.${fn ? fn.name : '<global>'}`;
+        for (const array of arrays) {
+          const text = ctx.text(array);
+          findings.push({
+            ctx,
+            node: loop,
+            key: `${scope}:${text}`,
+            message: `${scope} loops over \`${text}\`, a storage array with no upper bound; cap its length or bound the loop by a constant`
+          });
+        }
+      });
+    }
+    return findings;
+  }
+};
@@ -0,0 +1,39 @@
+// Low-level call and send return false instead of reverting. A call used as a bare
+// statement drops that flag, so a failed transfer goes unnoticed.
+const { walk, enclosingFunction, enclosingContract } = require('../../solidityAst');
+
+const LOW_LEVEL = ['call', 'send', 'staticcall', 'delegatecall'];
+
+/** The MemberAccess a call goes through, unwrapping `{value: ...}` options. */
+function calledMember(call) {
+  let { expression } = call;
+  if (expression.nodeType === 'FunctionCallOptions') expression = expression.expression;
+  return expression.nodeType === 'MemberAccess' ? expression : null;
+}
+
+module.exports = {
+  id: 'unchecked-call',
+  severity: 'medium',
+  description: 'Low-level call/send whose success flag is discarded.',
+  match({ sources }) {
+    const findings = [];
+    for (const { ctx, ast } of sources) {
+      walk(ast, (node, ancestors) => {
+        if (node.nodeType !== 'FunctionCall') return;
+        const member = calledMember(node);
+        if (!member || !LOW_LEVEL.includes(member.memberName)) return;
+        if (!/^address/.test(member.expression.typeDescriptions?.typeString || '')) return;
+        if (ancestors[ancestors.length - 1].nodeType !== 'ExpressionStatement') return;
+
+        const scope = `${enclosingContract(ancestors).name}.${enclosingFunction(ancestors)?.name}`;
+        findings.push({
+          ctx,
+          node,
+          key: `${scope}:${ctx.text(node)}`,
+          message: `${scope} ignores the result of \`${member.memberName}\`; check the returned success flag`
+        });
+      });
+    }
+    return findings;
+  }
+};
@@ -0,0 +1,36 @@
+// Contracts that import a package the project does not declare compile only on
+// machines where it happens to be installed.
+const { walk } = require('../../solidityAst');
+
+const packageOf = (importPath) => {
+  const parts = importPath.split('/');
+  return importPath.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+};
+
+module.exports = {
+  id: 'undeclared-import',
+  severity: 'medium',
+  description: 'Solidity imports from npm packages missing from package.json dependencies and devDependencies.',
+  match({ sources, packageJson }) {
+    // Either section may be absent
+    const declared = { ...packageJson?.dependencies, ...packageJson?.devDependencies };
+    const findings = [];
+    for (const { ctx, ast } of sources) {
+      // One finding per package and importing file
+      const reported = new Set();
+      walk(ast, (node) => {
+        if (node.nodeType !== 'ImportDirective' || node.file.startsWith('.')) return;
+        const name = packageOf(node.file);
+        if (declared[name] || reported.has(name)) return;
+        reported.add(name);
+        findings.push({
+          ctx,
+          node,
+          key: name,
+          message: `imports ${node.file}, but package.json declares no ${name} dependency`
+        });
+      });
+    }
+    return findings;
+  }
+};
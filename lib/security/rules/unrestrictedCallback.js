@@ -0,0 +1,59 @@
+// Oracle callbacks must only accept results from the oracle. A callback that checks
+// neither msg.sender nor a signature over its payload lets anyone post results.
+const { walk, enclosingContract } = require('../../solidityAst');
+
+const CALLBACK_NAME = /callback$/i;
+// Calls that verify the payload itself, as the real Gateway's FHE.checkSignatures does
+const SIGNATURE_CHECKS = /^(ecrecover|checkSignatures|verify\w*|isValidSignature\w*)$/;
+
+const isCaller = (ctx, node) => ['msg.sender', '_msgSender()'].includes(ctx.text(node).replace(/\s/g, ''));
+
+/** True when the body compares the caller or verifies a signature, directly or in a callee. */
+function checksCaller(ctx, body, seen = new Set()) {
+  let checked = false;
+  walk(body, (node) => {
+    if (checked) return;
+    if (node.nodeType === 'BinaryOperation' && ['==', '!='].includes(node.operator)) {
+      if (isCaller(ctx, node.leftExpression) || isCaller(ctx, node.rightExpression)) checked = true;
+    }
+    if (node.nodeType === 'FunctionCall') {
+      const callee = node.expression.nodeType === 'MemberAccess' ? node.expression.memberName : node.expression.name;
+      if (SIGNATURE_CHECKS.test(callee || '')) checked = true;
+
+      const definition = ctx.nodes.get(node.expression.referencedDeclaration);
+      if (definition?.nodeType === 'FunctionDefinition' && definition.body && !seen.has(definition.id)) {
+        seen.add(definition.id);
+        if (checksCaller(ctx, definition.body, seen)) checked = true;
+      }
+    }
+  });
+  return checked;
+}
+
+module.exports = {
+  id: 'unrestricted-callback',
+  severity: 'high',
+  description: 'Externally callable *Callback functions that check neither msg.sender nor a signature over the results.',
+  match({ sources }) {
+    const findings = [];
+    for (const { ctx, ast } of sources) {
+      walk(ast, (fn, ancestors) => {
+        if (fn.nodeType !== 'FunctionDefinition' || !CALLBACK_NAME.test(fn.name) || !fn.body) return;
+        if (!['external', 'public'].includes(fn.visibility) || ['view', 'pure'].includes(fn.stateMutability)) return;
+
+        const modifiers = fn.modifiers.map((invocation) => ctx.nodes.get(invocation.modifierName.referencedDeclaration));
+        if (modifiers.some((modifier) => modifier?.body && checksCaller(ctx, modifier.body))) return;
+        if (checksCaller(ctx, fn.body)) return;
+
+        const contract = enclosingContract(ancestors);
+        findings.push({
+          ctx,
+          node: fn,
+          key: `${contract.name}.${fn.name}`,
+          message: `${contract.name}.${fn.name} accepts results from any caller: it checks neither msg.sender nor a signature over its arguments`
+        });
+      });
+    }
+    return findings;
+  }
+};
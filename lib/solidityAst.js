@@ -0,0 +1,119 @@
+// Solidity AST helpers for the analysis scripts (scripts/optimize-gas.js and
+// scripts/security-check.js). ASTs come from Hardhat's build-info, so the scripts
+// see exactly what solc compiled. Node-only: loading needs the Hardhat runtime.
+const path = require('path');
+
+const LOOPS = new Set(['ForStatement', 'WhileStatement', 'DoWhileStatement']);
+
+/** Calls visit(node, ancestors) for every AST node below `node`, parents first. */
+function walk(node, visit, ancestors = []) {
+  if (Array.isArray(node)) {
+    for (const child of node) walk(child, visit, ancestors);
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+  if (node.nodeType) visit(node, ancestors);
+  const below = node.nodeType ? [...ancestors, node] : ancestors;
+  for (const [key, value] of Object.entries(node)) {
+    if (key !== 'typeDescriptions' && value && typeof value === 'object') walk(value, visit, below);
+  }
+}
+
+// One compilation's sources, with helpers to resolve node ids and `src` ranges
+function createContext(buildInfo) {
+  const nodes = new Map();
+  const sources = new Map();
+  // Keyed by solc's source index, the third field of every node's `src`
+  for (const [sourceName, { id, ast }] of Object.entries(buildInfo.output.sources)) {
+    const content = Buffer.from(buildInfo.input.sources[sourceName].content, 'utf8');
+    sources.set(id, { sourceName, ast, content });
+    walk(ast, (node) => nodes.set(node.id, node));
+  }
+
+  const range = (node) => {
+    const [start, length, sourceIndex] = node.src.split(':').map(Number);
+    return { start, length, source: sources.get(sourceIndex) };
+  };
+
+  return {
+    nodes,
+    sources,
+    text(node) {
+      const { start, length, source } = range(node);
+      return source.content.subarray(start, start + length).toString('utf8');
+    },
+    locate(node) {
+      const { start, source } = range(node);
+      const lines = source.content.subarray(0, start).toString('utf8').split('\n');
+      return { file: source.sourceName, line: lines.length, column: lines[lines.length - 1].length + 1 };
+    }
+  };
+}
+
+/**
+ * Compiles, then returns every project source under paths.sources once, with the
+ * context of the compilation it came from: [{ ctx, sourceName, ast, buildInfo }].
+ */
+async function loadProjectSources(hre) {
+  await hre.run('compile', { quiet: true });
+
+  // Old build-infos stay around while any artifact still points at them, and they
+  // hold stale copies of files recompiled since; trust the one a file's own
+  // artifacts point at
+  const owners = new Map();
+  for (const name of await hre.artifacts.getAllFullyQualifiedNames()) {
+    const buildInfo = await hre.artifacts.getBuildInfo(name);
+    if (buildInfo) owners.set(name.slice(0, name.lastIndexOf(':')), buildInfo);
+  }
+
+  const sourcesDir = path.relative(hre.config.paths.root, hre.config.paths.sources).split(path.sep).join('/');
+  const contexts = new Map();
+  const sources = [];
+  for (const [sourceName, buildInfo] of owners) {
+    if (!sourceName.startsWith(`${sourcesDir}/`)) continue;
+    if (!contexts.has(buildInfo.id)) contexts.set(buildInfo.id, createContext(buildInfo));
+    const ctx = contexts.get(buildInfo.id);
+    sources.push({ ctx, sourceName, ast: buildInfo.output.sources[sourceName].ast, buildInfo });
+  }
+  return sources.sort((a, b) => a.sourceName.localeCompare(b.sourceName));
+}
+
+/** The VariableDeclaration an Identifier refers to, if any. */
+function declarationOf(ctx, node) {
+  const declaration = ctx.nodes.get(node.referencedDeclaration);
+  return declaration && declaration.nodeType === 'VariableDeclaration' ? declaration : null;
+}
+
+/** True when the expression resolves to contract storage (state variable or storage pointer). */
+function isStorageReference(ctx, node) {
+  switch (node.nodeType) {
+    case 'Identifier': {
+      const declaration = declarationOf(ctx, node);
+      if (!declaration) return false;
+      return declaration.stateVariable ? declaration.mutability === 'mutable' : declaration.storageLocation === 'storage';
+    }
+    case 'MemberAccess':
+      return isStorageReference(ctx, node.expression);
+    case 'IndexAccess':
+      return isStorageReference(ctx, node.baseExpression);
+    default:
+      return false;
+  }
+}
+
+/** The innermost function or modifier among the ancestors, if any. */
+const enclosingFunction = (ancestors) =>
+  ancestors.findLast((ancestor) => ['FunctionDefinition', 'ModifierDefinition'].includes(ancestor.nodeType)) || null;
+
+const enclosingContract = (ancestors) => ancestors.findLast((ancestor) => ancestor.nodeType === 'ContractDefinition') || null;
+
+module.exports = {
+  LOOPS,
+  walk,
+  createContext,
+  loadProjectSources,
+  declarationOf,
+  isStorageReference,
+  enclosingFunction,
+  enclosingContract
+};
@@ -0,0 +1,50 @@
+// IndexedDB persistence for the transaction history, one list per account and chain.
+// Records are plain objects keyed by transaction hash; amounts are stored as
+// decimal strings so they survive structured cloning and JSON export alike.
+
+const DB_NAME = 'digital-court';
+const DB_VERSION = 1;
+const STORE = 'transactions';
+
+export const TX_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  REPLACED: 'replaced',
+  DROPPED: 'dropped'
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'hash' });
+        store.createIndex('owner', ['account', 'chainId']);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+const asPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const loadTransactions = async (account, chainId) => {
+  const db = await openDb();
+  const index = db.transaction(STORE).objectStore(STORE).index('owner');
+  const records = await asPromise(index.getAll([account.toLowerCase(), Number(chainId)]));
+  return records.sort((a, b) => b.submittedAt - a.submittedAt);
+};
+
+export const saveTransaction = async (record) => {
+  const db = await openDb();
+  const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+  await asPromise(store.put({ ...record, account: record.account.toLowerCase(), chainId: Number(record.chainId) }));
+};
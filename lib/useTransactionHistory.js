@@ -0,0 +1,125 @@
+import { useState, useEffect } from 'react';
+import { TX_STATUS, loadTransactions, saveTransaction } from './txHistory';
+
+const receiptFields = (receipt) => ({
+  blockNumber: receipt.blockNumber,
+  gasUsed: receipt.gasUsed.toString(),
+  fee: receipt.fee.toString()
+});
+
+const decodeMethod = (contract, data) => {
+  try {
+    return contract.interface.parseTransaction({ data }).name;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Works out what happened to a transaction that was still pending when the page
+ * was last open. A mined receipt settles it; otherwise a nonce that has since been
+ * used by another transaction means it was replaced, and a missing transaction
+ * with an unused nonce means the node dropped it.
+ */
+const resolvePending = async (provider, record) => {
+  const receipt = await provider.getTransactionReceipt(record.hash);
+  if (receipt) {
+    return { ...record, ...receiptFields(receipt), status: receipt.status === 1 ? TX_STATUS.CONFIRMED : TX_STATUS.FAILED };
+  }
+
+  if (await provider.getTransaction(record.hash)) {
+    return record;
+  }
+
+  const nextNonce = await provider.getTransactionCount(record.account, 'latest');
+  return { ...record, status: nextNonce > record.nonce ? TX_STATUS.REPLACED : TX_STATUS.DROPPED };
+};
+
+// Transaction history for the connected account on the current chain, persisted in
+// IndexedDB. trackTransaction records a sent transaction and resolves to its receipt.
+export default function useTransactionHistory(contract, account, chainId) {
+  const [transactions, setTransactions] = useState([]);
+
+  useEffect(() => {
+    setTransactions([]);
+    if (!contract || !account || !chainId) return;
+
+    let cancelled = false;
+    restoreHistory(() => cancelled);
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, account, chainId]);
+
+  const store = async (record) => {
+    setTransactions((prev) => [record, ...prev.filter((tx) => tx.hash !== record.hash)]
+      .sort((a, b) => b.submittedAt - a.submittedAt));
+    try {
+      await saveTransaction(record);
+    } catch (error) {
+      console.error('Failed to persist transaction:', error);
+    }
+  };
+
+  const restoreHistory = async (isCancelled) => {
+    try {
+      const history = await loadTransactions(account, chainId);
+      if (isCancelled()) return;
+      setTransactions(history);
+
+      const provider = contract.runner.provider;
+      for (const record of history.filter((tx) => tx.status === TX_STATUS.PENDING)) {
+        const resolved = await resolvePending(provider, record);
+        if (isCancelled()) return;
+
+        if (resolved.status !== TX_STATUS.PENDING) {
+          await store(resolved);
+        } else {
+          // Still in the mempool: settle it whenever it is mined
+          provider.waitForTransaction(record.hash)
+            .then((receipt) => !isCancelled() && store({
+              ...record,
+              ...receiptFields(receipt),
+              status: receipt.status === 1 ? TX_STATUS.CONFIRMED : TX_STATUS.FAILED
+            }))
+            .catch((error) => console.error('Failed to poll transaction:', error));
+        }
+      }
+    } catch (error) {
+      console.error('Failed to load transaction history:', error);
+    }
+  };
+
+  const trackTransaction = async (type, tx) => {
+    const record = {
+      hash: tx.hash,
+      account,
+      chainId,
+      type,
+      method: decodeMethod(contract, tx.data),
+      nonce: tx.nonce,
+      status: TX_STATUS.PENDING,
+      submittedAt: Date.now()
+    };
+    await store(record);
+
+    try {
+      const receipt = await tx.wait();
+      await store({ ...record, ...receiptFields(receipt), status: TX_STATUS.CONFIRMED });
+      return receipt;
+    } catch (error) {
+      if (error.code === 'TRANSACTION_REPLACED') {
+        const replaced = { ...record, status: TX_STATUS.REPLACED, replacedBy: error.replacement.hash };
+        await store(error.receipt ? { ...replaced, ...receiptFields(error.receipt) } : replaced);
+        // A sped-up copy of the same call still did the job
+        if (!error.cancelled) return error.receipt;
+      } else if (error.receipt) {
+        await store({ ...record, ...receiptFields(error.receipt), status: TX_STATUS.FAILED });
+      }
+      // Without a receipt the outcome is unknown; the record stays pending and is re-polled on load
+      throw error;
+    }
+  };
+
+  return { transactions, trackTransaction };
+}
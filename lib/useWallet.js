@@ -0,0 +1,309 @@
+import { useState, useEffect, useRef } from 'react';
+import { ethers } from 'ethers';
+import { CONTRACT_ABI, getDeployment, supportedNetworkNames } from './contract';
+import { describeError } from './errors';
+import { DEFAULT_NETWORK, listNetworks, getNetwork } from './networks';
+import {
+  WALLETCONNECT_ID,
+  WALLETCONNECT_PROJECT_ID,
+  watchInjectedWallets,
+  createWalletConnectProvider,
+  rememberWallet,
+  lastWallet,
+  forgetWallet
+} from './wallets';
+
+const SUPPORTED_CHAIN_IDS = listNetworks().map((network) => network.chainId);
+const SELECTED_NETWORK_KEY = 'digital-court:network';
+
+/**
+ * Asks the wallet to move to a registry network, adding the chain from the
+ * registry's RPC, explorer and currency if the wallet does not know it yet.
+ */
+const switchChain = async (eip1193, network) => {
+  const chainId = ethers.toQuantity(network.chainId);
+  try {
+    await eip1193.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+  } catch (switchError) {
+    if (switchError.code !== 4902) throw switchError;
+    await eip1193.request({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId,
+        chainName: network.label,
+        nativeCurrency: network.nativeCurrency,
+        rpcUrls: [network.rpcUrl],
+        blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined
+      }]
+    });
+  }
+};
+
+// Wallet connection shared by every court page: discovers injected wallets via
+// EIP-6963, pairs WalletConnect wallets, reconnects silently to the last wallet
+// used and exposes a signer-backed contract for the DigitalCourt deployment on
+// the wallet's current chain. `picker` drives the WalletPicker modal and
+// `selectedNetwork`/`switchNetwork` the NetworkSelector.
+//
+// Visitors without a wallet still get `readContract`, backed by the selected
+// network's public RPC, so pages can show cases and verdicts; a wallet is only
+// needed once the user sends a transaction.
+export default function useWallet() {
+  const [wallets, setWallets] = useState([]);
+  const [walletName, setWalletName] = useState('');
+  const [walletProvider, setWalletProvider] = useState(null);
+  const [account, setAccount] = useState('');
+  const [chainId, setChainId] = useState(null);
+  const [contract, setContract] = useState(null);
+  const [deployment, setDeployment] = useState(null);
+  const [networkError, setNetworkError] = useState('');
+  const [isPickerOpen, setIsPickerOpen] = useState(false);
+  const [pairingUri, setPairingUri] = useState('');
+  const [connectError, setConnectError] = useState('');
+  const [isConnecting, setIsConnecting] = useState(false);
+  const [selectedNetwork, setSelectedNetwork] = useState(DEFAULT_NETWORK);
+  const [rpcContract, setRpcContract] = useState(null);
+
+  // The attached wallet and the function removing its event listeners
+  const session = useRef(null);
+  const restored = useRef(false);
+
+  useEffect(() => watchInjectedWallets(setWallets), []);
+
+  useEffect(() => {
+    const saved = localStorage.getItem(SELECTED_NETWORK_KEY);
+    if (saved && getNetwork(saved)) setSelectedNetwork(saved);
+  }, []);
+
+  useEffect(() => () => detach(), []);
+
+  // Reconnect without prompting once the last wallet used has announced itself
+  useEffect(() => {
+    if (restored.current) return;
+
+    const last = lastWallet();
+    if (!last) {
+      restored.current = true;
+    } else if (last === WALLETCONNECT_ID) {
+      restored.current = true;
+      restoreWalletConnect();
+    } else {
+      const wallet = wallets.find((candidate) => candidate.id === last);
+      if (wallet) {
+        restored.current = true;
+        attach(wallet, false).catch((error) => console.error('Failed to reconnect wallet:', error));
+      }
+    }
+  }, [wallets]);
+
+  // Read-only contract for the selected network, used while no wallet contract exists
+  useEffect(() => {
+    const network = getNetwork(selectedNetwork);
+    if (!network || !network.contractAddress) {
+      setRpcContract(null);
+      return;
+    }
+
+    const provider = new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true });
+    setRpcContract(new ethers.Contract(network.contractAddress, CONTRACT_ABI, provider));
+    return () => provider.destroy();
+  }, [selectedNetwork]);
+
+  const reset = () => {
+    setWalletName('');
+    setWalletProvider(null);
+    setAccount('');
+    setChainId(null);
+    setContract(null);
+    setDeployment(null);
+    setNetworkError('');
+  };
+
+  const detach = () => {
+    if (session.current) {
+      session.current.removeListeners();
+      session.current = null;
+    }
+  };
+
+  // Rebuilds signer and contract from the wallet's current account and chain
+  const sync = async (eip1193) => {
+    const provider = new ethers.BrowserProvider(eip1193);
+    const signer = await provider.getSigner();
+    const address = await signer.getAddress();
+
+    setAccount(address);
+
+    // Follow the wallet when it moves to another registry network
+    const { chainId: currentChainId } = await provider.getNetwork();
+    setChainId(Number(currentChainId));
+    const registered = getNetwork(currentChainId);
+    if (registered) setSelectedNetwork(registered.name);
+
+    // Refuse to talk to a chain we have no deployment record for
+    const chainDeployment = getDeployment(currentChainId);
+    if (!chainDeployment) {
+      setDeployment(null);
+      setContract(null);
+      const networkName = registered ? registered.label : `chain ${currentChainId}`;
+      setNetworkError(`No DigitalCourt deployment on ${networkName}. Supported networks: ${supportedNetworkNames().join(', ')}`);
+      return;
+    }
+
+    setNetworkError('');
+    setDeployment(chainDeployment);
+    setContract(new ethers.Contract(chainDeployment.contractAddress, CONTRACT_ABI, signer));
+  };
+
+  /**
+   * Makes `wallet` the active wallet. With requestAccess the wallet prompts the
+   * user; without it, the wallet is only attached if the site is already
+   * authorized. Resolves to false when no account is available.
+   */
+  const attach = async (wallet, requestAccess) => {
+    const { provider: eip1193 } = wallet;
+    const accounts = await eip1193.request({ method: requestAccess ? 'eth_requestAccounts' : 'eth_accounts' });
+    if (accounts.length === 0) return false;
+
+    detach();
+
+    const onAccountsChanged = (next) => {
+      if (next.length === 0) {
+        reset();
+      } else {
+        sync(eip1193).catch((error) => console.error('Failed to switch account:', error));
+      }
+    };
+    const onChainChanged = () => {
+      sync(eip1193).catch((error) => console.error('Failed to switch network:', error));
+    };
+    const onDisconnect = () => {
+      // A WalletConnect disconnect ends the pairing; an injected one is transient
+      if (wallet.id === WALLETCONNECT_ID) {
+        forgetWallet();
+        detach();
+      }
+      reset();
+    };
+
+    eip1193.on('accountsChanged', onAccountsChanged);
+    eip1193.on('chainChanged', onChainChanged);
+    eip1193.on('disconnect', onDisconnect);
+    session.current = {
+      wallet,
+      removeListeners: () => {
+        eip1193.removeListener('accountsChanged', onAccountsChanged);
+        eip1193.removeListener('chainChanged', onChainChanged);
+        eip1193.removeListener('disconnect', onDisconnect);
+      }
+    };
+
+    rememberWallet(wallet.id);
+    setWalletName(wallet.name);
+    setWalletProvider(eip1193);
+
+    // Declining the switch still connects; sync() reports an unsupported chain
+    if (requestAccess) {
+      await switchChain(eip1193, getNetwork(selectedNetwork))
+        .catch((error) => console.error('Failed to switch network:', error));
+    }
+    await sync(eip1193);
+    return true;
+  };
+
+  const restoreWalletConnect = async () => {
+    if (!WALLETCONNECT_PROJECT_ID) return;
+    try {
+      const provider = await createWalletConnectProvider(SUPPORTED_CHAIN_IDS);
+      if (provider.session) {
+        await attach({ id: WALLETCONNECT_ID, name: 'WalletConnect', provider }, false);
+      }
+    } catch (error) {
+      console.error('Failed to restore WalletConnect session:', error);
+    }
+  };
+
+  const connectWith = async (connect) => {
+    setConnectError('');
+    setIsConnecting(true);
+    try {
+      await connect();
+      setIsPickerOpen(false);
+    } catch (error) {
+      console.error('Failed to connect wallet:', error);
+      setConnectError(describeError(error));
+    } finally {
+      setPairingUri('');
+      setIsConnecting(false);
+    }
+  };
+
+  const selectWallet = (wallet) => connectWith(() => attach(wallet, true));
+
+  const connectWalletConnect = () => connectWith(async () => {
+    const provider = await createWalletConnectProvider(SUPPORTED_CHAIN_IDS);
+    provider.on('display_uri', setPairingUri);
+    await provider.connect();
+    await attach({ id: WALLETCONNECT_ID, name: 'WalletConnect', provider }, true);
+  });
+
+  const connectWallet = () => {
+    setConnectError('');
+    setIsPickerOpen(true);
+  };
+
+  const disconnectWallet = async () => {
+    const current = session.current;
+    detach();
+    forgetWallet();
+    reset();
+    if (current && current.wallet.id === WALLETCONNECT_ID) {
+      await current.wallet.provider.disconnect().catch((error) => console.error('Failed to end WalletConnect session:', error));
+    }
+  };
+
+  // Remembers the choice and, with a wallet attached, asks it to switch chains;
+  // sync() then follows the wallet's chainChanged event
+  const switchNetwork = async (name) => {
+    setSelectedNetwork(name);
+    localStorage.setItem(SELECTED_NETWORK_KEY, name);
+    if (!session.current) return;
+    try {
+      await switchChain(session.current.wallet.provider, getNetwork(name));
+    } catch (error) {
+      console.error('Failed to switch network:', error);
+      setNetworkError(describeError(error));
+    }
+  };
+
+  const picker = {
+    isOpen: isPickerOpen,
+    wallets,
+    walletConnectEnabled: Boolean(WALLETCONNECT_PROJECT_ID),
+    pairingUri,
+    error: connectError,
+    isConnecting,
+    selectWallet,
+    connectWalletConnect,
+    close: () => setIsPickerOpen(false)
+  };
+
+  const selected = getNetwork(selectedNetwork);
+
+  return {
+    account,
+    chainId,
+    contract,
+    deployment,
+    readContract: contract || rpcContract,
+    readDeployment: deployment || (selected && getDeployment(selected.chainId)),
+    networkError,
+    walletName,
+    walletProvider,
+    connectWallet,
+    disconnectWallet,
+    selectedNetwork,
+    switchNetwork,
+    picker
+  };
+}
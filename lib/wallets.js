@@ -0,0 +1,69 @@
+// Wallet connectors. Browser extensions announce themselves through EIP-6963 and
+// WalletConnect pairs a mobile wallet over a QR code; both hand back an EIP-1193
+// provider, so useWallet treats every wallet the same way.
+
+export const WALLETCONNECT_ID = 'walletconnect';
+export const WALLETCONNECT_PROJECT_ID = process.env.NEXT_PUBLIC_WALLETCONNECT_PROJECT_ID || '';
+
+const LEGACY_INJECTED_ID = 'injected';
+const LAST_WALLET_KEY = 'digital-court:last-wallet';
+
+// How long to wait for EIP-6963 announcements before falling back to window.ethereum
+const ANNOUNCE_TIMEOUT_MS = 500;
+
+/**
+ * Collects injected wallets as they announce themselves and reports the full list
+ * to onChange each time it grows. Wallets are keyed by their reverse-DNS id, which
+ * stays stable across page loads. Returns a function that stops listening.
+ */
+export const watchInjectedWallets = (onChange) => {
+  const wallets = new Map();
+
+  const onAnnounce = (event) => {
+    const { info, provider } = event.detail;
+    wallets.set(info.rdns, { id: info.rdns, name: info.name, icon: info.icon, provider });
+    onChange([...wallets.values()]);
+  };
+
+  window.addEventListener('eip6963:announceProvider', onAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+
+  // Wallets predating EIP-6963 only inject window.ethereum
+  const fallback = setTimeout(() => {
+    if (wallets.size === 0 && typeof window.ethereum !== 'undefined') {
+      wallets.set(LEGACY_INJECTED_ID, { id: LEGACY_INJECTED_ID, name: 'Browser Wallet', icon: null, provider: window.ethereum });
+      onChange([...wallets.values()]);
+    }
+  }, ANNOUNCE_TIMEOUT_MS);
+
+  return () => {
+    clearTimeout(fallback);
+    window.removeEventListener('eip6963:announceProvider', onAnnounce);
+  };
+};
+
+/**
+ * Creates a WalletConnect provider for the given chains. Pairing starts with
+ * provider.connect(), which emits `display_uri` with the URI to show as a QR code;
+ * a provider restored from a previous session already has `session` set.
+ */
+export const createWalletConnectProvider = async (chainIds) => {
+  const { EthereumProvider } = await import('@walletconnect/ethereum-provider');
+  return EthereumProvider.init({
+    projectId: WALLETCONNECT_PROJECT_ID,
+    optionalChains: chainIds,
+    showQrModal: false,
+    metadata: {
+      name: 'United States Digital Court',
+      description: 'Blockchain-powered jury decision system with FHE private voting',
+      url: window.location.origin,
+      icons: []
+    }
+  });
+};
+
+export const rememberWallet = (walletId) => localStorage.setItem(LAST_WALLET_KEY, walletId);
+
+export const lastWallet = () => localStorage.getItem(LAST_WALLET_KEY);
+
+export const forgetWallet = () => localStorage.removeItem(LAST_WALLET_KEY);
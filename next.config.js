@@ -11,9 +11,17 @@ const nextConfig = {
     // Handle .wasm files
     config.module.rules.push({
       test: /\.wasm$/,
+      exclude: /node_modules[\\/]fhevmjs/,
       type: 'webassembly/async',
     });
 
+    // fhevmjs fetches its TFHE/KMS binaries itself via new URL(..., import.meta.url)
+    config.module.rules.push({
+      test: /\.wasm$/,
+      include: /node_modules[\\/]fhevmjs/,
+      type: 'asset/resource',
+    });
+
     // Fallback for Node.js modules in browser
     if (!isServer) {
       config.resolve.fallback = {
@@ -0,0 +1,258 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import CourtHeader from '../components/CourtHeader';
+import WalletPicker from '../components/WalletPicker';
+import NetworkSelector from '../components/NetworkSelector';
+import useWallet from '../lib/useWallet';
+import useTransactionHistory from '../lib/useTransactionHistory';
+import { fetchCase } from '../lib/cases';
+import { describeError } from '../lib/errors';
+import {
+  CERTIFY_CHUNK_SIZE,
+  parseAddressList,
+  chunk,
+  partitionCertified,
+  partitionAuthorized
+} from '../lib/jurors';
+
+const STATUS_COLORS = {
+  queued: '#d1d1cc',
+  pending: '#f59e0b',
+  confirmed: '#22c55e',
+  failed: '#ef4444'
+};
+
+function BatchProgress({ plan, batches }) {
+  if (!plan) return null;
+
+  return (
+    <div className="tx-list" style={{marginTop: '25px'}}>
+      <p><strong>{plan.pending.length}</strong> address(es) to submit in <strong>{batches.length}</strong> transaction(s)</p>
+      {plan.skipped.length > 0 && <p>Skipped {plan.skipped.length} already processed: {plan.skipped.join(', ')}</p>}
+      {plan.blocked && plan.blocked.length > 0 && <p style={{color: '#ef4444'}}>Not certified, cannot authorize: {plan.blocked.join(', ')}</p>}
+      {plan.duplicates.length > 0 && <p>Removed {plan.duplicates.length} duplicate(s)</p>}
+      {plan.invalid.length > 0 && <p style={{color: '#ef4444'}}>Ignored {plan.invalid.length} invalid entr(ies): {plan.invalid.join(', ')}</p>}
+
+      {batches.map((batch, index) => (
+        <div key={index} className="tx-item">
+          <div style={{display: 'flex', justifyContent: 'space-between'}}>
+            <strong style={{color: '#d4af37'}}>Chunk {index + 1} / {batches.length} ({batch.addresses.length} addresses)</strong>
+            <span style={{color: STATUS_COLORS[batch.status], fontWeight: 'bold'}}>{batch.status.toUpperCase()}</span>
+          </div>
+          {batch.hash && <div className="tx-hash">TX: {batch.hash}</div>}
+          {batch.error && <div className="field-error">{batch.error}</div>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function JurorAdministration() {
+  const { account, chainId, contract, networkError, connectWallet, selectedNetwork, switchNetwork, picker } = useWallet();
+  const { trackTransaction } = useTransactionHistory(contract, account, chainId);
+  const [owner, setOwner] = useState('');
+
+  const [certifyInput, setCertifyInput] = useState('');
+  const [certifyPlan, setCertifyPlan] = useState(null);
+  const [certifyBatches, setCertifyBatches] = useState([]);
+
+  const [authorizeCaseId, setAuthorizeCaseId] = useState('');
+  const [authorizeInput, setAuthorizeInput] = useState('');
+  const [authorizeCase, setAuthorizeCase] = useState(null);
+  const [authorizePlan, setAuthorizePlan] = useState(null);
+  const [authorizeBatches, setAuthorizeBatches] = useState([]);
+
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!contract) return;
+    contract.owner().then(setOwner).catch((err) => console.error('Failed to read contract owner:', err));
+  }, [contract]);
+
+  const isOwner = owner && account && owner.toLowerCase() === account.toLowerCase();
+
+  const loadFile = (setter) => async (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      setter(await file.text());
+    }
+  };
+
+  const submitBatches = async (type, addresses, chunkSize, send, setBatches) => {
+    const chunks = chunk(addresses, chunkSize).map((batch) => ({ addresses: batch, status: 'queued' }));
+    setBatches(chunks);
+
+    const updateBatch = (index, changes) => {
+      setBatches((prev) => prev.map((batch, i) => (i === index ? { ...batch, ...changes } : batch)));
+    };
+
+    for (let i = 0; i < chunks.length; i++) {
+      try {
+        const tx = await send(chunks[i].addresses);
+        updateBatch(i, { status: 'pending', hash: tx.hash });
+        await trackTransaction(type, tx);
+        updateBatch(i, { status: 'confirmed' });
+      } catch (err) {
+        console.error(`Batch ${i + 1} failed:`, err);
+        updateBatch(i, { status: 'failed', error: describeError(err) });
+        // Later chunks would hit the same revert; stop and let the admin retry
+        break;
+      }
+    }
+  };
+
+  const certify = async () => {
+    setError('');
+    setIsWorking(true);
+    try {
+      const parsed = parseAddressList(certifyInput);
+      const { pending, skipped } = await partitionCertified(contract, parsed.addresses);
+      setCertifyPlan({ ...parsed, pending, skipped });
+
+      if (pending.length > 0) {
+        await submitBatches('Juror Certification', pending, CERTIFY_CHUNK_SIZE, (batch) => contract.certifyJurors(batch), setCertifyBatches);
+      } else {
+        setCertifyBatches([]);
+      }
+    } catch (err) {
+      console.error('Failed to certify jurors:', err);
+      setError(describeError(err));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const authorize = async () => {
+    setError('');
+    setIsWorking(true);
+    try {
+      const caseId = Number(authorizeCaseId);
+      const legalCase = await fetchCase(contract, caseId);
+      setAuthorizeCase(legalCase);
+
+      if (legalCase.judge.toLowerCase() !== account.toLowerCase()) {
+        setError('Only the judge of case ' + caseId + ' can authorize its jurors');
+        return;
+      }
+
+      const parsed = parseAddressList(authorizeInput);
+      const certified = await partitionCertified(contract, parsed.addresses);
+      const { pending, skipped } = await partitionAuthorized(contract, caseId, certified.skipped);
+      setAuthorizePlan({ ...parsed, pending, skipped, blocked: certified.pending });
+
+      // authorizeJurors caps each call at the seats left on the case
+      const seats = legalCase.requiredJurors - legalCase.jurorCount;
+      if (pending.length > 0 && seats > 0) {
+        await submitBatches('Juror Authorization', pending, seats, (batch) => contract.authorizeJurors(caseId, batch), setAuthorizeBatches);
+      } else {
+        setAuthorizeBatches([]);
+      }
+    } catch (err) {
+      console.error('Failed to authorize jurors:', err);
+      setError(describeError(err));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Juror Administration - United States Digital Court</title>
+        <meta name="description" content="Bulk certify jurors and authorize them for cases" />
+      </Head>
+
+      <CourtHeader subtitle="Juror Administration • Certification and Authorization" />
+
+      <div className="container">
+        <div className="wallet-section">
+          <NetworkSelector selectedNetwork={selectedNetwork} onSelect={switchNetwork} />
+          {!account ? (
+            <button className="connect-btn" onClick={connectWallet}>Connect Wallet</button>
+          ) : (
+            <div className="account-info">
+              🏛️ Connected: {account.slice(0, 8)}...{account.slice(-6)} {isOwner ? '(Court Administrator)' : ''}
+            </div>
+          )}
+          <div style={{marginTop: '15px'}}>
+            <Link href="/" className="tx-link">← Back to Active Cases</Link>
+          </div>
+          {error && <p className="field-error" style={{marginTop: '15px'}}>{error}</p>}
+          {networkError && <p className="field-error" style={{marginTop: '15px'}}>{networkError}</p>}
+          <WalletPicker picker={picker} />
+        </div>
+
+        <div className="section">
+          <h2>🎖️ Certify Jurors</h2>
+          {account && !isOwner ? (
+            <p style={{textAlign: 'center', opacity: 0.7}}>Only the court administrator ({owner || 'contract owner'}) can certify jurors.</p>
+          ) : (
+            <div className="court-form">
+              <label>
+                Juror Addresses
+                <textarea
+                  rows={8}
+                  value={certifyInput}
+                  onChange={(event) => setCertifyInput(event.target.value)}
+                  placeholder="One address per line, or comma-separated / CSV"
+                />
+                <span className="field-hint">Already-certified addresses are skipped; up to {CERTIFY_CHUNK_SIZE} per transaction</span>
+              </label>
+              <label>
+                Or load a CSV file
+                <input type="file" accept=".csv,.txt" onChange={loadFile(setCertifyInput)} />
+              </label>
+              <div style={{textAlign: 'center'}}>
+                <button className="case-btn" disabled={!contract || !certifyInput.trim() || isWorking} onClick={certify}>
+                  Certify Jurors
+                </button>
+              </div>
+            </div>
+          )}
+          <BatchProgress plan={certifyPlan} batches={certifyBatches} />
+        </div>
+
+        <div className="section">
+          <h2>🔑 Authorize Jurors for a Case</h2>
+          <div className="court-form">
+            <label>
+              Case ID
+              <input type="number" min={0} value={authorizeCaseId} onChange={(event) => setAuthorizeCaseId(event.target.value)} />
+              {authorizeCase && (
+                <span className="field-hint">
+                  {authorizeCase.title} — {authorizeCase.jurorCount} / {authorizeCase.requiredJurors} jurors
+                </span>
+              )}
+            </label>
+            <label>
+              Juror Addresses
+              <textarea
+                rows={6}
+                value={authorizeInput}
+                onChange={(event) => setAuthorizeInput(event.target.value)}
+                placeholder="One address per line, or comma-separated / CSV"
+              />
+              <span className="field-hint">Jurors must be certified first; already-authorized addresses are skipped</span>
+            </label>
+            <label>
+              Or load a CSV file
+              <input type="file" accept=".csv,.txt" onChange={loadFile(setAuthorizeInput)} />
+            </label>
+            <div style={{textAlign: 'center'}}>
+              <button
+                className="case-btn"
+                disabled={!contract || authorizeCaseId === '' || !authorizeInput.trim() || isWorking}
+                onClick={authorize}
+              >
+                Authorize Jurors
+              </button>
+            </div>
+          </div>
+          <BatchProgress plan={authorizePlan} batches={authorizeBatches} />
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,8 @@
+import { courtRoute, parseCaseId } from '../../../../lib/api/http';
+import { loadCase } from '../../../../lib/api/courtData';
+
+// GET /api/cases/:id
+export default courtRoute(async (req, court) => {
+  const { legalCase, block } = await loadCase(court, parseCaseId(req.query.id));
+  return { network: court.network.name, block, case: legalCase };
+});
@@ -0,0 +1,9 @@
+import { courtRoute, paginate, parseCaseId } from '../../../../lib/api/http';
+import { loadCaseVotes } from '../../../../lib/api/courtData';
+
+// GET /api/cases/:id/votes - who voted and when; vote contents stay encrypted on-chain
+export default courtRoute(async (req, court) => {
+  const caseId = parseCaseId(req.query.id);
+  const { items, pagination } = paginate(await loadCaseVotes(court, caseId), req.query);
+  return { network: court.network.name, caseId, votes: items, pagination };
+});
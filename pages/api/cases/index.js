@@ -0,0 +1,27 @@
+import { courtRoute, paginate, parseAddress, BadRequestError } from '../../../lib/api/http';
+import { loadCases } from '../../../lib/api/courtData';
+import { STAGES } from '../../../lib/cases';
+
+const KNOWN_STAGES = Object.values(STAGES);
+
+// GET /api/cases?judge=0x..&state=voting,revealed&page=1&pageSize=20
+export default courtRoute(async (req, court) => {
+  const { cases, ...block } = await loadCases(court);
+  let matches = cases;
+
+  if (req.query.judge) {
+    const judge = parseAddress(req.query.judge);
+    matches = matches.filter((legalCase) => legalCase.judge === judge);
+  }
+  if (req.query.state) {
+    const states = String(req.query.state).split(',');
+    const unknown = states.filter((state) => !KNOWN_STAGES.includes(state));
+    if (unknown.length > 0) {
+      throw new BadRequestError(`Unknown state "${unknown[0]}"; expected one of ${KNOWN_STAGES.join(', ')}`);
+    }
+    matches = matches.filter((legalCase) => states.includes(legalCase.stage));
+  }
+
+  const { items, pagination } = paginate(matches, req.query);
+  return { network: court.network.name, block, cases: items, pagination };
+});
@@ -0,0 +1,8 @@
+import { courtRoute, parseAddress } from '../../../lib/api/http';
+import { loadJuror } from '../../../lib/api/courtData';
+
+// GET /api/jurors/:address - certification, reputation and participation history
+export default courtRoute(async (req, court) => {
+  const juror = await loadJuror(court, parseAddress(req.query.address));
+  return { network: court.network.name, juror };
+});
@@ -0,0 +1,5 @@
+import { courtRoute } from '../../lib/api/http';
+import { loadStats } from '../../lib/api/courtData';
+
+// GET /api/stats
+export default courtRoute((req, court) => loadStats(court));
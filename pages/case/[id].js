@@ -0,0 +1,260 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import CaseLifecycle from '../../components/CaseLifecycle';
+import CourtHeader from '../../components/CourtHeader';
+import WalletPicker from '../../components/WalletPicker';
+import NetworkSelector from '../../components/NetworkSelector';
+import useWallet from '../../lib/useWallet';
+import useTransactionHistory from '../../lib/useTransactionHistory';
+import { getNetwork, explorerTxUrl, explorerAddressUrl } from '../../lib/networks';
+import { STAGES, getCaseStage, getCaseStatus, formatCaseNumber, formatCountdown, caseUrl } from '../../lib/cases';
+import { NotFoundError, getCourt, loadCase, loadCaseTimeline } from '../../lib/api/courtData';
+
+// Length of the case description quoted in link previews
+const PREVIEW_DESCRIPTION_LENGTH = 160;
+
+/**
+ * Origin for the canonical and Open Graph URLs. The Host header is client-controlled,
+ * so it only stands in for NEXT_PUBLIC_SITE_URL in development.
+ */
+const siteOrigin = (req) => {
+  if (process.env.NEXT_PUBLIC_SITE_URL) return process.env.NEXT_PUBLIC_SITE_URL.replace(/\/+$/, '');
+  if (process.env.NODE_ENV === 'development') return `http://${req.headers.host}`;
+  return null;
+};
+
+const shortAddress = (address) => address.slice(0, 8) + '...' + address.slice(-6);
+// UTC, so the server render and the visitor's browser print the same text
+const formatTime = (timestamp) => new Date(timestamp * 1000).toUTCString();
+
+// One line per DigitalCourt event in the case timeline
+const TIMELINE_ENTRIES = {
+  CaseCreated: ({ judge }) => ({ icon: '📝', label: 'Case filed', detail: `Judge ${judge}` }),
+  JurorAuthorized: ({ juror }) => ({ icon: '🪪', label: 'Juror authorized', detail: juror }),
+  VoteCast: ({ juror }) => ({ icon: '🗳️', label: 'Encrypted vote cast', detail: juror }),
+  DecryptionRequested: ({ requestId, deadline }) => ({
+    icon: '🔐',
+    label: 'Decryption requested',
+    detail: `Gateway request #${requestId}, deadline ${formatTime(deadline)}`
+  }),
+  CallbackAttempted: ({ requestId, success, reason }) => ({
+    icon: success ? '📨' : '⚠️',
+    label: success ? 'Gateway callback accepted' : 'Gateway callback rejected',
+    detail: `Request #${requestId}${reason ? ': ' + reason : ''}`
+  }),
+  DecryptionCallbackReceived: ({ requestId, success }) => ({
+    icon: success ? '🔓' : '⚠️',
+    label: success ? 'Tally decrypted' : 'Decryption failed',
+    detail: `Gateway request #${requestId}`
+  }),
+  CaseRevealed: ({ verdict, guiltyVotes, innocentVotes, totalJurors }) => ({
+    icon: '⚖️',
+    label: `Verdict: ${verdict ? 'GUILTY' : 'NOT GUILTY'}`,
+    detail: `Guilty ${guiltyVotes}, not guilty ${innocentVotes} of ${totalJurors} juror(s)`
+  }),
+  TimeoutTriggered: ({ deadline }) => ({
+    icon: '⏰',
+    label: 'Decryption timed out',
+    detail: `Deadline ${formatTime(deadline)} passed; refunds enabled`
+  }),
+  RefundIssued: ({ juror, reason }) => ({ icon: '↩️', label: 'Refund issued', detail: `${juror} (${reason})` })
+};
+
+/**
+ * Case data is read on the server so the Open Graph tags are in the HTML that link
+ * previews fetch. ?network= picks a registry network, as for the REST API.
+ */
+export async function getServerSideProps({ params, query, req }) {
+  if (!/^\d+$/.test(params.id)) return { notFound: true };
+
+  const caseId = Number(params.id);
+  const pagePath = caseUrl(caseId, query.network || undefined);
+  const origin = siteOrigin(req);
+  const pageUrl = origin ? origin + pagePath : null;
+
+  try {
+    const court = getCourt(query.network || undefined);
+    const [{ legalCase, block }, timeline] = await Promise.all([
+      loadCase(court, caseId),
+      loadCaseTimeline(court, caseId)
+    ]);
+    return { props: { caseId, network: court.network.name, pagePath, pageUrl, legalCase, block, timeline, error: null } };
+  } catch (error) {
+    if (error instanceof NotFoundError) return { notFound: true };
+    console.error(`Failed to load case ${caseId}:`, error);
+    return { props: { caseId, network: query.network || null, pagePath, pageUrl, legalCase: null, block: null, timeline: [], error: 'Failed to read DigitalCourt from the network' } };
+  }
+}
+
+export default function CaseDetail({ caseId, network, pagePath, pageUrl, legalCase, block, timeline, error }) {
+  const router = useRouter();
+  const { account, chainId, contract, networkError, connectWallet, selectedNetwork, switchNetwork, picker } = useWallet();
+  const { trackTransaction } = useTransactionHistory(contract, account, chainId);
+  // null until mounted, so the server render and the first client render agree
+  const [clock, setClock] = useState(null);
+  const now = clock !== null ? clock : block ? block.timestamp : 0;
+  const stage = legalCase ? getCaseStage(legalCase, now) : null;
+
+  useEffect(() => {
+    setClock(Date.now() / 1000);
+  }, []);
+
+  useEffect(() => {
+    if (stage !== STAGES.VOTING && stage !== STAGES.DECRYPTING) return;
+
+    const timer = setInterval(() => setClock(Date.now() / 1000), 1000);
+    return () => clearInterval(timer);
+  }, [stage]);
+
+  // Re-runs getServerSideProps after a lifecycle transaction
+  const refresh = () => router.replace(router.asPath, undefined, { scroll: false });
+
+  const caseNumber = formatCaseNumber(caseId);
+  const registryNetwork = network ? getNetwork(network) : null;
+
+  if (!legalCase) {
+    return (
+      <>
+        <Head>
+          <title>{`Case No. ${caseNumber} - United States Digital Court`}</title>
+        </Head>
+        <CourtHeader subtitle={`Case No. ${caseNumber}`} />
+        <div className="container">
+          <div className="section">
+            <p className="field-error" style={{textAlign: 'center'}}>{error}</p>
+            <div style={{textAlign: 'center'}}>
+              <Link href="/" className="tx-link">← Back to Active Cases</Link>
+            </div>
+          </div>
+        </div>
+      </>
+    );
+  }
+
+  const status = getCaseStatus(legalCase, now);
+  const title = `Case No. ${caseNumber}: ${legalCase.title}`;
+  const summary = legalCase.description.length > PREVIEW_DESCRIPTION_LENGTH
+    ? legalCase.description.slice(0, PREVIEW_DESCRIPTION_LENGTH - 1).trimEnd() + '…'
+    : legalCase.description;
+  const previewDescription = `${getCaseStatus(legalCase, block.timestamp).label} • ${legalCase.jurorCount}/${legalCase.requiredJurors} jurors • ${summary}`;
+  const transactionUrl = (hash) => registryNetwork && explorerTxUrl(registryNetwork.chainId, hash);
+  const judgeUrl = registryNetwork && explorerAddressUrl(registryNetwork.chainId, legalCase.judge);
+
+  return (
+    <>
+      <Head>
+        <title>{`${title} - United States Digital Court`}</title>
+        <meta name="description" content={previewDescription} />
+        {pageUrl && <link rel="canonical" href={pageUrl} />}
+        <meta property="og:type" content="website" />
+        <meta property="og:site_name" content="United States Digital Court" />
+        <meta property="og:title" content={title} />
+        <meta property="og:description" content={previewDescription} />
+        {pageUrl && <meta property="og:url" content={pageUrl} />}
+        <meta name="twitter:card" content="summary" />
+        <meta name="twitter:title" content={title} />
+        <meta name="twitter:description" content={previewDescription} />
+      </Head>
+
+      <CourtHeader subtitle={`Case No. ${caseNumber} • ${registryNetwork ? registryNetwork.label : network}`} />
+
+      <div className="container">
+        <div className="wallet-section">
+          <NetworkSelector selectedNetwork={selectedNetwork} onSelect={switchNetwork} />
+          {!account ? (
+            <button className="connect-btn" onClick={connectWallet}>Connect Wallet</button>
+          ) : (
+            <div className="account-info">🏛️ Connected: {shortAddress(account)}</div>
+          )}
+          {networkError && <p className="field-error" style={{marginTop: '15px'}}>{networkError}</p>}
+          <WalletPicker picker={picker} />
+          <div style={{marginTop: '15px'}}>
+            <Link href="/" className="tx-link">← Back to Active Cases</Link>
+            {' • '}
+            <Link href="/juror" className="tx-link">Juror Dashboard →</Link>
+          </div>
+        </div>
+
+        <div className="section">
+          <h2>📁 Case No. {caseNumber}</h2>
+          <div className="case-card">
+            <div className="case-title">{legalCase.title}</div>
+            <div className="case-description" style={{whiteSpace: 'pre-wrap'}}>{legalCase.description}</div>
+            {legalCase.evidenceHash && (
+              <div className="case-evidence">
+                <strong>Evidence:</strong> {legalCase.evidenceHash}
+              </div>
+            )}
+            <div className="case-meta">
+              <span className={`status-badge ${status.className}`}>● {status.label}</span>
+              <span>Case ID: {legalCase.id}</span>
+              <span>Jurors: {legalCase.jurorCount} / {legalCase.requiredJurors}</span>
+            </div>
+            <div className="info-card">
+              <p>
+                <strong>Presiding Judge:</strong>{' '}
+                {judgeUrl ? <a href={judgeUrl} target="_blank" rel="noopener noreferrer">{legalCase.judge}</a> : legalCase.judge}
+              </p>
+              <p><strong>Voting Opened:</strong> {formatTime(legalCase.startTime)}</p>
+              <p>
+                <strong>Voting Ends:</strong> {formatTime(legalCase.endTime)}
+                {stage === STAGES.VOTING && <> (closes in <strong>{formatCountdown(legalCase.endTime - now)}</strong>)</>}
+              </p>
+              {legalCase.decryption.requested && (
+                <p>
+                  <strong>Decryption Deadline:</strong> {formatTime(legalCase.decryption.deadline)}
+                  {stage === STAGES.DECRYPTING && <> ({formatCountdown(legalCase.decryption.deadline - now)} left)</>}
+                </p>
+              )}
+              <p><strong>Share:</strong> <a href={pagePath}>{pageUrl || pagePath}</a></p>
+            </div>
+
+            {clock !== null && (
+              network === selectedNetwork ? (
+                <CaseLifecycle
+                  contract={contract}
+                  account={account}
+                  legalCase={legalCase}
+                  onTransaction={trackTransaction}
+                  onUpdated={refresh}
+                />
+              ) : (
+                <p className="field-hint">Select {registryNetwork ? registryNetwork.label : network} above to act on this case.</p>
+              )
+            )}
+          </div>
+        </div>
+
+        <div className="section">
+          <h2>🕰️ Case Timeline</h2>
+          {timeline.length === 0 ? (
+            <p style={{textAlign: 'center', opacity: 0.7}}>No events found for this case.</p>
+          ) : (
+            <div className="tx-list">
+              {timeline.map((event) => {
+                const entry = TIMELINE_ENTRIES[event.name](event.args);
+                const url = transactionUrl(event.transactionHash);
+                return (
+                  <div key={`${event.transactionHash}:${event.logIndex}`} className="tx-item">
+                    <div style={{display: 'flex', justifyContent: 'space-between'}}>
+                      <strong style={{color: '#d4af37'}}>{entry.icon} {entry.label}</strong>
+                      <span>{formatTime(event.timestamp)}</span>
+                    </div>
+                    <div className="tx-hash">{entry.detail}</div>
+                    <div className="tx-hash">
+                      Block {event.blockNumber} • TX:{' '}
+                      {url ? <a href={url} target="_blank" rel="noopener noreferrer" className="tx-link">{event.transactionHash}</a> : event.transactionHash}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+          <p className="field-hint" style={{textAlign: 'center'}}>As of block {block.blockNumber}</p>
+        </div>
+      </div>
+    </>
+  );
+}
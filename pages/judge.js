@@ -0,0 +1,266 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import Head from 'next/head';
+import Link from 'next/link';
+import CaseLifecycle from '../components/CaseLifecycle';
+import CourtHeader from '../components/CourtHeader';
+import WalletPicker from '../components/WalletPicker';
+import NetworkSelector from '../components/NetworkSelector';
+import useWallet from '../lib/useWallet';
+import useTransactionHistory from '../lib/useTransactionHistory';
+import { fetchCase, getCaseStatus, formatCaseNumber, caseUrl } from '../lib/cases';
+import { describeError } from '../lib/errors';
+import { deploymentBlock } from '../lib/contract';
+
+// Byte limits enforced by DigitalCourt.createCase
+const MAX_TITLE_BYTES = 200;
+const MAX_DESCRIPTION_BYTES = 5000;
+
+const EMPTY_FORM = { title: '', description: '', evidenceHash: '', requiredJurors: '' };
+
+export default function JudgeConsole() {
+  const { account, chainId, contract, readContract, readDeployment, networkError, connectWallet, selectedNetwork, switchNetwork, picker } = useWallet();
+  const { trackTransaction } = useTransactionHistory(contract, account, chainId);
+  const [jurorLimits, setJurorLimits] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [myCases, setMyCases] = useState([]);
+  const [isLoadingCases, setIsLoadingCases] = useState(false);
+
+  // Reads go through readContract so the form and docket load before a wallet
+  // signs anything; `contract` is only needed to file a case
+  useEffect(() => {
+    if (!readContract) return;
+    loadJurorLimits();
+  }, [readContract]);
+
+  useEffect(() => {
+    if (!readContract || !account) return;
+    loadMyCases();
+  }, [readContract, account]);
+
+  const loadJurorLimits = async () => {
+    try {
+      const [min, max] = await Promise.all([readContract.MIN_JURORS(), readContract.MAX_JURORS()]);
+      setJurorLimits({ min: Number(min), max: Number(max) });
+      setForm(prev => prev.requiredJurors ? prev : { ...prev, requiredJurors: String(min) });
+    } catch (error) {
+      console.error('Failed to read juror limits:', error);
+    }
+  };
+
+  const loadMyCases = async () => {
+    setIsLoadingCases(true);
+    try {
+      const fromBlock = deploymentBlock(readDeployment.chainId);
+      if (fromBlock === null) throw new Error(`No deployment block is recorded for ${readDeployment.network}`);
+      const events = await readContract.queryFilter(readContract.filters.CaseCreated(null, account), fromBlock);
+      const judged = await Promise.all(events.map((event) => fetchCase(readContract, event.args.caseId)));
+      setMyCases(judged.sort((a, b) => b.id - a.id));
+    } catch (error) {
+      console.error('Failed to load judge cases:', error);
+    } finally {
+      setIsLoadingCases(false);
+    }
+  };
+
+  const validate = () => {
+    const errors = {};
+    const titleBytes = ethers.toUtf8Bytes(form.title.trim()).length;
+    const descriptionBytes = ethers.toUtf8Bytes(form.description.trim()).length;
+    const jurors = Number(form.requiredJurors);
+
+    if (titleBytes === 0) {
+      errors.title = 'Title cannot be empty';
+    } else if (titleBytes > MAX_TITLE_BYTES) {
+      errors.title = `Title too long (${titleBytes}/${MAX_TITLE_BYTES} bytes)`;
+    }
+
+    if (descriptionBytes === 0) {
+      errors.description = 'Description cannot be empty';
+    } else if (descriptionBytes > MAX_DESCRIPTION_BYTES) {
+      errors.description = `Description too long (${descriptionBytes}/${MAX_DESCRIPTION_BYTES} bytes)`;
+    }
+
+    if (!jurorLimits) {
+      errors.requiredJurors = 'Juror limits not loaded from the contract yet';
+    } else if (!Number.isInteger(jurors) || jurors < jurorLimits.min || jurors > jurorLimits.max) {
+      errors.requiredJurors = `Juror count must be between ${jurorLimits.min} and ${jurorLimits.max}`;
+    }
+
+    return errors;
+  };
+
+  const errors = validate();
+  const isValid = Object.keys(errors).length === 0;
+
+  const updateField = (field) => (event) => {
+    setForm(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const submitCase = async (event) => {
+    event.preventDefault();
+    if (!contract || !isValid) return;
+
+    setIsSubmitting(true);
+    setResult(null);
+    try {
+      const tx = await contract.createCase(
+        form.title.trim(),
+        form.description.trim(),
+        form.evidenceHash.trim(),
+        Number(form.requiredJurors)
+      );
+      setResult({ status: 'pending', hash: tx.hash });
+
+      const receipt = await trackTransaction('Case Filing', tx);
+      const created = receipt.logs
+        .map((log) => {
+          try {
+            return contract.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .find((parsed) => parsed && parsed.name === 'CaseCreated');
+
+      setResult({
+        status: 'confirmed',
+        hash: tx.hash,
+        caseId: created ? Number(created.args.caseId) : null
+      });
+      setForm({ ...EMPTY_FORM, requiredJurors: String(jurorLimits.min) });
+      loadMyCases();
+    } catch (error) {
+      console.error('Failed to create case:', error);
+      setResult({ status: 'failed', message: describeError(error) });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Judge Console - United States Digital Court</title>
+        <meta name="description" content="File new legal cases and manage your docket on the Digital Court" />
+      </Head>
+
+      <CourtHeader subtitle="Judge Console • File and Manage Cases" />
+
+      <div className="container">
+        <div className="wallet-section">
+          <NetworkSelector selectedNetwork={selectedNetwork} onSelect={switchNetwork} />
+          {!account ? (
+            <button className="connect-btn" onClick={connectWallet}>Connect Wallet</button>
+          ) : (
+            <div className="account-info">🧑‍⚖️ Judge Connected: {account.slice(0, 8)}...{account.slice(-6)}</div>
+          )}
+          {networkError && <p className="field-error" style={{marginTop: '15px'}}>{networkError}</p>}
+          <WalletPicker picker={picker} />
+          <div style={{marginTop: '15px'}}>
+            <Link href="/" className="tx-link">← Back to Active Cases</Link>
+            {' • '}
+            <Link href="/admin" className="tx-link">Certify &amp; Authorize Jurors →</Link>
+          </div>
+        </div>
+
+        <div className="section">
+          <h2>📝 File a New Case</h2>
+          <form className="court-form" onSubmit={submitCase}>
+            <label>
+              Case Title
+              <input type="text" value={form.title} onChange={updateField('title')} placeholder="The People vs. ..." />
+              <span className="field-hint">{ethers.toUtf8Bytes(form.title.trim()).length}/{MAX_TITLE_BYTES} bytes</span>
+              {form.title && errors.title && <span className="field-error">{errors.title}</span>}
+            </label>
+
+            <label>
+              Description
+              <textarea rows={6} value={form.description} onChange={updateField('description')} placeholder="Charges, facts in dispute, defense claims..." />
+              <span className="field-hint">{ethers.toUtf8Bytes(form.description.trim()).length}/{MAX_DESCRIPTION_BYTES} bytes</span>
+              {form.description && errors.description && <span className="field-error">{errors.description}</span>}
+            </label>
+
+            <label>
+              Evidence Hash
+              <input type="text" value={form.evidenceHash} onChange={updateField('evidenceHash')} placeholder="IPFS CID, e.g. Qm..." />
+            </label>
+
+            <label>
+              Required Jurors
+              <input
+                type="number"
+                min={jurorLimits ? jurorLimits.min : undefined}
+                max={jurorLimits ? jurorLimits.max : undefined}
+                value={form.requiredJurors}
+                onChange={updateField('requiredJurors')}
+              />
+              {jurorLimits && <span className="field-hint">Between {jurorLimits.min} and {jurorLimits.max} jurors</span>}
+              {errors.requiredJurors && jurorLimits && <span className="field-error">{errors.requiredJurors}</span>}
+            </label>
+
+            <div style={{textAlign: 'center'}}>
+              <button type="submit" className="case-btn" disabled={!contract || !isValid || isSubmitting}>
+                {isSubmitting ? 'Filing Case...' : 'File Case'}
+              </button>
+            </div>
+          </form>
+
+          {result && (
+            <div className="tx-item">
+              {result.status === 'pending' && <strong style={{color: '#f59e0b'}}>PENDING</strong>}
+              {result.status === 'confirmed' && (
+                <strong style={{color: '#22c55e'}}>
+                  CONFIRMED — Case ID {result.caseId !== null ? result.caseId : 'unknown'}
+                </strong>
+              )}
+              {result.status === 'failed' && <strong style={{color: '#ef4444'}}>FAILED: {result.message}</strong>}
+              {result.status === 'confirmed' && result.caseId !== null && (
+                <div><Link href={caseUrl(result.caseId, selectedNetwork)} className="tx-link">Share this case with jurors →</Link></div>
+              )}
+              {result.hash && <div className="tx-hash">TX: {result.hash}</div>}
+            </div>
+          )}
+        </div>
+
+        <div className="section">
+          <h2>📚 Cases You Preside Over</h2>
+          {!account ? (
+            <p style={{textAlign: 'center', opacity: 0.7}}>Connect wallet to see your docket...</p>
+          ) : isLoadingCases ? (
+            <p style={{textAlign: 'center', opacity: 0.7}}>Loading your cases...</p>
+          ) : myCases.length === 0 ? (
+            <p style={{textAlign: 'center', opacity: 0.7}}>You have not filed any cases yet.</p>
+          ) : (
+            <div className="cases-grid">
+              {myCases.map((legalCase) => {
+                const status = getCaseStatus(legalCase);
+                return (
+                  <div key={legalCase.id} className="case-card">
+                    <div className="case-number">Case No. {formatCaseNumber(legalCase.id)}</div>
+                    <div className="case-title">{legalCase.title}</div>
+                    <div className="case-meta">
+                      <span className={`status-badge ${status.className}`}>● {status.label}</span>
+                      <span>Case ID: {legalCase.id}</span>
+                      <span>Jurors: {legalCase.jurorCount} / {legalCase.requiredJurors}</span>
+                    </div>
+                    <Link href={caseUrl(legalCase.id, selectedNetwork)} className="tx-link">Case details &amp; timeline →</Link>
+                    <CaseLifecycle
+                      contract={contract}
+                      account={account}
+                      legalCase={legalCase}
+                      onTransaction={trackTransaction}
+                      onUpdated={loadMyCases}
+                    />
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
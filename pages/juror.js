@@ -0,0 +1,213 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import CourtHeader from '../components/CourtHeader';
+import WalletPicker from '../components/WalletPicker';
+import NetworkSelector from '../components/NetworkSelector';
+import useWallet from '../lib/useWallet';
+import { fetchJurorActivity } from '../lib/jurors';
+import { deploymentBlock } from '../lib/contract';
+import { STAGES, getCaseStage, getCaseStatus, formatCaseNumber, formatCountdown, caseUrl } from '../lib/cases';
+import { describeError } from '../lib/errors';
+
+export default function JurorDashboard() {
+  const { account, readContract, readDeployment, networkError, connectWallet, selectedNetwork, switchNetwork, picker } = useWallet();
+  const [activity, setActivity] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [now, setNow] = useState(Date.now() / 1000);
+
+  useEffect(() => {
+    setActivity(null);
+    if (!readContract || !account) return;
+    loadActivity();
+  }, [readContract, account]);
+
+  const pending = activity
+    ? activity.cases
+      .filter(({ legalCase, voted }) => !voted && getCaseStage(legalCase, now) === STAGES.VOTING)
+      .sort((a, b) => a.legalCase.endTime - b.legalCase.endTime)
+    : [];
+
+  useEffect(() => {
+    if (pending.length === 0) return;
+
+    const timer = setInterval(() => setNow(Date.now() / 1000), 1000);
+    return () => clearInterval(timer);
+  }, [pending.length]);
+
+  const loadActivity = async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const fromBlock = deploymentBlock(readDeployment.chainId);
+      if (fromBlock === null) throw new Error(`No deployment block is recorded for ${readDeployment.network}, so its history cannot be read`);
+      setActivity(await fetchJurorActivity(readContract, account, fromBlock));
+    } catch (err) {
+      console.error('Failed to load juror activity:', err);
+      setError(describeError(err));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const votedCount = activity ? activity.cases.filter(({ voted }) => voted).length : 0;
+
+  return (
+    <>
+      <Head>
+        <title>Juror Dashboard - United States Digital Court</title>
+        <meta name="description" content="Your jury assignments, votes, deadlines and reputation on the Digital Court" />
+      </Head>
+
+      <CourtHeader subtitle="Juror Dashboard • Assignments, Votes and Reputation" />
+
+      <div className="container">
+        <div className="wallet-section">
+          <NetworkSelector selectedNetwork={selectedNetwork} onSelect={switchNetwork} />
+          {!account ? (
+            <button className="connect-btn" onClick={connectWallet}>Connect Wallet</button>
+          ) : (
+            <div className="account-info">🏛️ Juror Connected: {account}</div>
+          )}
+          {networkError && <p className="field-error" style={{marginTop: '15px'}}>{networkError}</p>}
+          <WalletPicker picker={picker} />
+          <div style={{marginTop: '15px'}}>
+            <Link href="/" className="tx-link">← Back to Active Cases</Link>
+            {' • '}
+            <Link href="/receipt" className="tx-link">Verify a Vote Receipt →</Link>
+          </div>
+        </div>
+
+        {!account ? (
+          <div className="section">
+            <p style={{textAlign: 'center', opacity: 0.7}}>Connect wallet to see your jury assignments...</p>
+          </div>
+        ) : !readContract ? (
+          <div className="section">
+            <p style={{textAlign: 'center', opacity: 0.7}}>DigitalCourt is not deployed on the selected network. Pick another network above.</p>
+          </div>
+        ) : error ? (
+          <div className="section">
+            <p className="field-error" style={{textAlign: 'center'}}>{error}</p>
+          </div>
+        ) : !activity ? (
+          <div className="section">
+            <p style={{textAlign: 'center', opacity: 0.7}}>{isLoading ? 'Loading your jury record from the blockchain...' : ''}</p>
+          </div>
+        ) : (
+          <>
+            <div className="section contract-info">
+              <h2>🏅 Juror Standing</h2>
+              <div className="info-card">
+                <p><strong>Certification:</strong> {activity.certified ? 'Certified juror' : 'Not certified — the court administrator must certify you'}</p>
+                <p><strong>Reputation:</strong> {activity.reputation}</p>
+                <p><strong>Assigned Cases:</strong> {activity.cases.length}</p>
+                <p><strong>Votes Cast:</strong> {votedCount} / {activity.cases.length}</p>
+                <p><strong>Awaiting Your Vote:</strong> {pending.length}</p>
+              </div>
+            </div>
+
+            <div className="section">
+              <h2>⏳ Pending Deadlines</h2>
+              {pending.length === 0 ? (
+                <p style={{textAlign: 'center', opacity: 0.7}}>No open case is waiting for your vote.</p>
+              ) : (
+                <div className="tx-list">
+                  {pending.map(({ legalCase }) => (
+                    <div key={legalCase.id} className="tx-item">
+                      <div style={{display: 'flex', justifyContent: 'space-between'}}>
+                        <strong style={{color: '#d4af37'}}>Case No. {formatCaseNumber(legalCase.id)} — {legalCase.title}</strong>
+                        <span>Closes in <strong>{formatCountdown(legalCase.endTime - now)}</strong></span>
+                      </div>
+                      <div className="tx-hash">Voting ends {new Date(legalCase.endTime * 1000).toLocaleString()}</div>
+                    </div>
+                  ))}
+                  <div style={{textAlign: 'center'}}>
+                    <Link href="/" className="case-btn">Go Vote</Link>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div className="section">
+              <h2>📚 Your Cases</h2>
+              {activity.cases.length === 0 ? (
+                <p style={{textAlign: 'center', opacity: 0.7}}>You have not been authorized for any case yet.</p>
+              ) : (
+                <div className="cases-grid">
+                  {activity.cases.map(({ legalCase, voted, votedAt, voteTransaction }) => {
+                    const status = getCaseStatus(legalCase);
+                    return (
+                      <div key={legalCase.id} className="case-card">
+                        <div className="case-number">Case No. {formatCaseNumber(legalCase.id)}</div>
+                        <div className="case-title">{legalCase.title}</div>
+                        <div className="case-meta">
+                          <span className={`status-badge ${status.className}`}>● {status.label}</span>
+                          <span>Case ID: {legalCase.id}</span>
+                          <span>Jurors: {legalCase.jurorCount} / {legalCase.requiredJurors}</span>
+                        </div>
+                        <Link href={caseUrl(legalCase.id, selectedNetwork)} className="tx-link">Case details &amp; timeline →</Link>
+                        <p>
+                          {voted ? `🗳️ Voted ${votedAt ? new Date(votedAt * 1000).toLocaleString() : ''}` : '⌛ Not voted yet'}
+                        </p>
+                        {voteTransaction && <div className="tx-hash">TX: {voteTransaction}</div>}
+                        {legalCase.results && (
+                          <div className="revealed-results">
+                            <div><strong>Verdict:</strong> {legalCase.results.verdict ? 'GUILTY' : 'NOT GUILTY'}</div>
+                            <div>Guilty: {legalCase.results.guiltyVotes}</div>
+                            <div>Not Guilty: {legalCase.results.innocentVotes}</div>
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+
+            <div className="section">
+              <h2>📈 Reputation History</h2>
+              {activity.reputationHistory.length === 0 ? (
+                <p style={{textAlign: 'center', opacity: 0.7}}>No reputation changes recorded for this address.</p>
+              ) : (
+                <div className="tx-list">
+                  {activity.reputationHistory.map((entry) => (
+                    <div key={entry.transactionHash + entry.kind + entry.caseId} className="tx-item">
+                      <div style={{display: 'flex', justifyContent: 'space-between'}}>
+                        <strong style={{color: '#d4af37'}}>
+                          {entry.kind === 'certified' ? 'Certified as a juror' : `Verdict revealed in Case No. ${formatCaseNumber(entry.caseId)}`}
+                        </strong>
+                        <span style={{color: '#22c55e', fontWeight: 'bold'}}>+{entry.change} → {entry.reputation}</span>
+                      </div>
+                      <div className="tx-hash">Block {entry.blockNumber} • TX: {entry.transactionHash}</div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="section">
+              <h2>↩️ Refunds</h2>
+              {activity.refunds.length === 0 ? (
+                <p style={{textAlign: 'center', opacity: 0.7}}>No refunds have been issued in your name.</p>
+              ) : (
+                <div className="tx-list">
+                  {activity.refunds.map((refund) => (
+                    <div key={refund.transactionHash + refund.caseId} className="tx-item">
+                      <div style={{display: 'flex', justifyContent: 'space-between'}}>
+                        <strong style={{color: '#d4af37'}}>Case No. {formatCaseNumber(refund.caseId)}</strong>
+                        <span>{refund.reason}</span>
+                      </div>
+                      <div className="tx-hash">Block {refund.blockNumber} • TX: {refund.transactionHash}</div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </>
+  );
+}
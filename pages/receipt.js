@@ -0,0 +1,118 @@
+import { useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import CourtHeader from '../components/CourtHeader';
+import WalletPicker from '../components/WalletPicker';
+import NetworkSelector from '../components/NetworkSelector';
+import useWallet from '../lib/useWallet';
+import { verifyReceipt } from '../lib/receipts';
+import { formatCaseNumber } from '../lib/cases';
+import { describeError } from '../lib/errors';
+
+export default function ReceiptVerifier() {
+  const { account, readContract, networkError, connectWallet, selectedNetwork, switchNetwork, picker } = useWallet();
+  const [receiptInput, setReceiptInput] = useState('');
+  const [receipt, setReceipt] = useState(null);
+  const [checks, setChecks] = useState([]);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadFile = async (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      setReceiptInput(await file.text());
+    }
+  };
+
+  const verify = async () => {
+    setError('');
+    setChecks([]);
+    setReceipt(null);
+    setIsVerifying(true);
+    try {
+      const parsed = JSON.parse(receiptInput);
+      setReceipt(parsed);
+      setChecks(await verifyReceipt(readContract, parsed));
+    } catch (err) {
+      console.error('Failed to verify receipt:', err);
+      setError(err instanceof SyntaxError ? 'Receipt is not valid JSON' : describeError(err));
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const isValid = checks.length > 0 && checks.every((item) => item.ok);
+
+  return (
+    <>
+      <Head>
+        <title>Vote Receipt Verifier - United States Digital Court</title>
+        <meta name="description" content="Check a juror vote receipt against the commitment recorded on-chain" />
+      </Head>
+
+      <CourtHeader subtitle="Vote Receipt Verifier • Commit-Reveal Audit" />
+
+      <div className="container">
+        <div className="wallet-section">
+          <NetworkSelector selectedNetwork={selectedNetwork} onSelect={switchNetwork} />
+          {!account ? (
+            <button className="connect-btn" onClick={connectWallet}>Connect Wallet</button>
+          ) : (
+            <div className="account-info">🏛️ Connected: {account.slice(0, 8)}...{account.slice(-6)}</div>
+          )}
+          {networkError && <p className="field-error" style={{marginTop: '15px'}}>{networkError}</p>}
+          <WalletPicker picker={picker} />
+          <div style={{marginTop: '15px'}}>
+            <Link href="/" className="tx-link">← Back to Active Cases</Link>
+          </div>
+        </div>
+
+        <div className="section">
+          <h2>🧾 Verify a Vote Receipt</h2>
+          <div className="court-form">
+            <label>
+              Receipt JSON
+              <textarea
+                rows={10}
+                value={receiptInput}
+                onChange={(event) => setReceiptInput(event.target.value)}
+                placeholder="Paste the contents of vote-receipt-case-….json"
+              />
+              <span className="field-hint">Receipts reveal the vote they cover; only share them with people you trust</span>
+            </label>
+            <label>
+              Or load the receipt file
+              <input type="file" accept=".json" onChange={loadFile} />
+            </label>
+            <div style={{textAlign: 'center'}}>
+              <button className="case-btn" disabled={!readContract || !receiptInput.trim() || isVerifying} onClick={verify}>
+                {isVerifying ? 'Verifying...' : 'Verify Receipt'}
+              </button>
+            </div>
+          </div>
+          {error && <p className="field-error">{error}</p>}
+
+          {checks.length > 0 && (
+            <div className="tx-list" style={{marginTop: '25px'}}>
+              <p>
+                Case No. {formatCaseNumber(receipt.caseId)} • Juror {receipt.juror} • Vote {receipt.vote === 1 ? 'GUILTY' : 'NOT GUILTY'}
+              </p>
+              {checks.map((item) => (
+                <div key={item.label} className="tx-item">
+                  <div style={{display: 'flex', justifyContent: 'space-between'}}>
+                    <strong style={{color: '#d4af37'}}>{item.label}</strong>
+                    <span style={{color: item.ok ? '#22c55e' : '#ef4444', fontWeight: 'bold'}}>{item.ok ? 'PASS' : 'FAIL'}</span>
+                  </div>
+                  <div className="tx-hash">{item.detail}</div>
+                </div>
+              ))}
+              <p style={{textAlign: 'center', fontWeight: 'bold', color: isValid ? '#22c55e' : '#ef4444'}}>
+                {isValid ? '✅ Receipt matches the on-chain commitment' : '❌ Receipt could not be verified'}
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,4 +1,30 @@
-const { ethers } = require("hardhat");
+const { ethers, network: hardhatNetwork, artifacts } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { explorerAddressUrl } = require("../lib/networks");
+
+const CONTRACT_NAME = "DigitalCourt";
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * Persist deployments/<network>-deployment.json, which interact.js, verify.js and
+ * export-abi.js read. Any earlier record for the network is moved into `history`
+ * so a redeploy never loses the previous address.
+ */
+async function saveDeployment(record) {
+  const deploymentFile = path.join(DEPLOYMENTS_DIR, `${record.network}-deployment.json`);
+
+  let history = [];
+  if (fs.existsSync(deploymentFile)) {
+    const previous = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+    const { history: previousHistory = [], ...previousRecord } = previous;
+    history = [...previousHistory, previousRecord];
+  }
+
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(deploymentFile, JSON.stringify({ ...record, history }, null, 2) + "\n");
+  return { deploymentFile, history };
+}
 
 async function main() {
   console.log("🏛️  Deploying Digital Court System with FHEVM...\n");
@@ -15,19 +41,54 @@ async function main() {
   
   await digitalCourt.waitForDeployment();
   const contractAddress = await digitalCourt.getAddress();
+  const deploymentTx = digitalCourt.deploymentTransaction();
+  const receipt = await deploymentTx.wait();
 
   console.log("✅ DigitalCourt deployed successfully!");
   console.log("📍 Contract Address:", contractAddress);
-  console.log("🔗 Transaction Hash:", digitalCourt.deploymentTransaction().hash);
+  console.log("🔗 Transaction Hash:", deploymentTx.hash);
+  console.log("📦 Block Number:", receipt.blockNumber);
   
   // Get network information
   const network = await ethers.provider.getNetwork();
-  console.log("🌐 Network:", network.name, "(" + network.chainId + ")");
+  console.log("🌐 Network:", hardhatNetwork.name, "(" + network.chainId + ")");
   
-  if (network.chainId === 11155111n) { // Sepolia
-    console.log("🔍 Etherscan:", `https://sepolia.etherscan.io/address/${contractAddress}`);
-  } else if (network.chainId === 8009n) { // Zama Devnet
-    console.log("🔍 Zama Explorer:", `https://main.explorer.zama.ai/address/${contractAddress}`);
+  const explorerUrl = explorerAddressUrl(Number(network.chainId), contractAddress);
+  if (explorerUrl) {
+    console.log("🔍 Explorer:", explorerUrl);
+  }
+
+  // Record the deployment for the other scripts and the frontend
+  if (hardhatNetwork.name === "hardhat") {
+    console.log("\n⚠️  In-process hardhat network is ephemeral - deployment record not saved.");
+    console.log("   Use --network localhost against `npx hardhat node` to keep a record.");
+  } else {
+    const artifact = await artifacts.readArtifact(CONTRACT_NAME);
+    const buildInfo = await artifacts.getBuildInfo(`${artifact.sourceName}:${CONTRACT_NAME}`);
+    const { optimizer, evmVersion, viaIR } = buildInfo.input.settings;
+
+    const { deploymentFile, history } = await saveDeployment({
+      network: hardhatNetwork.name,
+      chainId: Number(network.chainId),
+      contractName: CONTRACT_NAME,
+      contractAddress,
+      transactionHash: deploymentTx.hash,
+      blockNumber: receipt.blockNumber,
+      deployer: deployer.address,
+      deployedAt: new Date().toISOString(),
+      compiler: {
+        version: buildInfo.solcLongVersion,
+        settings: { optimizer, evmVersion, viaIR: Boolean(viaIR) },
+      },
+      abiHash: ethers.id(JSON.stringify(artifact.abi)),
+      etherscanUrl: explorerUrl,
+    });
+
+    console.log("💾 Deployment record:", path.relative(process.cwd(), deploymentFile));
+    if (history.length > 0) {
+      console.log("   Previous address:", history[history.length - 1].contractAddress, `(${history.length} in history)`);
+    }
+    console.log("   The API reads it at once; rebuild the web app (`npm run build`) for the wallet pages.");
   }
 
   // Initialize the contract with some sample jurors (optional)
@@ -43,8 +104,8 @@ async function main() {
     console.log("📋 Summary:");
     console.log("   - Contract: DigitalCourt");
     console.log("   - Address:", contractAddress);
-    console.log("   - Network:", network.name);
-    console.log("   - Gas Used: Estimation varies by network");
+    console.log("   - Network:", hardhatNetwork.name);
+    console.log("   - Gas Used:", receipt.gasUsed.toString());
     console.log("   - Features: FHE Privacy Voting, Case Management, Jury System");
     
   } catch (error) {
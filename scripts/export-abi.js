@@ -0,0 +1,72 @@
+const fs = require("fs");
+const path = require("path");
+
+// Generates lib/generated/DigitalCourt.json for the Next.js frontend and the scripts
+// from the compiled Hardhat artifact: the ABI, plus the storage slots of the state
+// variables and struct members that lib/courtStorage.js reads directly. Run after
+// changing the contract's interface or layout; deployment addresses are read from
+// deployments/ at runtime (lib/deployments.js).
+
+const ROOT = path.join(__dirname, "..");
+const ARTIFACT_FILE = path.join(ROOT, "artifacts", "contracts", "DigitalCourt.sol", "DigitalCourt.json");
+const OUTPUT_FILE = path.join(ROOT, "lib", "generated", "DigitalCourt.json");
+
+function loadArtifact() {
+  if (!fs.existsSync(ARTIFACT_FILE)) {
+    console.error(`❌ Artifact not found at ${ARTIFACT_FILE}`);
+    console.error("Please compile the contracts first using: npx hardhat compile");
+    process.exit(1);
+  }
+
+  return JSON.parse(fs.readFileSync(ARTIFACT_FILE, "utf8"));
+}
+
+// The compiler's storage layout for the artifact, from the build-info its .dbg.json names
+function loadStorageLayout(artifact) {
+  const debugFile = ARTIFACT_FILE.replace(/\.json$/, ".dbg.json");
+  const { buildInfo } = JSON.parse(fs.readFileSync(debugFile, "utf8"));
+  const { output } = JSON.parse(fs.readFileSync(path.resolve(path.dirname(debugFile), buildInfo), "utf8"));
+  const layout = output.contracts[artifact.sourceName][artifact.contractName].storageLayout;
+
+  if (!layout) {
+    console.error("❌ The build has no storage layout for DigitalCourt");
+    console.error("Keep storageLayout in hardhat.config.js outputSelection and recompile: npx hardhat compile --force");
+    process.exit(1);
+  }
+  return layout;
+}
+
+// Slot of each state variable, and word offset of each struct member within its struct
+function toStorage(layout) {
+  const slots = Object.fromEntries(layout.storage.map(({ label, slot }) => [label, slot]));
+  const structs = Object.fromEntries(
+    Object.values(layout.types)
+      .filter((type) => type.members)
+      .map((type) => [
+        type.label.replace(/^struct (\w+\.)?/, ""),
+        Object.fromEntries(type.members.map(({ label, slot }) => [label, slot])),
+      ])
+  );
+  return { slots, structs };
+}
+
+function main() {
+  const artifact = loadArtifact();
+  const abi = artifact.abi;
+  const storage = toStorage(loadStorageLayout(artifact));
+
+  const output = {
+    contractName: "DigitalCourt",
+    abi,
+    storage,
+  };
+
+  fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(output, null, 2) + "\n");
+
+  console.log(`✅ Wrote ${path.relative(ROOT, OUTPUT_FILE)}`);
+  console.log(`   ABI entries: ${abi.length}`);
+  console.log(`   Storage: cases mapping at slot ${storage.slots.cases}`);
+}
+
+main();
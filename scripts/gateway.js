@@ -0,0 +1,236 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { getNetwork } = require("../lib/networks");
+const { deploymentBlock } = require("../lib/deployments");
+const { tallyMockVotes, encodeCleartexts, buildDecryptionProof } = require("../lib/gateway");
+const { abi } = require("../lib/generated/DigitalCourt.json");
+
+// Local Gateway/relayer stand-in for Hardhat nodes. Watches DecryptionRequested,
+// decrypts the mock-encrypted votes of the case and answers with
+// decryptionCallback(requestId, guilty, innocent, cleartexts, proof). Delays and
+// injected failures let the retry path and, with --drop-rate 1, the decryption
+// timeout and refund path be exercised.
+//
+//   node scripts/gateway.js --network localhost
+//   node scripts/gateway.js --delay 5000 --failure-rate 0.5 --max-retries 5
+//   node scripts/gateway.js --drop-rate 1          # never answer: cases time out
+//
+// Options: --network <name>, --address <0x..>, --from-block <n>,
+// --signer-index <n> (unlocked node account, default 0), --delay <ms>,
+// --failure-rate <0..1>, --drop-rate <0..1>, --max-retries <n>,
+// --retry-delay <ms>, --poll-interval <ms>, --once
+//
+// GATEWAY_PRIVATE_KEY sends callbacks from that key instead of a node account;
+// GATEWAY_PROOF_KEY signs the proofs (default: the sending account).
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+const DEFAULTS = {
+  network: "localhost",
+  signerIndex: 0,
+  delay: 0,
+  failureRate: 0,
+  dropRate: 0,
+  maxRetries: 3,
+  retryDelay: 2000,
+  pollInterval: 1000,
+};
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS, once: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--once") options.once = true;
+    else if (arg.startsWith("--")) {
+      const key = arg.slice(2).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+      const value = argv[++i];
+      options[key] = key === "network" || key === "address" ? value : Number(value);
+    }
+  }
+  return options;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function resolveTarget(network, options) {
+  const recordFile = path.join(DEPLOYMENTS_DIR, `${network.name}-deployment.json`);
+  const record = fs.existsSync(recordFile) ? JSON.parse(fs.readFileSync(recordFile, "utf8")) : {};
+
+  const contractAddress = options.address || record.contractAddress || network.contractAddress;
+  if (!contractAddress) {
+    throw new Error(`No DigitalCourt address for ${network.name}: deploy first or pass --address`);
+  }
+
+  const fromBlock = options.fromBlock ?? deploymentBlock(network.chainId);
+  if (fromBlock === null) {
+    throw new Error(`No deployment block recorded for ${network.name}: add blockNumber to its deployments/ record or pass --from-block`);
+  }
+  return { contractAddress, fromBlock };
+}
+
+async function resolveSigners(provider, options) {
+  const sender = process.env.GATEWAY_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.GATEWAY_PRIVATE_KEY, provider)
+    : await provider.getSigner(options.signerIndex);
+  const prover = process.env.GATEWAY_PROOF_KEY ? new ethers.Wallet(process.env.GATEWAY_PROOF_KEY) : sender;
+  return { sender, prover };
+}
+
+// A request is still answerable while decryption is pending and before its deadline
+async function pendingState(contract, provider, caseId) {
+  const info = await contract.getCaseInfo(caseId);
+  if (info.revealed) return "already revealed";
+  if (info.refundEnabled) return "refunds already enabled";
+  const { timestamp } = await provider.getBlock("latest");
+  if (BigInt(timestamp) > info.decryptionDeadline) return "decryption deadline passed";
+  return null;
+}
+
+/**
+ * Answers one DecryptionRequested event, retrying transient failures with
+ * exponential backoff. Reverts and non-mock votes are final: retrying cannot help.
+ */
+async function serviceRequest(context, { caseId, requestId }) {
+  const { contract, provider, chainId, contractAddress, signers, options } = context;
+  const label = `case ${caseId} (request ${requestId.toString().slice(0, 10)}...)`;
+
+  const initialSkip = await pendingState(contract, provider, caseId);
+  if (initialSkip) {
+    console.log(`⏭️  Skipping ${label}: ${initialSkip}`);
+    return;
+  }
+  if (Math.random() < options.dropRate) {
+    console.log(`💤 Dropping ${label} (failure injection) - it will time out`);
+    return;
+  }
+  if (options.delay > 0) {
+    console.log(`⏳ Answering ${label} in ${options.delay}ms`);
+    await sleep(options.delay);
+  }
+
+  for (let attempt = 1; attempt <= options.maxRetries + 1; attempt++) {
+    try {
+      const skipReason = await pendingState(contract, provider, caseId);
+      if (skipReason) {
+        console.log(`⏭️  Skipping ${label}: ${skipReason}`);
+        return;
+      }
+
+      if (Math.random() < options.failureRate) {
+        throw new Error("Injected gateway failure");
+      }
+
+      let tally;
+      try {
+        tally = await tallyMockVotes(contract, caseId);
+      } catch (error) {
+        error.retryable = false;
+        throw error;
+      }
+
+      const cleartexts = encodeCleartexts(tally.guilty, tally.innocent);
+      const proof = await buildDecryptionProof([signers.prover], { chainId, contractAddress, requestId, cleartexts });
+
+      const tx = await contract.decryptionCallback(requestId, tally.guilty, tally.innocent, cleartexts, proof);
+      const receipt = await tx.wait();
+      console.log(`✅ Revealed ${label}: ${tally.guilty} guilty / ${tally.innocent} not guilty - verdict ${tally.guilty > tally.innocent ? "GUILTY" : "NOT GUILTY"} (block ${receipt.blockNumber})`);
+      return;
+    } catch (error) {
+      const message = error.shortMessage || error.message;
+      if (error.code === "CALL_EXCEPTION" || error.retryable === false) {
+        console.error(`❌ Giving up on ${label}: ${message}`);
+        return;
+      }
+      if (attempt > options.maxRetries) {
+        console.error(`❌ Giving up on ${label} after ${attempt} attempts: ${message}`);
+        return;
+      }
+
+      const backoff = options.retryDelay * 2 ** (attempt - 1);
+      console.warn(`⚠️  Attempt ${attempt} for ${label} failed (${message}) - retrying in ${backoff}ms`);
+      await sleep(backoff);
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const network = getNetwork(options.network);
+  if (!network) {
+    throw new Error(`Unknown network "${options.network}" - see lib/networks.js`);
+  }
+  if (network.fhe.backend !== "mock") {
+    throw new Error(`${network.label} uses real FHE; its votes can only be decrypted by Zama's Gateway`);
+  }
+
+  const { contractAddress, fromBlock } = resolveTarget(network, options);
+  const provider = new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true });
+  const signers = await resolveSigners(provider, options);
+  const contract = new ethers.Contract(contractAddress, abi, signers.sender);
+  const context = { contract, provider, chainId: network.chainId, contractAddress, signers, options };
+
+  console.log("=".repeat(60));
+  console.log("Digital Court System - Local Gateway");
+  console.log("=".repeat(60));
+  console.log(`\n🌐 Network: ${network.label} (${network.chainId})`);
+  console.log(`📍 Contract: ${contractAddress}`);
+  console.log(`🔑 Relayer: ${await signers.sender.getAddress()}`);
+  console.log(`✍️  Proof signer: ${await signers.prover.getAddress()}`);
+  console.log(`⚙️  Delay ${options.delay}ms, failure rate ${options.failureRate}, drop rate ${options.dropRate}, ${options.maxRetries} retries\n`);
+
+  // Requests are answered one at a time so callbacks never race for a nonce
+  const seen = new Set();
+  let queue = Promise.resolve();
+  const enqueue = (event) => {
+    const key = event.args.requestId.toString();
+    if (seen.has(key)) return;
+    seen.add(key);
+    console.log(`📨 DecryptionRequested for case ${event.args.caseId} (block ${event.blockNumber})`);
+    queue = queue.then(() => serviceRequest(context, event.args));
+  };
+
+  // Backfill requests made while the gateway was not running
+  let lastBlock = await provider.getBlockNumber();
+  const backlog = await contract.queryFilter(contract.filters.DecryptionRequested(), fromBlock, lastBlock);
+  backlog.forEach(enqueue);
+  await queue;
+
+  if (options.once) {
+    provider.destroy();
+    return;
+  }
+
+  console.log(`👀 Watching for DecryptionRequested every ${options.pollInterval}ms (Ctrl+C to stop)`);
+  let stopped = false;
+  process.on("SIGINT", () => {
+    stopped = true;
+  });
+
+  while (!stopped) {
+    await sleep(options.pollInterval);
+    try {
+      const head = await provider.getBlockNumber();
+      if (head < lastBlock) lastBlock = head; // node restarted
+      if (head > lastBlock) {
+        const events = await contract.queryFilter(contract.filters.DecryptionRequested(), lastBlock + 1, head);
+        events.forEach(enqueue);
+        lastBlock = head;
+      }
+    } catch (error) {
+      console.error("⚠️  Polling failed, retrying:", error.shortMessage || error.message);
+    }
+  }
+
+  await queue;
+  console.log("\n🛑 Gateway stopped");
+  provider.destroy();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Gateway failed:");
+    console.error(error);
+    process.exit(1);
+  });
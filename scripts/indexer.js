@@ -0,0 +1,207 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { getNetwork } = require("../lib/networks");
+const { deploymentBlock } = require("../lib/deployments");
+const { INDEXED_EVENTS, storePath, createStore, loadStore, saveStore, appendEvents, rollbackTo } = require("../lib/indexStore");
+const { abi } = require("../lib/generated/DigitalCourt.json");
+
+// Event indexer: backfills DigitalCourt logs from the deployment block, then
+// follows new blocks, writing decoded events plus case/juror views to
+// data/<network>-index.json. Only blocks `--confirmations` deep are indexed; if a
+// deeper reorg (or a restarted Hardhat node) replaces an indexed block anyway,
+// the store rolls back to the last block whose hash still matches.
+//
+//   node scripts/indexer.js --network localhost
+//   node scripts/indexer.js --network sepolia --confirmations 12 --once
+//
+// Options: --network <name>, --address <0x..>, --from-block <n>,
+// --confirmations <n>, --batch-size <n>, --poll-interval <ms>, --once, --reset
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// Local chains are mined on demand, so waiting for confirmations would stall them
+const DEFAULT_CONFIRMATIONS = { 31337: 0 };
+const FALLBACK_CONFIRMATIONS = 6;
+const DEFAULT_BATCH_SIZE = 2000;
+const DEFAULT_POLL_INTERVAL_MS = { 31337: 1000 };
+const FALLBACK_POLL_INTERVAL_MS = 12000;
+
+function parseArgs(argv) {
+  const options = { network: process.env.INDEXER_NETWORK || "localhost", once: false, reset: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--once") options.once = true;
+    else if (arg === "--reset") options.reset = true;
+    else if (arg.startsWith("--")) {
+      const key = arg.slice(2).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+      options[key] = argv[++i];
+    }
+  }
+  return options;
+}
+
+// Contract address and start block from the deployment record, unless overridden
+function resolveTarget(network, options) {
+  const recordFile = path.join(DEPLOYMENTS_DIR, `${network.name}-deployment.json`);
+  const record = fs.existsSync(recordFile) ? JSON.parse(fs.readFileSync(recordFile, "utf8")) : {};
+
+  const contractAddress = options.address || record.contractAddress || network.contractAddress;
+  if (!contractAddress) {
+    throw new Error(`No DigitalCourt address for ${network.name}: deploy first or pass --address`);
+  }
+
+  const fromBlock = options.fromBlock ?? deploymentBlock(network.chainId);
+  if (fromBlock === null) {
+    throw new Error(`No deployment block recorded for ${network.name}: add blockNumber to its deployments/ record or pass --from-block`);
+  }
+  return { contractAddress: ethers.getAddress(contractAddress), startBlock: Number(fromBlock) };
+}
+
+// uint256 values become numbers where they fit, decimal strings otherwise
+function toPlain(value) {
+  if (typeof value === "bigint") {
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+  }
+  return value;
+}
+
+function decodeLog(iface, log) {
+  const parsed = iface.parseLog(log);
+  const args = {};
+  parsed.fragment.inputs.forEach((input, index) => {
+    args[input.name] = toPlain(parsed.args[index]);
+  });
+
+  return {
+    id: `${log.transactionHash}:${log.index}`,
+    name: parsed.name,
+    args,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+  };
+}
+
+/**
+ * Compares stored checkpoints against the chain, newest first, and rolls the
+ * store back to the newest one that still matches. Returns true on a reorg.
+ */
+async function detectReorg(provider, store) {
+  const checkpoints = Object.keys(store.checkpoints).map(Number).sort((a, b) => b - a);
+  if (checkpoints.length === 0) return false;
+
+  for (const [position, blockNumber] of checkpoints.entries()) {
+    const block = await provider.getBlock(blockNumber);
+    if (block && block.hash === store.checkpoints[blockNumber]) {
+      if (position === 0) return false;
+      console.log(`\n⚠️  Reorg detected - rolling back to block ${blockNumber}`);
+      rollbackTo(store, blockNumber);
+      return true;
+    }
+  }
+
+  console.log("\n⚠️  No checkpoint matches the chain (node restarted?) - re-indexing from the start block");
+  rollbackTo(store, store.startBlock - 1);
+  return true;
+}
+
+async function syncOnce(provider, iface, store, file, { confirmations, batchSize }) {
+  const reorged = await detectReorg(provider, store);
+  if (reorged) saveStore(file, store);
+
+  const head = await provider.getBlockNumber();
+  const target = head - confirmations;
+  const topics = [INDEXED_EVENTS.map((name) => iface.getEvent(name).topicHash)];
+
+  while (store.lastProcessedBlock < target) {
+    const fromBlock = store.lastProcessedBlock + 1;
+    const toBlock = Math.min(fromBlock + batchSize - 1, target);
+
+    const logs = await provider.getLogs({ address: store.contractAddress, topics, fromBlock, toBlock });
+    const events = logs.map((log) => decodeLog(iface, log));
+    const { hash: blockHash } = await provider.getBlock(toBlock);
+
+    appendEvents(store, events, { blockNumber: toBlock, blockHash });
+    saveStore(file, store);
+
+    if (events.length > 0 || toBlock === target) {
+      console.log(`📦 Blocks ${fromBlock}-${toBlock}: ${events.length} event(s), ${store.events.length} total`);
+    }
+    for (const event of events) {
+      console.log(`   ${event.name} (block ${event.blockNumber})`, JSON.stringify(event.args));
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const network = getNetwork(options.network);
+  if (!network) {
+    throw new Error(`Unknown network "${options.network}" - see lib/networks.js`);
+  }
+
+  const confirmations = Number(options.confirmations ?? DEFAULT_CONFIRMATIONS[network.chainId] ?? FALLBACK_CONFIRMATIONS);
+  const batchSize = Number(options.batchSize ?? DEFAULT_BATCH_SIZE);
+  const pollInterval = Number(options.pollInterval ?? DEFAULT_POLL_INTERVAL_MS[network.chainId] ?? FALLBACK_POLL_INTERVAL_MS);
+  const { contractAddress, startBlock } = resolveTarget(network, options);
+
+  console.log("=".repeat(60));
+  console.log("Digital Court System - Event Indexer");
+  console.log("=".repeat(60));
+  console.log(`\n🌐 Network: ${network.label} (${network.chainId})`);
+  console.log(`📍 Contract: ${contractAddress}`);
+  console.log(`⛓️  Confirmations: ${confirmations}`);
+
+  const provider = new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true });
+  const iface = new ethers.Interface(abi);
+
+  // Resume from the stored position unless the store belongs to another deployment
+  const file = storePath(network.name);
+  let store = options.reset ? null : loadStore(file);
+  if (store && (store.chainId !== network.chainId || store.contractAddress !== contractAddress)) {
+    console.log(`\n⚠️  ${path.relative(process.cwd(), file)} indexes ${store.contractAddress} - starting over`);
+    store = null;
+  }
+  if (!store) {
+    store = createStore({ network: network.name, chainId: network.chainId, contractAddress, startBlock });
+    console.log(`🆕 Backfilling from block ${startBlock}`);
+  } else {
+    console.log(`▶️  Resuming after block ${store.lastProcessedBlock} (${store.events.length} events stored)`);
+  }
+  console.log(`💾 Store: ${path.relative(process.cwd(), file)}\n`);
+
+  await syncOnce(provider, iface, store, file, { confirmations, batchSize });
+  if (options.once) {
+    provider.destroy();
+    return;
+  }
+
+  console.log(`\n👀 Following new blocks every ${pollInterval}ms (Ctrl+C to stop)`);
+  let stopped = false;
+  process.on("SIGINT", () => {
+    stopped = true;
+  });
+
+  while (!stopped) {
+    await new Promise((resolve) => setTimeout(resolve, pollInterval));
+    try {
+      await syncOnce(provider, iface, store, file, { confirmations, batchSize });
+    } catch (error) {
+      // Keep following through transient RPC failures; the store is only saved per batch
+      console.error("⚠️  Sync failed, retrying:", error.shortMessage || error.message);
+    }
+  }
+
+  console.log(`\n🛑 Stopped after block ${store.lastProcessedBlock}`);
+  provider.destroy();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Indexer failed:");
+    console.error(error);
+    process.exit(1);
+  });
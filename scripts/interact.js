@@ -1,351 +1,487 @@
-const hre = require("hardhat");
+#!/usr/bin/env node
 const fs = require("fs");
 const path = require("path");
-const readline = require("readline");
-
-// Create readline interface for user input
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-function question(query) {
-  return new Promise(resolve => rl.question(query, resolve));
-}
-
-async function main() {
-  console.log("=".repeat(60));
-  console.log("Digital Court System - Contract Interaction");
-  console.log("=".repeat(60));
-
-  const network = hre.network.name;
-  console.log(`\nNetwork: ${network}`);
-
-  // Load deployment information
-  const deploymentFile = path.join(__dirname, "..", "deployments", `${network}-deployment.json`);
-
-  if (!fs.existsSync(deploymentFile)) {
-    console.error(`\n❌ Error: Deployment file not found at ${deploymentFile}`);
-    console.error("Please deploy the contract first using: npm run hardhat:deploy");
-    process.exit(1);
-  }
+const { ethers } = require("ethers");
+const { getNetwork } = require("../lib/networks");
+const { createMockEncryptedInput } = require("../lib/fhe/mockBackend");
+const { generateSalt, computeCommitment } = require("../lib/commitments");
+const { abi } = require("../lib/generated/DigitalCourt.json");
+
+// Non-interactive DigitalCourt CLI for scripts and pipelines.
+//
+//   court case create --title "State v. Doe" --description "..." --jurors 5
+//   court juror certify --file jurors.csv
+//   court vote --case 3 --from 2 --guilty
+//   court decrypt request|status|timeout --case 3
+//   court refund --case 3 --from env:JUROR_KEY
+//
+// Run `court help` for every command. Global options:
+//   --network <name>   Registry network (default: COURT_NETWORK or localhost)
+//   --address <0x..>   Contract address (default: deployment record)
+//   --from <signer>    Account index on the node, keystore:<file> or env:<VAR>
+//                      (default: COURT_PRIVATE_KEY if set, else account 0)
+//   --json             Print one JSON object instead of text
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// certifyJurors and authorizeJurors reject larger arrays
+const MAX_BATCH_SIZE = 100;
+
+const BOOLEAN_FLAGS = new Set(["json", "guilty", "not-guilty", "help"]);
+const REPEATABLE_FLAGS = new Set(["juror"]);
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+      continue;
+    }
 
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
-  const contractAddress = deploymentInfo.contractAddress;
-
-  console.log(`Contract Address: ${contractAddress}`);
-
-  // Connect to the contract
-  const [owner, juror1, juror2, juror3] = await hre.ethers.getSigners();
-  const DigitalCourt = await hre.ethers.getContractFactory("DigitalCourt");
-  const contract = DigitalCourt.attach(contractAddress);
-
-  console.log(`\nConnected as: ${owner.address}`);
-  console.log(`Available accounts: ${[owner, juror1, juror2, juror3].map(s => s.address).join(", ")}`);
-
-  // Interactive menu
-  while (true) {
-    console.log("\n" + "=".repeat(60));
-    console.log("Interaction Menu");
-    console.log("=".repeat(60));
-    console.log("\n1. View Contract Information");
-    console.log("2. Certify Jurors");
-    console.log("3. Create New Legal Case");
-    console.log("4. Authorize Jurors for Case");
-    console.log("5. Cast Private Vote");
-    console.log("6. End Voting");
-    console.log("7. Reveal Results");
-    console.log("8. View Case Information");
-    console.log("9. View All Cases");
-    console.log("10. Check Juror Status");
-    console.log("0. Exit");
-
-    const choice = await question("\nSelect an option: ");
-
-    try {
-      switch (choice.trim()) {
-        case "1":
-          await viewContractInfo(contract);
-          break;
-
-        case "2":
-          await certifyJurors(contract, owner, [juror1, juror2, juror3]);
-          break;
-
-        case "3":
-          await createCase(contract, owner);
-          break;
-
-        case "4":
-          await authorizeJurors(contract, owner, [juror1, juror2, juror3]);
-          break;
-
-        case "5":
-          await castVote(contract, [juror1, juror2, juror3]);
-          break;
-
-        case "6":
-          await endVoting(contract, owner);
-          break;
-
-        case "7":
-          await revealResults(contract, owner);
-          break;
-
-        case "8":
-          await viewCaseInfo(contract);
-          break;
-
-        case "9":
-          await viewAllCases(contract);
-          break;
-
-        case "10":
-          await checkJurorStatus(contract, [juror1, juror2, juror3]);
-          break;
-
-        case "0":
-          console.log("\nExiting...");
-          rl.close();
-          return;
-
-        default:
-          console.log("\n❌ Invalid option. Please try again.");
-      }
-    } catch (error) {
-      console.error("\n❌ Error:", error.message);
+    const name = arg.slice(2);
+    if (BOOLEAN_FLAGS.has(name)) {
+      flags[name] = true;
+    } else if (i + 1 >= argv.length) {
+      throw new UsageError(`--${name} needs a value`);
+    } else if (REPEATABLE_FLAGS.has(name)) {
+      flags[name] = [...(flags[name] || []), argv[++i]];
+    } else {
+      flags[name] = argv[++i];
     }
   }
+  return { positionals, flags };
 }
 
-async function viewContractInfo(contract) {
-  console.log("\n" + "-".repeat(60));
-  console.log("Contract Information");
-  console.log("-".repeat(60));
-
-  const owner = await contract.owner();
-  const caseCount = await contract.caseCount();
-  const votingDuration = await contract.VOTING_DURATION();
-  const minJurors = await contract.MIN_JURORS();
-  const maxJurors = await contract.MAX_JURORS();
-
-  console.log(`\nOwner: ${owner}`);
-  console.log(`Total Cases: ${caseCount.toString()}`);
-  console.log(`Voting Duration: ${votingDuration.toString()} seconds (${Number(votingDuration) / 86400} days)`);
-  console.log(`Min Jurors: ${minJurors.toString()}`);
-  console.log(`Max Jurors: ${maxJurors.toString()}`);
+function requireFlag(flags, name) {
+  if (flags[name] === undefined) throw new UsageError(`Missing --${name}`);
+  return flags[name];
 }
 
-async function certifyJurors(contract, owner, jurors) {
-  console.log("\n" + "-".repeat(60));
-  console.log("Certifying Jurors");
-  console.log("-".repeat(60));
-
-  const jurorAddresses = jurors.map(j => j.address);
-  console.log(`\nCertifying ${jurorAddresses.length} jurors...`);
-
-  const tx = await contract.connect(owner).certifyJurors(jurorAddresses);
-  console.log(`Transaction Hash: ${tx.hash}`);
-  await tx.wait();
-
-  console.log("✓ Jurors certified successfully");
-
-  for (const juror of jurors) {
-    const isCertified = await contract.certifiedJurors(juror.address);
-    const reputation = await contract.jurorReputation(juror.address);
-    console.log(`  - ${juror.address}: Certified=${isCertified}, Reputation=${reputation.toString()}`);
-  }
+function caseIdFrom(flags) {
+  const value = requireFlag(flags, "case");
+  if (!/^\d+$/.test(value)) throw new UsageError(`--case must be a case number, got "${value}"`);
+  return BigInt(value);
 }
 
-async function createCase(contract, owner) {
-  console.log("\n" + "-".repeat(60));
-  console.log("Create New Legal Case");
-  console.log("-".repeat(60));
-
-  const title = await question("\nCase Title: ");
-  const description = await question("Case Description: ");
-  const evidenceHash = await question("Evidence Hash (IPFS/URL): ");
-  const requiredJurors = await question("Required Jurors (3-12): ");
-
-  console.log("\nCreating case...");
-  const tx = await contract.connect(owner).createCase(
-    title,
-    description,
-    evidenceHash,
-    parseInt(requiredJurors)
-  );
-
-  console.log(`Transaction Hash: ${tx.hash}`);
-  const receipt = await tx.wait();
-
-  const event = receipt.logs.find(log => {
-    try {
-      return contract.interface.parseLog(log).name === "CaseCreated";
-    } catch {
-      return false;
-    }
-  });
-
-  if (event) {
-    const parsedEvent = contract.interface.parseLog(event);
-    console.log(`✓ Case created with ID: ${parsedEvent.args.caseId.toString()}`);
+// Addresses from repeated --juror flags and/or a CSV file (first column; header and # comments skipped)
+function jurorsFrom(flags) {
+  const addresses = [...(flags.juror || [])];
+  if (flags.file) {
+    const lines = fs.readFileSync(flags.file, "utf8").split(/\r?\n/);
+    lines.forEach((line, index) => {
+      const cell = line.split(",")[0].trim();
+      if (!cell || cell.startsWith("#")) return;
+      if (index === 0 && !ethers.isAddress(cell)) return; // header row
+      addresses.push(cell);
+    });
   }
-}
-
-async function authorizeJurors(contract, owner, jurors) {
-  console.log("\n" + "-".repeat(60));
-  console.log("Authorize Jurors for Case");
-  console.log("-".repeat(60));
+  if (addresses.length === 0) throw new UsageError("Pass --juror <address> or --file <csv>");
 
-  const caseId = await question("\nCase ID: ");
-  const jurorAddresses = jurors.map(j => j.address);
-
-  console.log(`\nAuthorizing ${jurorAddresses.length} jurors for case ${caseId}...`);
-  const tx = await contract.connect(owner).authorizeJurors(
-    parseInt(caseId),
-    jurorAddresses
-  );
-
-  console.log(`Transaction Hash: ${tx.hash}`);
-  await tx.wait();
-  console.log("✓ Jurors authorized successfully");
+  const invalid = addresses.find((address) => !ethers.isAddress(address));
+  if (invalid) throw new UsageError(`Not an address: ${invalid}`);
+  return [...new Set(addresses.map((address) => ethers.getAddress(address)))];
 }
 
-async function castVote(contract, jurors) {
-  console.log("\n" + "-".repeat(60));
-  console.log("Cast Private Vote");
-  console.log("-".repeat(60));
-
-  const caseId = await question("\nCase ID: ");
-  const jurorIndex = await question(`Select Juror (0-${jurors.length - 1}): `);
-  const vote = await question("Vote (0=Innocent, 1=Guilty): ");
-
-  const juror = jurors[parseInt(jurorIndex)];
-  const commitment = hre.ethers.id(`vote-${caseId}-${juror.address}-${Date.now()}`);
-
-  console.log(`\nCasting vote as ${juror.address}...`);
-  const tx = await contract.connect(juror).castPrivateVote(
-    parseInt(caseId),
-    parseInt(vote),
-    commitment
-  );
-
-  console.log(`Transaction Hash: ${tx.hash}`);
-  await tx.wait();
-  console.log("✓ Vote cast successfully");
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
 }
 
-async function endVoting(contract, owner) {
-  console.log("\n" + "-".repeat(60));
-  console.log("End Voting");
-  console.log("-".repeat(60));
-
-  const caseId = await question("\nCase ID: ");
-
-  console.log(`\nEnding voting for case ${caseId}...`);
-  const tx = await contract.connect(owner).endVoting(parseInt(caseId));
+async function resolveSigner(provider, spec) {
+  if (spec === undefined) {
+    spec = process.env.COURT_PRIVATE_KEY ? "env:COURT_PRIVATE_KEY" : "0";
+  }
 
-  console.log(`Transaction Hash: ${tx.hash}`);
-  await tx.wait();
-  console.log("✓ Voting ended successfully");
+  if (/^\d+$/.test(spec)) {
+    return provider.getSigner(Number(spec));
+  }
+  if (spec.startsWith("env:")) {
+    const key = process.env[spec.slice(4)];
+    if (!key) throw new UsageError(`Environment variable ${spec.slice(4)} is not set`);
+    return new ethers.Wallet(key, provider);
+  }
+  if (spec.startsWith("keystore:")) {
+    const password = process.env.COURT_KEYSTORE_PASSWORD;
+    if (password === undefined) throw new UsageError("Set COURT_KEYSTORE_PASSWORD to unlock the keystore");
+    const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(spec.slice(9), "utf8"), password);
+    return wallet.connect(provider);
+  }
+  throw new UsageError(`--from must be an account index, keystore:<file> or env:<VAR>, got "${spec}"`);
 }
 
-async function revealResults(contract, owner) {
-  console.log("\n" + "-".repeat(60));
-  console.log("Reveal Results");
-  console.log("-".repeat(60));
-
-  const caseId = await question("\nCase ID: ");
-
-  console.log(`\nRevealing results for case ${caseId}...`);
-  const tx = await contract.connect(owner).revealResults(parseInt(caseId));
-
-  console.log(`Transaction Hash: ${tx.hash}`);
-  const receipt = await tx.wait();
-
-  const event = receipt.logs.find(log => {
-    try {
-      return contract.interface.parseLog(log).name === "CaseRevealed";
-    } catch {
-      return false;
-    }
-  });
-
-  if (event) {
-    const parsedEvent = contract.interface.parseLog(event);
-    console.log("\n✓ Results Revealed:");
-    console.log(`  Verdict: ${parsedEvent.args.verdict ? "GUILTY" : "INNOCENT"}`);
-    console.log(`  Guilty Votes: ${parsedEvent.args.guiltyVotes.toString()}`);
-    console.log(`  Innocent Votes: ${parsedEvent.args.innocentVotes.toString()}`);
-    console.log(`  Total Jurors: ${parsedEvent.args.totalJurors.toString()}`);
+function resolveContractAddress(network, flags) {
+  const recordFile = path.join(DEPLOYMENTS_DIR, `${network.name}-deployment.json`);
+  const record = fs.existsSync(recordFile) ? JSON.parse(fs.readFileSync(recordFile, "utf8")) : {};
+  const contractAddress = flags.address || record.contractAddress || network.contractAddress;
+  if (!contractAddress) {
+    throw new UsageError(`No DigitalCourt address for ${network.name}: deploy first or pass --address`);
   }
+  return contractAddress;
 }
 
-async function viewCaseInfo(contract) {
-  console.log("\n" + "-".repeat(60));
-  console.log("View Case Information");
-  console.log("-".repeat(60));
-
-  const caseId = await question("\nCase ID: ");
-
-  const caseInfo = await contract.getCaseInfo(parseInt(caseId));
-
-  console.log("\nCase Details:");
-  console.log(`  Title: ${caseInfo.title}`);
-  console.log(`  Description: ${caseInfo.description}`);
-  console.log(`  Evidence Hash: ${caseInfo.evidenceHash}`);
-  console.log(`  Judge: ${caseInfo.judge}`);
-  console.log(`  Start Time: ${new Date(Number(caseInfo.startTime) * 1000).toLocaleString()}`);
-  console.log(`  End Time: ${new Date(Number(caseInfo.endTime) * 1000).toLocaleString()}`);
-  console.log(`  Required Jurors: ${caseInfo.requiredJurors.toString()}`);
-  console.log(`  Active: ${caseInfo.active}`);
-  console.log(`  Revealed: ${caseInfo.revealed}`);
-  console.log(`  Verdict: ${caseInfo.verdict ? "GUILTY" : "INNOCENT"}`);
-  console.log(`  Juror Count: ${caseInfo.jurorCount.toString()}`);
+async function send(ctx, method, ...args) {
+  const contract = ctx.contract.connect(await ctx.signer());
+  const tx = await contract[method](...args);
+  const receipt = await tx.wait();
+  const events = receipt.logs
+    .map((log) => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  return {
+    transaction: { hash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() },
+    events,
+  };
 }
 
-async function viewAllCases(contract) {
-  console.log("\n" + "-".repeat(60));
-  console.log("All Cases");
-  console.log("-".repeat(60));
-
-  const caseCount = await contract.caseCount();
-  console.log(`\nTotal Cases: ${caseCount.toString()}\n`);
+async function readCase(contract, caseId) {
+  const info = await contract.getCaseInfo(caseId);
+  return {
+    id: Number(caseId),
+    title: info.title,
+    description: info.description,
+    evidenceHash: info.evidenceHash,
+    judge: info.judge,
+    startTime: Number(info.startTime),
+    endTime: Number(info.endTime),
+    requiredJurors: Number(info.requiredJurors),
+    active: info.active,
+    revealed: info.revealed,
+    verdict: info.revealed ? (info.verdict ? "GUILTY" : "NOT GUILTY") : null,
+    jurorCount: Number(info.jurorCount),
+    decryptionRequested: info.decryptionRequested,
+    decryptionDeadline: Number(info.decryptionDeadline),
+    refundEnabled: info.refundEnabled,
+  };
+}
 
-  if (caseCount > 0) {
-    const cases = await contract.getCases(0, caseCount);
+const txLine = (result) => `   Transaction: ${result.transaction.hash} (block ${result.transaction.blockNumber}, gas ${result.transaction.gasUsed})`;
+const formatTime = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : "-");
+
+// Each command returns a JSON-serializable result; `print` renders it as text
+const COMMANDS = {
+  info: {
+    usage: "info",
+    async run({ contract, network, contractAddress }) {
+      const [owner, caseCount, votingDuration, decryptionTimeout, minJurors, maxJurors] = await Promise.all([
+        contract.owner(),
+        contract.caseCount(),
+        contract.VOTING_DURATION(),
+        contract.DECRYPTION_TIMEOUT(),
+        contract.MIN_JURORS(),
+        contract.MAX_JURORS(),
+      ]);
+      return {
+        network: network.name,
+        chainId: network.chainId,
+        contractAddress,
+        owner,
+        caseCount: Number(caseCount),
+        votingDuration: Number(votingDuration),
+        decryptionTimeout: Number(decryptionTimeout),
+        minJurors: Number(minJurors),
+        maxJurors: Number(maxJurors),
+      };
+    },
+    print(result) {
+      console.log(`🌐 Network: ${result.network} (${result.chainId})`);
+      console.log(`📍 Contract: ${result.contractAddress}`);
+      console.log(`👑 Owner: ${result.owner}`);
+      console.log(`📚 Cases: ${result.caseCount}`);
+      console.log(`⏱️  Voting ${result.votingDuration / 86400} days, decryption timeout ${result.decryptionTimeout / 86400} days`);
+      console.log(`⚖️  Jurors per case: ${result.minJurors}-${result.maxJurors}`);
+    },
+  },
+
+  "case create": {
+    usage: "case create --title <text> --description <text> --jurors <n> [--evidence <hash>]",
+    async run(ctx, flags) {
+      const result = await send(
+        ctx,
+        "createCase",
+        requireFlag(flags, "title"),
+        requireFlag(flags, "description"),
+        flags.evidence || "",
+        Number(requireFlag(flags, "jurors"))
+      );
+      const created = result.events.find((event) => event.name === "CaseCreated");
+      return { caseId: Number(created.args.caseId), judge: created.args.judge, endTime: Number(created.args.endTime), transaction: result.transaction };
+    },
+    print(result) {
+      console.log(`✅ Case ${result.caseId} created, voting until ${formatTime(result.endTime)}`);
+      console.log(txLine(result));
+    },
+  },
+
+  "case show": {
+    usage: "case show --case <id>",
+    run: ({ contract }, flags) => readCase(contract, caseIdFrom(flags)),
+    print(legalCase) {
+      console.log(`📁 Case ${legalCase.id}: ${legalCase.title}`);
+      console.log(`   Judge: ${legalCase.judge}`);
+      console.log(`   Voting: ${formatTime(legalCase.startTime)} → ${formatTime(legalCase.endTime)} (${legalCase.active ? "open" : "closed"})`);
+      console.log(`   Jurors: ${legalCase.jurorCount} / ${legalCase.requiredJurors}`);
+      console.log(`   Decryption: ${legalCase.decryptionRequested ? `requested, deadline ${formatTime(legalCase.decryptionDeadline)}` : "not requested"}`);
+      console.log(`   Verdict: ${legalCase.verdict || "not revealed"}${legalCase.refundEnabled ? " (refunds enabled)" : ""}`);
+    },
+  },
+
+  "case list": {
+    usage: "case list [--offset <n>] [--limit <n>]",
+    async run({ contract }, flags) {
+      const offset = Number(flags.offset || 0);
+      const limit = Number(flags.limit || (await contract.caseCount()));
+      const { caseIds, titles, activeStates, revealedStates } = await contract.getCases(offset, limit);
+      return {
+        cases: caseIds.map((caseId, i) => ({ id: Number(caseId), title: titles[i], active: activeStates[i], revealed: revealedStates[i] })),
+      };
+    },
+    print({ cases }) {
+      if (cases.length === 0) console.log("No cases filed yet.");
+      for (const legalCase of cases) {
+        console.log(`#${legalCase.id} ${legalCase.title} - ${legalCase.revealed ? "revealed" : legalCase.active ? "voting" : "closed"}`);
+      }
+    },
+  },
+
+  "case authorize": {
+    usage: "case authorize --case <id> (--juror <address>... | --file <csv>)",
+    async run(ctx, flags) {
+      const caseId = caseIdFrom(flags);
+      const jurors = jurorsFrom(flags);
+      const transactions = [];
+      for (const batch of chunk(jurors, MAX_BATCH_SIZE)) {
+        transactions.push((await send(ctx, "authorizeJurors", caseId, batch)).transaction);
+      }
+      return { caseId: Number(caseId), jurors, transactions };
+    },
+    print(result) {
+      console.log(`✅ Authorized ${result.jurors.length} juror(s) for case ${result.caseId} in ${result.transactions.length} transaction(s)`);
+    },
+  },
+
+  "case end": {
+    usage: "case end --case <id>",
+    async run(ctx, flags) {
+      const caseId = caseIdFrom(flags);
+      const result = await send(ctx, "endVoting", caseId);
+      return { caseId: Number(caseId), transaction: result.transaction };
+    },
+    print(result) {
+      console.log(`✅ Voting closed on case ${result.caseId}`);
+      console.log(txLine(result));
+    },
+  },
+
+  "juror certify": {
+    usage: "juror certify (--juror <address>... | --file <csv>)",
+    async run(ctx, flags) {
+      const jurors = jurorsFrom(flags);
+      const certified = await Promise.all(jurors.map((juror) => ctx.contract.certifiedJurors(juror)));
+      const pending = jurors.filter((_, i) => !certified[i]);
+      const transactions = [];
+      for (const batch of chunk(pending, MAX_BATCH_SIZE)) {
+        transactions.push((await send(ctx, "certifyJurors", batch)).transaction);
+      }
+      return { certified: pending, alreadyCertified: jurors.filter((_, i) => certified[i]), transactions };
+    },
+    print(result) {
+      console.log(`✅ Certified ${result.certified.length} juror(s) in ${result.transactions.length} transaction(s)`);
+      if (result.alreadyCertified.length > 0) {
+        console.log(`   Skipped ${result.alreadyCertified.length} already certified`);
+      }
+    },
+  },
+
+  "juror status": {
+    usage: "juror status --juror <address>",
+    async run({ contract }, flags) {
+      const juror = jurorsFrom({ juror: flags.juror })[0];
+      const [certified, reputation] = await Promise.all([contract.certifiedJurors(juror), contract.getJurorReputation(juror)]);
+      return { juror, certified, reputation: Number(reputation) };
+    },
+    print(result) {
+      console.log(`👤 ${result.juror}: ${result.certified ? "certified" : "not certified"}, reputation ${result.reputation}`);
+    },
+  },
+
+  vote: {
+    usage: "vote --case <id> (--guilty | --not-guilty) [--from <signer>]",
+    async run(ctx, flags) {
+      if (flags.guilty === flags["not-guilty"]) throw new UsageError("Pass exactly one of --guilty or --not-guilty");
+      if (ctx.network.fhe.backend !== "mock") {
+        throw new UsageError(`${ctx.network.label} needs fhevmjs encryption; vote through the web app`);
+      }
 
-    for (let i = 0; i < cases.caseIds.length; i++) {
-      console.log(`Case ${cases.caseIds[i].toString()}:`);
-      console.log(`  Title: ${cases.titles[i]}`);
-      console.log(`  Active: ${cases.activeStates[i]}`);
-      console.log(`  Revealed: ${cases.revealedStates[i]}`);
-      console.log("");
-    }
+      const caseId = caseIdFrom(flags);
+      const vote = flags.guilty ? 1 : 0;
+      const juror = await (await ctx.signer()).getAddress();
+      const { handles } = await createMockEncryptedInput(ctx.contractAddress, juror).add8(vote).encrypt();
+      const salt = generateSalt();
+      const commitment = computeCommitment({ chainId: ctx.network.chainId, contractAddress: ctx.contractAddress, caseId, juror, vote, salt });
+
+      const result = await send(ctx, "castPrivateVote", caseId, ethers.hexlify(handles[0]), commitment);
+      return { caseId: Number(caseId), juror, salt, commitment, transaction: result.transaction };
+    },
+    print(result) {
+      console.log(`✅ Vote cast on case ${result.caseId} by ${result.juror}`);
+      console.log(`   Commitment: ${result.commitment}`);
+      console.log(`   Salt: ${result.salt} (keep it private to prove your vote later)`);
+      console.log(txLine(result));
+    },
+  },
+
+  "decrypt request": {
+    usage: "decrypt request --case <id>",
+    async run(ctx, flags) {
+      const caseId = caseIdFrom(flags);
+      const result = await send(ctx, "requestDecryption", caseId);
+      const requested = result.events.find((event) => event.name === "DecryptionRequested");
+      return {
+        caseId: Number(caseId),
+        requestId: requested.args.requestId.toString(),
+        deadline: Number(requested.args.deadline),
+        transaction: result.transaction,
+      };
+    },
+    print(result) {
+      console.log(`✅ Decryption requested for case ${result.caseId}, deadline ${formatTime(result.deadline)}`);
+      console.log(`   Request ID: ${result.requestId}`);
+      console.log(txLine(result));
+    },
+  },
+
+  "decrypt status": {
+    usage: "decrypt status --case <id>",
+    async run({ contract, provider }, flags) {
+      const caseId = caseIdFrom(flags);
+      const [status, legalCase, latest] = await Promise.all([
+        contract.getDecryptionStatus(caseId),
+        readCase(contract, caseId),
+        provider.getBlock("latest"),
+      ]);
+      return {
+        caseId: Number(caseId),
+        requested: status.requested,
+        deadline: Number(status.deadline),
+        failed: status.failed,
+        refundAvailable: status.refundAvailable,
+        expired: status.requested && BigInt(latest.timestamp) > status.deadline,
+        revealed: legalCase.revealed,
+        verdict: legalCase.verdict,
+      };
+    },
+    print(result) {
+      if (!result.requested) {
+        console.log(`🔒 Decryption not requested for case ${result.caseId}`);
+      } else if (result.revealed) {
+        console.log(`✅ Case ${result.caseId} revealed: ${result.verdict}`);
+      } else if (result.refundAvailable) {
+        console.log(`↩️  Decryption ${result.failed ? "failed" : "timed out"} on case ${result.caseId}; refunds enabled`);
+      } else if (result.expired) {
+        console.log(`⌛ Gateway deadline passed on case ${result.caseId}; run \`decrypt timeout\` to enable refunds`);
+      } else {
+        console.log(`⏳ Case ${result.caseId} awaiting the Gateway until ${formatTime(result.deadline)}`);
+      }
+    },
+  },
+
+  "decrypt timeout": {
+    usage: "decrypt timeout --case <id>",
+    async run(ctx, flags) {
+      const caseId = caseIdFrom(flags);
+      const result = await send(ctx, "handleDecryptionTimeout", caseId);
+      return { caseId: Number(caseId), transaction: result.transaction };
+    },
+    print(result) {
+      console.log(`✅ Timeout triggered on case ${result.caseId}; jurors may claim refunds`);
+      console.log(txLine(result));
+    },
+  },
+
+  refund: {
+    usage: "refund --case <id> [--juror <address>] [--from <signer>]",
+    async run(ctx, flags) {
+      const caseId = caseIdFrom(flags);
+      const juror = flags.juror ? jurorsFrom({ juror: flags.juror })[0] : ethers.ZeroAddress;
+      const result = await send(ctx, "processRefund", caseId, juror);
+      const issued = result.events.find((event) => event.name === "RefundIssued");
+      return { caseId: Number(caseId), juror: issued.args.juror, reason: issued.args.reason, transaction: result.transaction };
+    },
+    print(result) {
+      console.log(`✅ Refund issued to ${result.juror} on case ${result.caseId} (${result.reason})`);
+      console.log(txLine(result));
+    },
+  },
+};
+
+function printHelp() {
+  console.log("Usage: court <command> [options]\n");
+  console.log("Commands:");
+  for (const { usage } of Object.values(COMMANDS)) {
+    console.log(`  ${usage}`);
   }
+  console.log("\nGlobal options: --network <name>, --address <0x..>, --from <index|keystore:<file>|env:<VAR>>, --json");
 }
 
-async function checkJurorStatus(contract, jurors) {
-  console.log("\n" + "-".repeat(60));
-  console.log("Juror Status");
-  console.log("-".repeat(60));
-
-  for (const juror of jurors) {
-    const isCertified = await contract.certifiedJurors(juror.address);
-    const reputation = await contract.jurorReputation(juror.address);
+async function main() {
+  const { positionals, flags } = parseArgs(process.argv.slice(2));
+  const name = [positionals.join(" "), positionals[0]].find((candidate) => COMMANDS[candidate]);
+  if (!name || flags.help) {
+    printHelp();
+    if (!name && positionals.length > 0 && positionals[0] !== "help") {
+      throw new UsageError(`Unknown command "${positionals.join(" ")}"`);
+    }
+    return;
+  }
 
-    console.log(`\n${juror.address}:`);
-    console.log(`  Certified: ${isCertified}`);
-    console.log(`  Reputation: ${reputation.toString()}`);
+  const networkName = flags.network || process.env.COURT_NETWORK || "localhost";
+  const network = getNetwork(networkName);
+  if (!network) throw new UsageError(`Unknown network "${networkName}" - see lib/networks.js`);
+
+  const contractAddress = resolveContractAddress(network, flags);
+  const provider = new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true });
+
+  // Read-only commands never unlock a signer
+  let signer = null;
+  const ctx = {
+    network,
+    contractAddress,
+    provider,
+    contract: new ethers.Contract(contractAddress, abi, provider),
+    signer: async () => (signer = signer || (await resolveSigner(provider, flags.from))),
+  };
+
+  try {
+    const result = await COMMANDS[name].run(ctx, flags);
+    if (flags.json) {
+      console.log(JSON.stringify({ command: name, ok: true, ...result }, null, 2));
+    } else {
+      COMMANDS[name].print(result);
+    }
+  } finally {
+    provider.destroy();
   }
 }
 
-// Execute interaction
 main()
   .then(() => process.exit(0))
   .catch((error) => {
-    console.error("\n❌ Interaction script failed:");
-    console.error(error);
-    rl.close();
-    process.exit(1);
+    const message = error.reason || error.shortMessage || error.message;
+    if (process.argv.includes("--json")) {
+      console.log(JSON.stringify({ ok: false, error: message }, null, 2));
+    } else {
+      console.error(`\n❌ ${message}`);
+      if (error instanceof UsageError) console.error("Run `court help` for usage.");
+    }
+    process.exit(error instanceof UsageError ? 2 : 1);
   });
@@ -1,204 +1,415 @@
+const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { LOOPS, walk, loadProjectSources, isStorageReference } = require("../lib/solidityAst");
+const { toSarif } = require("../lib/sarif");
 
-console.log("=".repeat(60));
-console.log("Gas Optimization Analyzer");
-console.log("=".repeat(60));
+// Gas analyzer: walks the solc AST of every contract under contracts/ (taken from
+// Hardhat's build-info, so it sees exactly what the compiler saw) and reports
+// concrete findings with file:line:
+//
+//   storage-read-in-loop     state reads repeated on every loop iteration
+//   packable-struct          struct fields that fit in fewer storage slots
+//   long-revert-string       require/revert messages longer than 32 bytes
+//   public-not-called        public functions never called internally
+//
+// Writes reports/gas-analysis.json and reports/gas-analysis.sarif.
+//
+//   node scripts/optimize-gas.js
+//   node scripts/optimize-gas.js --report-dir /tmp/gas
+//
+// Under `npx hardhat run`, which passes no arguments, GAS_REPORT_DIR does the same.
+//
+// Loop counters are not checked: since solc 0.8.22 the `i++` of a simple for loop
+// is already unchecked, so rewriting it as `unchecked { ++i; }` saves nothing.
 
-const contractPath = path.join(__dirname, "..", "contracts", "DigitalCourt.sol");
+const ROOT_DIR = path.join(__dirname, "..");
+const DEFAULT_REPORT_DIR = path.join(ROOT_DIR, "reports");
 
-if (!fs.existsSync(contractPath)) {
-  console.error("❌ Contract file not found");
-  process.exit(1);
-}
-
-const contractContent = fs.readFileSync(contractPath, "utf8");
-
-console.log("\n📊 Analyzing contract for gas optimization opportunities...\n");
+// Revert strings up to one word are stored inline; longer ones cost an extra word
+const REVERT_STRING_LIMIT = 32;
+// uint256 fields with these names hold timestamps, for which uint64 lasts until year 2554
+const TIMESTAMP_FIELD = /(time|timestamp|deadline)$/i;
 
-let optimizationCount = 0;
+const RULES = {
+  "storage-read-in-loop": {
+    name: "StorageReadInLoop",
+    level: "warning",
+    description: "A storage value is read on every loop iteration. Loop-invariant reads can be cached in a local before the loop.",
+  },
+  "packable-struct": {
+    name: "PackableStruct",
+    level: "warning",
+    description: "Struct fields could share storage slots if reordered or declared with narrower types.",
+  },
+  "long-revert-string": {
+    name: "LongRevertString",
+    level: "note",
+    description: `Revert strings longer than ${REVERT_STRING_LIMIT} bytes take an extra word in bytecode and revert data.`,
+  },
+  "public-not-called": {
+    name: "PublicNotCalledInternally",
+    level: "note",
+    description: "A public function is never called from inside the contracts and can be declared external.",
+  },
+};
 
-// Check 1: State Variable Packing
-console.log("1. State Variable Packing:");
-const stateVars = contractContent.match(/uint256\s+public\s+\w+/g);
-if (stateVars && stateVars.length > 0) {
-  console.log(`   ℹ️  Found ${stateVars.length} uint256 state variables`);
-  console.log("   💡 Consider using smaller types (uint8, uint16, uint32) where possible");
-  console.log("   💡 Group smaller types together for storage packing");
-  optimizationCount++;
+function parseArgs(argv) {
+  const options = { reportDir: process.env.GAS_REPORT_DIR || DEFAULT_REPORT_DIR };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--report-dir") options.reportDir = argv[++i];
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return options;
 }
 
-// Check 2: Constant and Immutable Variables
-console.log("\n2. Constant/Immutable Usage:");
-const publicConstants = contractContent.match(/uint256\s+public\s+constant/g);
-if (publicConstants) {
-  console.log(`   ✅ Found ${publicConstants.length} constant variables`);
-} else {
-  console.log("   ⚠️  No constant variables found - consider marking unchanging values as constant");
-  optimizationCount++;
-}
+const finding = (ctx, ruleId, node, message, details = {}, level = RULES[ruleId].level) => ({
+  ruleId,
+  level,
+  ...ctx.locate(node),
+  message,
+  details,
+});
 
-// Check 3: Memory vs Storage
-console.log("\n3. Memory vs Storage Usage:");
-const memoryUsage = contractContent.match(/memory/g);
-const storageUsage = contractContent.match(/storage/g);
-if (memoryUsage) {
-  console.log(`   ✅ Memory keyword used ${memoryUsage.length} times`);
-}
-if (storageUsage) {
-  console.log(`   ℹ️  Storage keyword used ${storageUsage.length} times`);
-  console.log("   💡 Verify storage is necessary - memory is cheaper for temporary data");
+// ============ storage-read-in-loop ============
+
+// Only values copied out of storage count as reads; references to mappings, structs and
+// arrays, and bare storage pointers, cost nothing until they are dereferenced
+function isValueRead(node) {
+  const type = node.typeDescriptions?.typeString || "";
+  if (type.startsWith("function")) return false;
+  if (/^(string|bytes) storage/.test(type)) return true;
+  return !/ storage (ref|pointer)$/.test(type);
 }
 
-// Check 4: Loop Optimizations
-console.log("\n4. Loop Optimizations:");
-const forLoops = contractContent.match(/for\s*\([^)]*\)/g);
-if (forLoops) {
-  console.log(`   ℹ️  Found ${forLoops.length} for loops`);
-  forLoops.forEach((loop, i) => {
-    if (loop.includes(".length")) {
-      console.log(`   💡 Loop ${i + 1}: Cache array length before loop`);
-      optimizationCount++;
+/** Source text of everything the loop writes, or null if it calls a state-changing function. */
+function loopWrites(ctx, loop) {
+  const targets = [];
+  let opaque = false;
+  walk(loop, (node) => {
+    if (node.nodeType === "Assignment") targets.push(ctx.text(node.leftHandSide));
+    if (node.nodeType === "UnaryOperation" && ["++", "--", "delete"].includes(node.operator)) {
+      targets.push(ctx.text(node.subExpression));
+    }
+    if (node.nodeType === "FunctionCall" && node.expression.nodeType === "MemberAccess" && ["push", "pop"].includes(node.expression.memberName)) {
+      targets.push(ctx.text(node.expression.expression));
     }
-    if (loop.includes("i++")) {
-      console.log(`   💡 Loop ${i + 1}: Use unchecked{++i} for gas savings`);
-      optimizationCount++;
+    if (node.nodeType === "FunctionCall") {
+      const callee = ctx.nodes.get(node.expression.referencedDeclaration);
+      if (callee?.nodeType === "FunctionDefinition" && !["view", "pure"].includes(callee.stateMutability)) opaque = true;
     }
   });
+  return opaque ? null : targets;
 }
 
-// Check 5: External vs Public Functions
-console.log("\n5. Function Visibility:");
-const publicFunctions = contractContent.match(/function\s+\w+\([^)]*\)\s+external/g);
-const externalFunctions = contractContent.match(/function\s+\w+\([^)]*\)\s+public/g);
-if (publicFunctions) {
-  console.log(`   ✅ External functions: ${publicFunctions.length}`);
-}
-if (externalFunctions) {
-  console.log(`   ℹ️  Public functions: ${externalFunctions.length}`);
-  console.log("   💡 Use 'external' instead of 'public' if not called internally");
-  optimizationCount++;
+const overlaps = (a, b) => a === b || a.startsWith(`${b}.`) || a.startsWith(`${b}[`) || b.startsWith(`${a}.`) || b.startsWith(`${a}[`);
+
+function findStorageReadsInLoops(ctx, sourceUnit) {
+  const reads = new Map();
+
+  walk(sourceUnit, (node, ancestors) => {
+    if (!["Identifier", "MemberAccess", "IndexAccess"].includes(node.nodeType)) return;
+    if (!isStorageReference(ctx, node) || !isValueRead(node)) return;
+
+    // Report the outermost access of a chain such as cases[id].jurors.length once
+    const parent = ancestors[ancestors.length - 1];
+    if (parent.nodeType === "MemberAccess" && parent.expression === node) return;
+    if (parent.nodeType === "IndexAccess" && parent.baseExpression === node) return;
+    if (parent.nodeType === "Assignment" && parent.operator === "=" && parent.leftHandSide === node) return;
+    if (parent.nodeType === "UnaryOperation" && parent.operator === "delete") return;
+
+    const loopIndex = ancestors.findLastIndex((ancestor) => LOOPS.has(ancestor.nodeType));
+    if (loopIndex === -1) return;
+    const loop = ancestors[loopIndex];
+    // The initializer runs once, not per iteration
+    if (loop.initializationExpression && ancestors[loopIndex + 1] === loop.initializationExpression) return;
+
+    const text = ctx.text(node);
+    const key = `${loop.id}:${text}`;
+    if (!reads.has(key)) reads.set(key, { loop, node, text, count: 0 });
+    reads.get(key).count++;
+  });
+
+  const findings = [];
+  for (const { loop, node, text, count } of reads.values()) {
+    const loopLine = ctx.locate(loop).line;
+    const loopLocals = new Set();
+    walk(loop, (child) => {
+      if (child.nodeType === "VariableDeclaration") loopLocals.add(child.id);
+    });
+    let dependsOnLoop = false;
+    walk(node, (child) => {
+      if (child.nodeType === "Identifier" && loopLocals.has(child.referencedDeclaration)) dependsOnLoop = true;
+    });
+    const writes = loopWrites(ctx, loop);
+    const invariant = !dependsOnLoop && writes !== null && !writes.some((target) => overlaps(target, text));
+    const times = count > 1 ? ` (${count} reads per iteration)` : "";
+
+    findings.push(
+      invariant
+        ? finding(
+            ctx,
+            "storage-read-in-loop",
+            node,
+            `\`${text}\` is read from storage on every iteration of the loop at line ${loopLine}${times}; cache it in a local before the loop`,
+            { expression: text, loopLine, readsPerIteration: count, loopInvariant: true }
+          )
+        : finding(
+            ctx,
+            "storage-read-in-loop",
+            node,
+            `\`${text}\` reads storage on every iteration of the loop at line ${loopLine}${times}`,
+            { expression: text, loopLine, readsPerIteration: count, loopInvariant: false },
+            "note"
+          )
+    );
+  }
+  return findings;
 }
 
-// Check 6: String Usage
-console.log("\n6. String Usage:");
-const stringVars = contractContent.match(/string\s+(memory|storage)/g);
-if (stringVars && stringVars.length > 5) {
-  console.log(`   ⚠️  Heavy string usage detected (${stringVars.length} instances)`);
-  console.log("   💡 Consider using bytes32 for fixed-length strings");
-  console.log("   💡 Store large strings off-chain (IPFS) and reference by hash");
-  optimizationCount++;
+// ============ packable-struct ============
+
+/** Bytes a value type occupies in storage, or null for types that always take whole slots. */
+function storageSize(typeString) {
+  if (typeString === "bool" || typeString.startsWith("enum ")) return 1;
+  if (/^address( payable)?$/.test(typeString) || typeString.startsWith("contract ")) return 20;
+  const integer = /^u?int(\d+)$/.exec(typeString);
+  if (integer) return Number(integer[1]) / 8;
+  const fixedBytes = /^bytes(\d+)$/.exec(typeString);
+  if (fixedBytes) return Number(fixedBytes[1]);
+  return null;
 }
 
-// Check 7: Event Usage
-console.log("\n7. Event Emissions:");
-const events = contractContent.match(/emit\s+\w+/g);
-if (events) {
-  console.log(`   ✅ Found ${events.length} event emissions`);
-  console.log("   ℹ️  Events are cheaper than storage for logging");
+/** Slots used by fields laid out in the given order, following solc's packing rules. */
+function countSlots(fields) {
+  let slots = 0;
+  let free = 0;
+  for (const { size } of fields) {
+    if (size === null) {
+      slots++;
+      free = 0;
+      continue;
+    }
+    if (size > free) {
+      slots++;
+      free = 32;
+    }
+    free -= size;
+  }
+  return slots;
 }
 
-// Check 8: Mapping vs Array
-console.log("\n8. Data Structure Usage:");
-const mappings = contractContent.match(/mapping\(/g);
-const arrays = contractContent.match(/\[\]\s+(public|private|internal)/g);
-if (mappings) {
-  console.log(`   ✅ Mappings used: ${mappings.length} (efficient for lookups)`);
+/** Whole-slot fields first, then small fields grouped first-fit by decreasing size. */
+function packedOrder(fields) {
+  const bins = [];
+  const small = fields.filter((field) => field.size !== null).sort((a, b) => b.size - a.size);
+  for (const field of small) {
+    const bin = bins.find((candidate) => candidate.free >= field.size);
+    if (bin) {
+      bin.fields.push(field);
+      bin.free -= field.size;
+    } else {
+      bins.push({ fields: [field], free: 32 - field.size });
+    }
+  }
+  return [...fields.filter((field) => field.size === null), ...bins.flatMap((bin) => bin.fields)];
 }
-if (arrays && arrays.length > 3) {
-  console.log(`   ℹ️  Arrays used: ${arrays.length}`);
-  console.log("   💡 Verify arrays don't grow unbounded (DoS risk)");
-  optimizationCount++;
+
+function findPackableStructs(ctx, sourceUnit) {
+  const findings = [];
+  walk(sourceUnit, (node) => {
+    if (node.nodeType !== "StructDefinition") return;
+
+    const fields = node.members.map((member) => ({
+      name: member.name,
+      type: member.typeDescriptions.typeString,
+      size: storageSize(member.typeDescriptions.typeString),
+    }));
+    const narrowed = fields.map((field) =>
+      field.type === "uint256" && TIMESTAMP_FIELD.test(field.name) ? { ...field, type: "uint64", size: 8 } : field
+    );
+
+    const current = countSlots(fields);
+    const reordered = packedOrder(fields);
+    const narrowedOrder = packedOrder(narrowed);
+    const details = { struct: node.name, slots: current };
+
+    if (countSlots(reordered) < current) {
+      const slots = countSlots(reordered);
+      findings.push(
+        finding(
+          ctx,
+          "packable-struct",
+          node,
+          `struct ${node.name} uses ${current} storage slots; reordering its fields packs it into ${slots}`,
+          { ...details, packedSlots: slots, suggestedOrder: reordered.map((field) => field.name) }
+        )
+      );
+    } else if (countSlots(narrowedOrder) < current) {
+      const slots = countSlots(narrowedOrder);
+      const retyped = narrowed.filter((field, i) => field.type !== fields[i].type).map((field) => field.name);
+      findings.push(
+        finding(
+          ctx,
+          "packable-struct",
+          node,
+          `struct ${node.name} uses ${current} storage slots; declaring ${retyped.join(", ")} as uint64 and grouping the small fields packs it into ${slots}`,
+          {
+            ...details,
+            packedSlots: slots,
+            narrowTo: Object.fromEntries(retyped.map((name) => [name, "uint64"])),
+            suggestedOrder: narrowedOrder.map((field) => field.name),
+          },
+          "note"
+        )
+      );
+    }
+  });
+  return findings;
 }
 
-// Check 9: Require Messages
-console.log("\n9. Error Messages:");
-const requireStatements = contractContent.match(/require\([^,)]+,\s*"[^"]+"/g);
-if (requireStatements) {
-  const longMessages = requireStatements.filter(r => {
-    const match = r.match(/"([^"]+)"/);
-    return match && match[1].length > 32;
+// ============ long-revert-string ============
+
+function findLongRevertStrings(ctx, sourceUnit) {
+  const findings = [];
+  walk(sourceUnit, (node) => {
+    if (node.nodeType !== "FunctionCall" || node.expression.nodeType !== "Identifier") return;
+    const { name } = node.expression;
+    const message = name === "require" ? node.arguments[1] : name === "revert" ? node.arguments[0] : null;
+    if (!message || message.nodeType !== "Literal" || message.kind !== "string") return;
+
+    const bytes = Buffer.byteLength(message.value, "utf8");
+    if (bytes <= REVERT_STRING_LIMIT) return;
+    findings.push(
+      finding(
+        ctx,
+        "long-revert-string",
+        message,
+        `"${message.value}" is ${bytes} bytes; keep revert strings within ${REVERT_STRING_LIMIT} bytes or use a custom error`,
+        { message: message.value, bytes }
+      )
+    );
   });
-  if (longMessages.length > 0) {
-    console.log(`   ⚠️  ${longMessages.length} require statements with long messages`);
-    console.log("   💡 Keep error messages under 32 characters or use custom errors");
-    optimizationCount++;
-  } else {
-    console.log(`   ✅ Error messages are reasonably sized`);
-  }
+  return findings;
 }
 
-// Check 10: Custom Errors (Solidity 0.8.4+)
-console.log("\n10. Custom Errors:");
-if (contractContent.includes("error ")) {
-  console.log("   ✅ Custom errors defined (more gas efficient)");
-} else {
-  console.log("   💡 Consider using custom errors instead of require strings");
-  console.log("   💡 Custom errors save ~50 gas per revert");
-  optimizationCount++;
+// ============ public-not-called ============
+
+// Declarations referenced by internal calls anywhere in the compilation. Calls through
+// `this` or another contract instance are external and do not count.
+function internallyReferenced(ctx) {
+  const referenced = new Set();
+  for (const { ast } of ctx.sources.values()) {
+    walk(ast, (node) => {
+      if (node.nodeType === "Identifier") referenced.add(node.referencedDeclaration);
+      if (node.nodeType === "MemberAccess" && node.referencedDeclaration) {
+        const target = node.expression.typeDescriptions?.typeString || "";
+        if (!target.startsWith("contract ")) referenced.add(node.referencedDeclaration);
+      }
+    });
+  }
+  return referenced;
 }
 
-// Check 11: Unchecked Math
-console.log("\n11. Unchecked Arithmetic:");
-if (contractContent.includes("unchecked")) {
-  console.log("   ✅ Unchecked blocks used for gas optimization");
-} else {
-  console.log("   💡 Use unchecked{} for safe arithmetic operations");
-  console.log("   💡 Example: Loop counters, balances that can't overflow");
-  optimizationCount++;
+function findPublicNotCalled(ctx, sourceUnit, referenced) {
+  const findings = [];
+  walk(sourceUnit, (contract) => {
+    if (contract.nodeType !== "ContractDefinition" || contract.contractKind !== "contract") return;
+    for (const fn of contract.nodes) {
+      if (fn.nodeType !== "FunctionDefinition" || fn.kind !== "function" || fn.visibility !== "public") continue;
+      // A call to an overridden base function dispatches here too
+      const ids = [fn.id, ...(fn.baseFunctions || [])];
+      if (ids.some((id) => referenced.has(id))) continue;
+      findings.push(
+        finding(
+          ctx,
+          "public-not-called",
+          fn,
+          `${contract.name}.${fn.name} is public but never called internally; declare it external`,
+          { contract: contract.name, function: fn.name }
+        )
+      );
+    }
+  });
+  return findings;
 }
 
-// Check 12: calldata vs memory
-console.log("\n12. Calldata vs Memory:");
-const calldataParams = contractContent.match(/calldata/g);
-if (calldataParams && calldataParams.length > 0) {
-  console.log(`   ✅ Calldata used ${calldataParams.length} times`);
-  console.log("   ✅ Calldata is cheaper than memory for external function parameters");
-} else {
-  console.log("   💡 Use calldata for read-only external function parameters");
-  optimizationCount++;
+// ============ reports ============
+
+function analyze(sources) {
+  const findings = [];
+  // Internal calls can come from any file of the compilation, including libraries
+  const referencedByCompilation = new Map();
+  for (const { ctx, ast } of sources) {
+    if (!referencedByCompilation.has(ctx)) referencedByCompilation.set(ctx, internallyReferenced(ctx));
+    findings.push(
+      ...findStorageReadsInLoops(ctx, ast),
+      ...findPackableStructs(ctx, ast),
+      ...findLongRevertStrings(ctx, ast),
+      ...findPublicNotCalled(ctx, ast, referencedByCompilation.get(ctx))
+    );
+  }
+  return findings.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
 }
 
-// Gas Optimization Summary
-console.log("\n" + "=".repeat(60));
-console.log("Gas Optimization Summary");
-console.log("=".repeat(60));
-console.log(`\nOptimization Opportunities Found: ${optimizationCount}`);
-
-if (optimizationCount === 0) {
-  console.log("\n✅ Excellent! Contract is well-optimized for gas usage.");
-} else if (optimizationCount <= 5) {
-  console.log("\n✅ Good! Minor optimizations available.");
-} else if (optimizationCount <= 10) {
-  console.log("\n⚠️  Moderate optimizations recommended.");
-} else {
-  console.log("\n⚠️  Significant gas optimization potential detected.");
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log("=".repeat(60));
+  console.log("Gas Optimization Analyzer");
+  console.log("=".repeat(60));
+
+  const sources = await loadProjectSources(hre);
+  const findings = analyze(sources);
+  const sourceNames = sources.map((source) => source.sourceName);
+  console.log(`\n📊 Analyzed ${sourceNames.length} source file(s): ${sourceNames.join(", ")}\n`);
+
+  for (const item of findings) {
+    const icon = item.level === "warning" ? "⚠️ " : "💡";
+    console.log(`${icon} ${item.file}:${item.line}:${item.column} [${item.ruleId}]`);
+    console.log(`   ${item.message}`);
+  }
+
+  const byRule = Object.fromEntries(Object.keys(RULES).map((id) => [id, findings.filter((item) => item.ruleId === id).length]));
+  const { settings } = sources[0]?.buildInfo.input || {};
+
+  const rules = Object.entries(RULES).map(([id, rule]) => ({ id, ...rule }));
+  fs.mkdirSync(options.reportDir, { recursive: true });
+  const jsonPath = path.join(options.reportDir, "gas-analysis.json");
+  const sarifPath = path.join(options.reportDir, "gas-analysis.sarif");
+  fs.writeFileSync(
+    jsonPath,
+    JSON.stringify(
+      {
+        generatedAt: new Date().toISOString(),
+        compiler: {
+          version: sources[0]?.buildInfo.solcVersion,
+          optimizer: settings?.optimizer,
+          viaIR: Boolean(settings?.viaIR),
+          evmVersion: settings?.evmVersion,
+        },
+        sources: sourceNames,
+        summary: { total: findings.length, byRule },
+        findings,
+      },
+      null,
+      2
+    ) + "\n"
+  );
+  fs.writeFileSync(sarifPath, JSON.stringify(toSarif("optimize-gas", rules, findings), null, 2) + "\n");
+
+  console.log("\n" + "=".repeat(60));
+  console.log("Gas Optimization Summary");
+  console.log("=".repeat(60));
+  for (const [id, count] of Object.entries(byRule)) console.log(`   ${id.padEnd(24)} ${count}`);
+  console.log(`\n📊 Reports: ${path.relative(ROOT_DIR, jsonPath)}, ${path.relative(ROOT_DIR, sarifPath)}`);
+  console.log(findings.length === 0 ? "\n✅ No gas findings" : `\n💡 ${findings.length} finding(s)`);
 }
 
-// Best Practices Summary
-console.log("\n" + "=".repeat(60));
-console.log("Gas Optimization Best Practices");
-console.log("=".repeat(60));
-console.log(`
-✅ DO:
-   • Use 'calldata' for external function parameters
-   • Pack state variables efficiently (uint8, uint16, uint32)
-   • Mark constants with 'constant' or 'immutable'
-   • Use 'external' instead of 'public' when possible
-   • Cache array lengths in loops
-   • Use unchecked{} for safe arithmetic
-   • Use custom errors instead of require strings
-   • Emit events instead of storing logs
-
-❌ DON'T:
-   • Use unbounded loops
-   • Store large strings on-chain
-   • Use public when external suffices
-   • Forget to pack state variables
-   • Use long error messages
-   • Perform redundant storage reads
-`);
-
-console.log("=".repeat(60));
-console.log("📚 For more: https://github.com/iskdrews/awesome-solidity-gas-optimization");
-console.log("=".repeat(60) + "\n");
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Gas analysis failed:", error.message);
+    process.exit(1);
+  });
@@ -1,144 +1,313 @@
 const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const {
+  GUILTY,
+  NOT_GUILTY,
+  increaseTime,
+  deployCourt,
+  createCase,
+  castVote,
+  gatewayCallbackArgs,
+} = require("../test/fixtures");
 
-console.log("=".repeat(60));
-console.log("Performance Testing Suite");
-console.log("=".repeat(60));
+// Gas benchmark: records gasUsed for every state-changing DigitalCourt function
+// on the in-process Hardhat network, across batch sizes, string lengths and panel
+// sizes, then compares each measurement with the committed baseline. Writes
+// reports/gas-report.json and reports/gas-report.md and exits 1 when any
+// measurement costs more than the baseline by over the threshold.
+//
+//   node scripts/performance-test.js
+//   node scripts/performance-test.js --threshold 2 --report-dir /tmp/gas
+//   node scripts/performance-test.js --update-baseline   # after an intended change
+//
+// Options: --baseline <file> (default benchmarks/gas-baseline.json),
+// --threshold <percent> (default 5), --report-dir <dir> (default reports/),
+// --update-baseline. Under `npx hardhat run`, which passes no arguments,
+// GAS_BASELINE, GAS_REGRESSION_THRESHOLD, GAS_REPORT_DIR and
+// GAS_UPDATE_BASELINE=1 do the same.
+
+const { ethers } = hre;
+
+const ROOT_DIR = path.join(__dirname, "..");
+const DEFAULT_BASELINE = path.join(ROOT_DIR, "benchmarks", "gas-baseline.json");
+const DEFAULT_REPORT_DIR = path.join(ROOT_DIR, "reports");
+const DEFAULT_THRESHOLD_PERCENT = 5;
+
+const CERTIFY_BATCH_SIZES = [1, 10, 50, 100];
+const AUTHORIZE_BATCH_SIZES = [3, 6, 12];
+const STRING_LENGTHS = [
+  { title: 10, description: 50 },
+  { title: 100, description: 1000 },
+  { title: 200, description: 5000 },
+];
+const MIN_PANEL = 3;
+const MAX_PANEL = 12;
+
+function parseArgs(argv) {
+  const options = {
+    baseline: process.env.GAS_BASELINE || DEFAULT_BASELINE,
+    threshold: Number(process.env.GAS_REGRESSION_THRESHOLD || DEFAULT_THRESHOLD_PERCENT),
+    reportDir: process.env.GAS_REPORT_DIR || DEFAULT_REPORT_DIR,
+    updateBaseline: process.env.GAS_UPDATE_BASELINE === "1",
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--update-baseline") options.updateBaseline = true;
+    else if (arg === "--baseline") options.baseline = argv[++i];
+    else if (arg === "--threshold") options.threshold = Number(argv[++i]);
+    else if (arg === "--report-dir") options.reportDir = argv[++i];
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  if (!Number.isFinite(options.threshold) || options.threshold < 0) {
+    throw new Error("--threshold must be a non-negative percentage");
+  }
+  return options;
+}
+
+// Deterministic stand-in juror addresses: random ones would change calldata gas run to run
+const syntheticAddresses = (label, count) =>
+  Array.from({ length: count }, (_, i) => ethers.getAddress(ethers.dataSlice(ethers.id(`${label}-${i}`), 12)));
+
+const fixedSalt = (caseId, juror) => ethers.id(`gas-benchmark-${caseId}-${juror.address}`);
+
+/** Sends one transaction and records its gasUsed under `fn[scenario]`. */
+async function measure(results, fn, scenario, send) {
+  const receipt = await (await send()).wait();
+  results.push({
+    id: scenario ? `${fn}[${scenario}]` : fn,
+    function: fn,
+    scenario: scenario || "",
+    gasUsed: Number(receipt.gasUsed),
+  });
+  return receipt;
+}
+
+const requestIdOf = (court, receipt) =>
+  receipt.logs.map((log) => court.interface.parseLog(log)).find((event) => event?.name === "DecryptionRequested").args.requestId;
+
+async function runBenchmarks() {
+  const results = [];
+  const { court, owner, judge, accounts } = await deployCourt();
+  const voters = accounts.slice(0, MAX_PANEL);
+
+  const deployment = await court.deploymentTransaction().wait();
+  results.push({ id: "deployment", function: "deployment", scenario: "", gasUsed: Number(deployment.gasUsed) });
+
+  // Certification: a single juror, then batches of fresh addresses
+  console.log("\n📝 Certification");
+  await measure(results, "certifyJuror", "", () => court.certifyJuror(syntheticAddresses("single", 1)[0]));
+  const certified = [];
+  for (const size of CERTIFY_BATCH_SIZES) {
+    const batch = syntheticAddresses(`batch-${size}`, size);
+    await measure(results, "certifyJurors", `batch=${size}`, () => court.certifyJurors(batch));
+    certified.push(...batch);
+  }
+  await (await court.certifyJurors(voters.map((voter) => voter.address))).wait();
+
+  // Case creation across title/description lengths
+  console.log("📁 Case creation");
+  for (const lengths of STRING_LENGTHS) {
+    await measure(results, "createCase", `title=${lengths.title},description=${lengths.description}`, () =>
+      createCase(court, judge, { title: "t".repeat(lengths.title), description: "d".repeat(lengths.description) })
+    );
+  }
+
+  // Authorization: one juror, then batches, each on a fresh case sized for the batch
+  console.log("👥 Authorization");
+  let caseId = await court.caseCount();
+  await (await createCase(court, judge, { requiredJurors: MAX_PANEL })).wait();
+  await measure(results, "authorizeJuror", "", () => court.connect(judge).authorizeJuror(caseId, certified[0]));
+  for (const size of AUTHORIZE_BATCH_SIZES) {
+    caseId = await court.caseCount();
+    await (await createCase(court, judge, { requiredJurors: size })).wait();
+    await measure(results, "authorizeJurors", `batch=${size}`, () =>
+      court.connect(judge).authorizeJurors(caseId, certified.slice(0, size))
+    );
+  }
+
+  // Full lifecycle per panel size: the callback loops over every juror who voted
+  console.log("🗳️  Voting and decryption");
+  for (let panelSize = MIN_PANEL; panelSize <= MAX_PANEL; panelSize++) {
+    caseId = await court.caseCount();
+    const panel = voters.slice(0, panelSize);
+    await (await createCase(court, judge, { requiredJurors: panelSize })).wait();
+    await (await court.connect(judge).authorizeJurors(caseId, panel.map((juror) => juror.address))).wait();
+
+    for (const [i, juror] of panel.entries()) {
+      const vote = i % 2 === 0 ? GUILTY : NOT_GUILTY;
+      const send = () => castVote(court, juror, caseId, vote, fixedSalt(caseId, juror));
+      // Every vote after the first costs the same, so only the first panel records them
+      if (panelSize === MIN_PANEL && i < 2) {
+        await measure(results, "castPrivateVote", i === 0 ? "first" : "subsequent", send);
+      } else {
+        await (await send()).wait();
+      }
+    }
+
+    const endVoting = () => court.connect(judge).endVoting(caseId);
+    const requestDecryption = () => court.connect(judge).requestDecryption(caseId);
+    let requested;
+    if (panelSize === MIN_PANEL) {
+      await measure(results, "endVoting", "", endVoting);
+      requested = await measure(results, "requestDecryption", "", requestDecryption);
+    } else {
+      await (await endVoting()).wait();
+      requested = await (await requestDecryption()).wait();
+    }
+
+    const args = await gatewayCallbackArgs(court, caseId, requestIdOf(court, requested), owner);
+    await measure(results, "decryptionCallback", `jurors=${panelSize}`, () => court.decryptionCallback(...args));
+  }
+
+  // Timeout and refunds
+  console.log("↩️  Timeout and refunds");
+  caseId = await court.caseCount();
+  const panel = voters.slice(0, MIN_PANEL);
+  await (await createCase(court, judge)).wait();
+  await (await court.connect(judge).authorizeJurors(caseId, panel.map((juror) => juror.address))).wait();
+  for (const juror of panel) await (await castVote(court, juror, caseId, GUILTY, fixedSalt(caseId, juror))).wait();
+  await (await court.connect(judge).endVoting(caseId)).wait();
+  await (await court.connect(judge).requestDecryption(caseId)).wait();
+  await increaseTime((await court.DECRYPTION_TIMEOUT()) + 1n);
+  await measure(results, "handleDecryptionTimeout", "", () => court.handleDecryptionTimeout(caseId));
+  await measure(results, "processRefund", "self", () => court.connect(panel[0]).processRefund(caseId, ethers.ZeroAddress));
+  await measure(results, "processRefund", "onBehalf", () => court.connect(owner).processRefund(caseId, panel[1].address));
+
+  return results;
+}
+
+function compilerSettings() {
+  const [compiler] = hre.config.solidity.compilers;
+  const { optimizer, viaIR, evmVersion } = compiler.settings;
+  return { version: compiler.version, optimizer, viaIR: Boolean(viaIR), evmVersion };
+}
+
+/** Annotates each result with its baseline and status: regressed, improved, unchanged or new. */
+function compareWithBaseline(results, baseline, threshold) {
+  const measurements = baseline?.measurements || {};
+  const compared = results.map((result) => {
+    const previous = measurements[result.id];
+    if (previous === undefined) return { ...result, baseline: null, delta: null, deltaPercent: null, status: "new" };
+
+    const delta = result.gasUsed - previous;
+    const deltaPercent = Number(((delta / previous) * 100).toFixed(2));
+    let status = "unchanged";
+    if (deltaPercent > threshold) status = "regressed";
+    else if (deltaPercent < -threshold) status = "improved";
+    return { ...result, baseline: previous, delta, deltaPercent, status };
+  });
+
+  const measured = new Set(results.map((result) => result.id));
+  return { compared, missing: Object.keys(measurements).filter((id) => !measured.has(id)) };
+}
+
+const STATUS_ICONS = { regressed: "🔺", improved: "🔻", unchanged: "", new: "🆕" };
+
+function renderMarkdown(report) {
+  const { summary } = report;
+  const lines = [
+    "# DigitalCourt Gas Report",
+    "",
+    `Generated ${report.generatedAt} on ${report.network} with solc ${report.compiler.version} ` +
+      `(optimizer ${report.compiler.optimizer.enabled ? `${report.compiler.optimizer.runs} runs` : "off"}, viaIR ${report.compiler.viaIR}).`,
+    "",
+    `Baseline: \`${report.baseline || "none"}\`, regression threshold ${report.thresholdPercent}%. ` +
+      `${summary.regressed} regressed, ${summary.improved} improved, ${summary.unchanged} unchanged, ${summary.new} new.`,
+    "",
+    "| Function | Scenario | Gas | Baseline | Δ | Δ % | Status |",
+    "|----------|----------|----:|---------:|--:|----:|--------|",
+  ];
+  for (const result of report.results) {
+    const delta = result.delta === null ? "-" : `${result.delta > 0 ? "+" : ""}${result.delta}`;
+    const percent = result.deltaPercent === null ? "-" : `${result.deltaPercent > 0 ? "+" : ""}${result.deltaPercent}%`;
+    lines.push(
+      `| \`${result.function}\` | ${result.scenario || "-"} | ${result.gasUsed} | ${result.baseline ?? "-"} | ${delta} | ${percent} | ${[STATUS_ICONS[result.status], result.status].filter(Boolean).join(" ")} |`
+    );
+  }
+  if (report.missing.length > 0) {
+    lines.push("", `Not measured this run: ${report.missing.map((id) => `\`${id}\``).join(", ")}`);
+  }
+  return lines.join("\n") + "\n";
+}
 
 async function main() {
-  const startTime = Date.now();
-
-  // Deploy contract
-  console.log("\n1. Deploying contract for performance testing...");
-  const DigitalCourt = await hre.ethers.getContractFactory("DigitalCourt");
-  const deployStart = Date.now();
-  const digitalCourt = await DigitalCourt.deploy();
-  await digitalCourt.waitForDeployment();
-  const deployTime = Date.now() - deployStart;
-  console.log(`   ✓ Deployment time: ${deployTime}ms`);
-
-  const [owner, judge, ...jurors] = await hre.ethers.getSigners();
-
-  // Performance Test 1: Batch Juror Certification
-  console.log("\n2. Testing batch juror certification performance...");
-  const certifyStart = Date.now();
-  const jurorAddresses = jurors.slice(0, 10).map(j => j.address);
-  const certifyTx = await digitalCourt.certifyJurors(jurorAddresses);
-  await certifyTx.wait();
-  const certifyTime = Date.now() - certifyStart;
-  console.log(`   ✓ Certified ${jurorAddresses.length} jurors in ${certifyTime}ms`);
-  console.log(`   ✓ Average: ${(certifyTime / jurorAddresses.length).toFixed(2)}ms per juror`);
-
-  // Performance Test 2: Case Creation
-  console.log("\n3. Testing case creation performance...");
-  const createStart = Date.now();
-  const tx = await digitalCourt.connect(judge).createCase(
-    "Performance Test Case",
-    "Testing case creation performance with moderately long description text",
-    "QmPerformanceTestHash123456789",
-    5
-  );
-  await tx.wait();
-  const createTime = Date.now() - createStart;
-  console.log(`   ✓ Case created in ${createTime}ms`);
-
-  // Performance Test 3: Batch Authorization
-  console.log("\n4. Testing batch authorization performance...");
-  const authStart = Date.now();
-  const authTx = await digitalCourt.connect(judge).authorizeJurors(0, jurorAddresses.slice(0, 5));
-  await authTx.wait();
-  const authTime = Date.now() - authStart;
-  console.log(`   ✓ Authorized 5 jurors in ${authTime}ms`);
-  console.log(`   ✓ Average: ${(authTime / 5).toFixed(2)}ms per authorization`);
-
-  // Performance Test 4: Voting Performance
-  console.log("\n5. Testing voting performance...");
-  const voteStart = Date.now();
-  const votePromises = [];
-
-  for (let i = 0; i < 5; i++) {
-    const commitment = hre.ethers.id(`vote-${i}-${Date.now()}`);
-    const voteTx = digitalCourt.connect(jurors[i]).castPrivateVote(0, i % 2, commitment);
-    votePromises.push(voteTx);
+  const options = parseArgs(process.argv.slice(2));
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`Gas benchmarks warp time and need fresh state; run them on the in-process hardhat network, not ${hre.network.name}`);
   }
 
-  await Promise.all(votePromises.map(p => p.then(tx => tx.wait())));
-  const voteTime = Date.now() - voteStart;
-  console.log(`   ✓ 5 votes cast in ${voteTime}ms`);
-  console.log(`   ✓ Average: ${(voteTime / 5).toFixed(2)}ms per vote`);
-
-  // Performance Test 5: Result Revelation
-  console.log("\n6. Testing result revelation performance...");
-  await digitalCourt.connect(judge).endVoting(0);
-  const revealStart = Date.now();
-  const revealTx = await digitalCourt.connect(judge).revealResults(0);
-  await revealTx.wait();
-  const revealTime = Date.now() - revealStart;
-  console.log(`   ✓ Results revealed in ${revealTime}ms`);
-
-  // Performance Test 6: View Function Performance
-  console.log("\n7. Testing view function performance...");
-  const viewStart = Date.now();
-  await digitalCourt.getCaseInfo(0);
-  await digitalCourt.getJurorReputation(jurors[0].address);
-  await digitalCourt.hasVoted(0, jurors[0].address);
-  await digitalCourt.isAuthorizedJuror(0, jurors[0].address);
-  const viewTime = Date.now() - viewStart;
-  console.log(`   ✓ 4 view functions called in ${viewTime}ms`);
-
-  // Gas Usage Analysis
-  console.log("\n8. Gas Usage Analysis...");
-  const receipt = await hre.ethers.provider.getTransactionReceipt(tx.hash);
-  console.log(`   ✓ Case creation gas used: ${receipt.gasUsed.toString()}`);
-
-  // Calculate total test time
-  const totalTime = Date.now() - startTime;
-
-  // Performance Summary
-  console.log("\n" + "=".repeat(60));
-  console.log("Performance Summary");
   console.log("=".repeat(60));
-  console.log(`\nTotal Test Time: ${totalTime}ms`);
-  console.log(`\nBreakdown:`);
-  console.log(`  - Contract Deployment: ${deployTime}ms (${((deployTime / totalTime) * 100).toFixed(1)}%)`);
-  console.log(`  - Juror Certification: ${certifyTime}ms (${((certifyTime / totalTime) * 100).toFixed(1)}%)`);
-  console.log(`  - Case Creation: ${createTime}ms (${((createTime / totalTime) * 100).toFixed(1)}%)`);
-  console.log(`  - Authorization: ${authTime}ms (${((authTime / totalTime) * 100).toFixed(1)}%)`);
-  console.log(`  - Voting: ${voteTime}ms (${((voteTime / totalTime) * 100).toFixed(1)}%)`);
-  console.log(`  - Result Revelation: ${revealTime}ms (${((revealTime / totalTime) * 100).toFixed(1)}%)`);
-  console.log(`  - View Functions: ${viewTime}ms (${((viewTime / totalTime) * 100).toFixed(1)}%)`);
-
-  // Performance Recommendations
-  console.log("\n" + "=".repeat(60));
-  console.log("Performance Recommendations");
+  console.log("Gas Benchmark - DigitalCourt");
   console.log("=".repeat(60));
 
-  if (certifyTime / jurorAddresses.length > 100) {
-    console.log("⚠️  Juror certification could be optimized");
-  } else {
-    console.log("✅ Juror certification performance is good");
+  const baseline = fs.existsSync(options.baseline) ? JSON.parse(fs.readFileSync(options.baseline, "utf8")) : null;
+  const compiler = compilerSettings();
+  if (baseline && JSON.stringify(baseline.compiler) !== JSON.stringify(compiler)) {
+    console.log("\n⚠️  Baseline was recorded with different compiler settings - expect differences");
   }
 
-  if (voteTime / 5 > 200) {
-    console.log("⚠️  Voting performance could be improved");
-  } else {
-    console.log("✅ Voting performance is acceptable");
+  const results = await runBenchmarks();
+  const { compared, missing } = compareWithBaseline(results, baseline, options.threshold);
+  const count = (status) => compared.filter((result) => result.status === status).length;
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    network: hre.network.name,
+    compiler,
+    baseline: baseline ? path.relative(ROOT_DIR, path.resolve(options.baseline)) : null,
+    thresholdPercent: options.threshold,
+    summary: {
+      measured: compared.length,
+      regressed: count("regressed"),
+      improved: count("improved"),
+      unchanged: count("unchanged"),
+      new: count("new"),
+      missing: missing.length,
+    },
+    results: compared,
+    missing,
+  };
+
+  fs.mkdirSync(options.reportDir, { recursive: true });
+  const jsonFile = path.join(options.reportDir, "gas-report.json");
+  const markdownFile = path.join(options.reportDir, "gas-report.md");
+  fs.writeFileSync(jsonFile, JSON.stringify(report, null, 2) + "\n");
+  fs.writeFileSync(markdownFile, renderMarkdown(report));
+
+  console.log("\n" + "=".repeat(60));
+  console.log("Gas Summary");
+  console.log("=".repeat(60));
+  for (const result of compared) {
+    const change = result.deltaPercent === null ? "" : ` (${result.deltaPercent > 0 ? "+" : ""}${result.deltaPercent}%)`;
+    const icon = result.status === "regressed" ? "❌" : "  ";
+    console.log(`${icon} ${result.id.padEnd(56)} ${String(result.gasUsed).padStart(9)}${change}`);
   }
+  console.log(`\n📊 Reports: ${path.relative(process.cwd(), jsonFile)}, ${path.relative(process.cwd(), markdownFile)}`);
 
-  if (createTime > 500) {
-    console.log("⚠️  Case creation time is high");
-  } else {
-    console.log("✅ Case creation performance is good");
+  if (options.updateBaseline) {
+    const measurements = Object.fromEntries(results.map((result) => [result.id, result.gasUsed]));
+    fs.mkdirSync(path.dirname(path.resolve(options.baseline)), { recursive: true });
+    fs.writeFileSync(options.baseline, JSON.stringify({ generatedAt: report.generatedAt, compiler, measurements }, null, 2) + "\n");
+    console.log(`📌 Baseline updated: ${path.relative(process.cwd(), path.resolve(options.baseline))}`);
+    return true;
   }
 
-  console.log("\n" + "=".repeat(60));
-  console.log("✅ Performance tests completed successfully!");
-  console.log("=".repeat(60) + "\n");
+  if (!baseline) {
+    console.log("\n⚠️  No baseline found - run with --update-baseline to record one");
+  } else if (report.summary.regressed > 0) {
+    console.log(`\n❌ ${report.summary.regressed} measurement(s) regressed by more than ${options.threshold}%`);
+    return false;
+  } else {
+    console.log(`\n✅ No measurement regressed by more than ${options.threshold}%`);
+  }
+  return true;
 }
 
 main()
-  .then(() => process.exit(0))
+  .then((passed) => process.exit(passed ? 0 : 1))
   .catch((error) => {
-    console.error("\n❌ Performance tests failed:");
+    console.error("\n❌ Gas benchmark failed:");
     console.error(error);
     process.exit(1);
   });
@@ -1,243 +1,174 @@
+const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
-
-console.log("=".repeat(60));
-console.log("Security Audit - Automated Security Checks");
-console.log("=".repeat(60));
-
-let hasErrors = false;
-let hasWarnings = false;
-
-// Check 1: Environment File Security
-console.log("\n1. Checking environment file security...");
-const envExample = path.join(__dirname, "..", ".env.example");
-const envFile = path.join(__dirname, "..", ".env");
-
-if (fs.existsSync(envFile)) {
-  const envContent = fs.readFileSync(envFile, "utf8");
-
-  // Check for hardcoded secrets
-  if (envContent.includes("your_") || envContent.includes("YOUR_")) {
-    console.log("  ⚠️  Warning: .env file may contain placeholder values");
-    hasWarnings = true;
-  }
-
-  // Check for exposed private keys
-  if (envContent.match(/PRIVATE_KEY=[0-9a-fA-F]{64}/)) {
-    const privateKey = envContent.match(/PRIVATE_KEY=([0-9a-fA-F]{64})/)[1];
-    if (privateKey !== "0".repeat(64)) {
-      console.log("  ✅ Private key is configured (hidden for security)");
-    }
-  }
-} else {
-  console.log("  ⚠️  Warning: .env file not found - using defaults");
-  hasWarnings = true;
+const { loadProjectSources } = require("../lib/solidityAst");
+const { toSarif } = require("../lib/sarif");
+const { RULES, SEVERITIES, SARIF_LEVELS, UNBASELINED_SEVERITIES, atLeast, runRules, applyBaseline, toBaseline } = require("../lib/security");
+
+// Security audit: runs the detectors in lib/security/rules over the solc AST of
+// every contract under contracts/ and over the project configuration (.env,
+// .gitignore, package.json, Hardhat config). Findings listed in the baseline file
+// are known and accepted; any other finding at or above --fail-on fails the run.
+// Writes reports/security-report.json and reports/security-report.sarif.
+//
+//   node scripts/security-check.js
+//   node scripts/security-check.js --fail-on medium
+//   node scripts/security-check.js --update-baseline   # accept the current findings
+//
+// Options: --baseline <file> (default security-baseline.json), --fail-on
+// <high|medium|low|info> (default high), --report-dir <dir> (default reports/),
+// --update-baseline. Under `npx hardhat run`, which passes no arguments,
+// SECURITY_BASELINE, SECURITY_FAIL_ON, SECURITY_REPORT_DIR and
+// SECURITY_UPDATE_BASELINE=1 do the same.
+//
+// Suppress a single finding with `// security-check-disable-next-line <rule-id>`
+// above it, or `// security-check-disable-line <rule-id>` at the end of its line.
+
+const ROOT_DIR = path.join(__dirname, "..");
+const DEFAULT_BASELINE = path.join(ROOT_DIR, "security-baseline.json");
+const DEFAULT_REPORT_DIR = path.join(ROOT_DIR, "reports");
+
+const ICONS = { high: "❌", medium: "⚠️ ", low: "💡", info: "ℹ️ " };
+
+function parseArgs(argv) {
+  const options = {
+    baseline: process.env.SECURITY_BASELINE || DEFAULT_BASELINE,
+    failOn: process.env.SECURITY_FAIL_ON || "high",
+    reportDir: process.env.SECURITY_REPORT_DIR || DEFAULT_REPORT_DIR,
+    updateBaseline: process.env.SECURITY_UPDATE_BASELINE === "1",
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--update-baseline") options.updateBaseline = true;
+    else if (arg === "--baseline") options.baseline = argv[++i];
+    else if (arg === "--fail-on") options.failOn = argv[++i];
+    else if (arg === "--report-dir") options.reportDir = argv[++i];
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  if (!SEVERITIES.includes(options.failOn)) {
+    throw new Error(`--fail-on must be one of ${SEVERITIES.join(", ")}`);
+  }
+  return options;
 }
 
-// Check 2: Contract Security Patterns
-console.log("\n2. Checking contract security patterns...");
-const contractPath = path.join(__dirname, "..", "contracts", "DigitalCourt.sol");
-
-if (fs.existsSync(contractPath)) {
-  const contractContent = fs.readFileSync(contractPath, "utf8");
-
-  // Check for ReentrancyGuard
-  if (contractContent.includes("ReentrancyGuard")) {
-    console.log("  ✅ ReentrancyGuard protection found");
-  } else {
-    console.log("  ❌ Error: No ReentrancyGuard protection found");
-    hasErrors = true;
-  }
-
-  // Check for Ownable pattern
-  if (contractContent.includes("Ownable")) {
-    console.log("  ✅ Ownable access control found");
-  } else {
-    console.log("  ⚠️  Warning: No Ownable pattern found");
-    hasWarnings = true;
-  }
-
-  // Check for unchecked external calls
-  const uncheckedCalls = contractContent.match(/\.call\{/g);
-  if (uncheckedCalls && uncheckedCalls.length > 0) {
-    console.log(`  ⚠️  Warning: Found ${uncheckedCalls.length} external call(s) - verify safety`);
-    hasWarnings = true;
-  }
-
-  // Check for selfdestruct
-  if (contractContent.includes("selfdestruct")) {
-    console.log("  ❌ Error: selfdestruct found - extremely dangerous");
-    hasErrors = true;
-  } else {
-    console.log("  ✅ No selfdestruct calls found");
-  }
-
-  // Check for delegatecall
-  if (contractContent.includes("delegatecall")) {
-    console.log("  ⚠️  Warning: delegatecall found - verify proxy safety");
-    hasWarnings = true;
-  }
-
-  // Check for tx.origin
-  if (contractContent.includes("tx.origin")) {
-    console.log("  ❌ Error: tx.origin usage found - use msg.sender instead");
-    hasErrors = true;
-  } else {
-    console.log("  ✅ No tx.origin usage found");
-  }
-
-  // Check for block.timestamp usage (not-rely-on-time)
-  const timestampUsage = contractContent.match(/block\.timestamp/g);
-  if (timestampUsage && timestampUsage.length > 5) {
-    console.log(`  ⚠️  Warning: Heavy block.timestamp usage (${timestampUsage.length} occurrences)`);
-    hasWarnings = true;
-  }
-} else {
-  console.log("  ❌ Error: Contract file not found");
-  hasErrors = true;
+function readFile(relativePath) {
+  const file = path.join(ROOT_DIR, relativePath);
+  return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
 }
 
-// Check 3: Dependency Security
-console.log("\n3. Checking dependency security...");
-const packageJson = path.join(__dirname, "..", "package.json");
-
-if (fs.existsSync(packageJson)) {
-  const pkg = JSON.parse(fs.readFileSync(packageJson, "utf8"));
-
-  // Check for OpenZeppelin
-  if (pkg.devDependencies["@openzeppelin/contracts"]) {
-    console.log("  ✅ OpenZeppelin contracts included");
-  } else {
-    console.log("  ⚠️  Warning: OpenZeppelin contracts not found");
-    hasWarnings = true;
-  }
-
-  // Check for hardhat-verify
-  if (pkg.devDependencies["@nomicfoundation/hardhat-verify"]) {
-    console.log("  ✅ Contract verification tools available");
-  }
-}
-
-// Check 4: Gas Limit Protection (DoS Prevention)
-console.log("\n4. Checking DoS protection patterns...");
-if (fs.existsSync(contractPath)) {
-  const contractContent = fs.readFileSync(contractPath, "utf8");
-
-  // Check for unbounded loops
-  const forLoops = contractContent.match(/for\s*\(/g);
-  if (forLoops && forLoops.length > 0) {
-    console.log(`  ⚠️  Warning: Found ${forLoops.length} for loop(s) - verify gas limits`);
-    hasWarnings = true;
-
-    // Check if loops have upper bounds
-    if (contractContent.includes("MAX_JURORS") || contractContent.includes("requiredJurors")) {
-      console.log("  ✅ Loop bounds detected");
-    }
-  }
-
-  // Check for array length limits
-  if (contractContent.includes("MAX_") || contractContent.includes("MIN_")) {
-    console.log("  ✅ Array/value limits defined");
-  } else {
-    console.log("  ⚠️  Warning: No explicit limits found - could lead to DoS");
-    hasWarnings = true;
-  }
-}
-
-// Check 5: Access Control
-console.log("\n5. Checking access control...");
-if (fs.existsSync(contractPath)) {
-  const contractContent = fs.readFileSync(contractPath, "utf8");
-
-  // Count modifiers
-  const modifiers = contractContent.match(/modifier\s+\w+/g);
-  if (modifiers && modifiers.length >= 3) {
-    console.log(`  ✅ Found ${modifiers.length} access control modifiers`);
-  } else {
-    console.log("  ⚠️  Warning: Limited access control modifiers");
-    hasWarnings = true;
-  }
-
-  // Check for onlyOwner pattern
-  if (contractContent.includes("onlyOwner") || contractContent.includes("onlyJudge")) {
-    console.log("  ✅ Role-based access control implemented");
-  }
+async function loadProject() {
+  const packageJson = readFile("package.json");
+  return {
+    root: ROOT_DIR,
+    config: hre.config,
+    packageJson: packageJson ? JSON.parse(packageJson) : null,
+    sources: await loadProjectSources(hre),
+    readFile,
+  };
 }
 
-// Check 6: Test Coverage
-console.log("\n6. Checking test coverage...");
-const testDir = path.join(__dirname, "..", "test");
-if (fs.existsSync(testDir)) {
-  const testFiles = fs.readdirSync(testDir).filter(f => f.endsWith(".test.js") || f.endsWith(".test.ts"));
-  if (testFiles.length > 0) {
-    console.log(`  ✅ Found ${testFiles.length} test file(s)`);
-  } else {
-    console.log("  ❌ Error: No test files found");
-    hasErrors = true;
-  }
-} else {
-  console.log("  ❌ Error: Test directory not found");
-  hasErrors = true;
+function loadBaseline(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
 }
 
-// Check 7: Hardhat Configuration Security
-console.log("\n7. Checking Hardhat configuration...");
-const hardhatConfig = path.join(__dirname, "..", "hardhat.config.js");
-if (fs.existsSync(hardhatConfig)) {
-  const configContent = fs.readFileSync(hardhatConfig, "utf8");
-
-  // Check for optimizer
-  if (configContent.includes("optimizer") && configContent.includes("enabled: true")) {
-    console.log("  ✅ Solidity optimizer enabled");
-  } else {
-    console.log("  ⚠️  Warning: Optimizer not enabled");
-    hasWarnings = true;
-  }
-
-  // Check for gas reporter
-  if (configContent.includes("gasReporter")) {
-    console.log("  ✅ Gas reporter configured");
-  }
-
-  // Check for environment variable usage
-  if (configContent.includes("process.env") && configContent.includes("dotenv")) {
-    console.log("  ✅ Environment variables properly loaded");
-  }
-}
-
-// Check 8: Git Security
-console.log("\n8. Checking Git security...");
-const gitignore = path.join(__dirname, "..", ".gitignore");
-if (fs.existsSync(gitignore)) {
-  const gitignoreContent = fs.readFileSync(gitignore, "utf8");
-
-  if (gitignoreContent.includes(".env")) {
-    console.log("  ✅ .env files ignored in Git");
-  } else {
-    console.log("  ❌ Error: .env not in .gitignore");
-    hasErrors = true;
+const locationOf = (finding) =>
+  [finding.file || "(project)", finding.line, finding.column].filter(Boolean).join(":");
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log("=".repeat(60));
+  console.log("Security Audit - Automated Security Checks");
+  console.log("=".repeat(60));
+
+  const project = await loadProject();
+  console.log(`\n🔍 ${RULES.length} rules over ${project.sources.length} source file(s)\n`);
+
+  const findings = runRules(project);
+  const baseline = options.updateBaseline ? null : loadBaseline(options.baseline);
+  const stale = applyBaseline(findings, baseline);
+
+  for (const finding of findings) {
+    if (finding.suppressed) continue;
+    const known = baseline && finding.baselineState === "unchanged" ? " (baseline)" : "";
+    console.log(`${ICONS[finding.severity]} ${finding.severity.toUpperCase()} [${finding.ruleId}] ${locationOf(finding)}${known}`);
+    console.log(`   ${finding.message}`);
+  }
+
+  const active = findings.filter((finding) => !finding.suppressed);
+  const failing = active.filter((finding) => finding.baselineState === "new" && atLeast(finding.severity, options.failOn));
+  const suppressed = findings.length - active.length;
+
+  fs.mkdirSync(options.reportDir, { recursive: true });
+  const jsonPath = path.join(options.reportDir, "security-report.json");
+  const sarifPath = path.join(options.reportDir, "security-report.sarif");
+  const rules = RULES.map((rule) => ({
+    id: rule.id,
+    name: rule.id,
+    description: rule.description,
+    level: SARIF_LEVELS[rule.severity],
+  }));
+  fs.writeFileSync(
+    jsonPath,
+    JSON.stringify(
+      {
+        generatedAt: new Date().toISOString(),
+        failOn: options.failOn,
+        baseline: baseline ? path.relative(ROOT_DIR, options.baseline) : null,
+        rules: RULES.map(({ id, severity, description }) => ({ id, severity, description })),
+        summary: {
+          total: active.length,
+          new: active.filter((finding) => finding.baselineState === "new").length,
+          suppressed,
+          failing: failing.length,
+          bySeverity: Object.fromEntries(SEVERITIES.map((severity) => [severity, active.filter((finding) => finding.severity === severity).length])),
+        },
+        findings,
+        staleBaselineEntries: stale,
+      },
+      null,
+      2
+    ) + "\n"
+  );
+  fs.writeFileSync(sarifPath, JSON.stringify(toSarif("security-check", rules, findings), null, 2) + "\n");
+
+  console.log("\n" + "=".repeat(60));
+  console.log("Security Audit Summary");
+  console.log("=".repeat(60));
+  for (const severity of SEVERITIES) {
+    console.log(`   ${severity.padEnd(10)} ${active.filter((finding) => finding.severity === severity).length}`);
+  }
+  if (suppressed > 0) console.log(`   ${"suppressed".padEnd(10)} ${suppressed}`);
+  if (stale.length > 0) {
+    console.log(`\nℹ️  ${stale.length} baseline entr${stale.length === 1 ? "y no longer occurs" : "ies no longer occur"}; prune with --update-baseline`);
+  }
+  console.log(`\n📊 Reports: ${path.relative(ROOT_DIR, jsonPath)}, ${path.relative(ROOT_DIR, sarifPath)}`);
+
+  if (options.updateBaseline) {
+    fs.mkdirSync(path.dirname(options.baseline), { recursive: true });
+    const updated = toBaseline(findings);
+    fs.writeFileSync(options.baseline, JSON.stringify(updated, null, 2) + "\n");
+    console.log(`\n📌 Baseline updated: ${path.relative(ROOT_DIR, options.baseline)} (${updated.findings.length} finding(s))`);
+    const unaccepted = active.length - updated.findings.length;
+    if (unaccepted > 0) {
+      console.log(`⚠️  ${unaccepted} ${UNBASELINED_SEVERITIES.join("/")} finding(s) not accepted; fix them or suppress them in source`);
+    }
+    return 0;
   }
 
-  if (gitignoreContent.includes("*.key") || gitignoreContent.includes("*.pem")) {
-    console.log("  ✅ Private keys ignored in Git");
+  if (failing.length > 0) {
+    console.log(`\n❌ FAILED: ${failing.length} new finding(s) at or above ${options.failOn} severity`);
+    console.log(`Fix them, suppress them in source, or accept those below ${UNBASELINED_SEVERITIES.join("/")} severity with --update-baseline.`);
+    return 1;
   }
+  console.log(`\n✅ PASSED: no new findings at or above ${options.failOn} severity`);
+  return 0;
 }
 
-// Summary
-console.log("\n" + "=".repeat(60));
-console.log("Security Audit Summary");
-console.log("=".repeat(60));
-
-if (hasErrors) {
-  console.log("\n❌ FAILED: Critical security issues found");
-  console.log("Please fix the errors above before committing.");
-  process.exit(1);
-} else if (hasWarnings) {
-  console.log("\n⚠️  WARNINGS: Some security concerns detected");
-  console.log("Review warnings above and consider improvements.");
-  console.log("✅ No critical issues - proceeding...");
-} else {
-  console.log("\n✅ PASSED: All security checks passed");
-}
-
-console.log("\n" + "=".repeat(60) + "\n");
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("\n❌ Security audit failed:", error.message);
+    process.exit(1);
+  });
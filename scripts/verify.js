@@ -1,42 +1,156 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const {
+  TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD,
+  TASK_COMPILE_SOLIDITY_RUN_SOLC,
+  TASK_COMPILE_SOLIDITY_RUN_SOLCJS,
+} = require("hardhat/builtin-tasks/task-names");
+const { compareRuntimeCode } = require("../lib/bytecode");
 
-async function main() {
-  console.log("=".repeat(60));
-  console.log("Digital Court System - Contract Verification");
-  console.log("=".repeat(60));
+// Verifies the DigitalCourt deployment recorded in deployments/<network>-deployment.json.
+//
+//   npx hardhat run scripts/verify.js --network sepolia     # Etherscan
+//   npx hardhat run scripts/verify.js --network localhost   # local
+//   VERIFY_MODE=local npx hardhat run scripts/verify.js --network sepolia
+//
+// Local mode needs no explorer: it fetches the runtime code with eth_getCode,
+// recompiles the repo's sources with the compiler version and settings recorded at
+// deploy time, strips the metadata trailer from both and compares them. The result
+// is written to the record's `localVerification`. It is the default on localhost
+// and hardhat; VERIFY_MODE=local|etherscan (or --local / --etherscan when run with
+// node) picks a mode explicitly.
 
-  const network = hre.network.name;
-  console.log(`\nNetwork: ${network}`);
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const DEFAULT_CONTRACT_NAME = "DigitalCourt";
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
 
-  // Check if we're on a supported network
-  if (network === "hardhat" || network === "localhost") {
-    console.log("\n⚠ Contract verification is not needed for local networks.");
-    console.log("Verification is only available for public networks like Sepolia.");
-    return;
+function parseArgs(argv, network) {
+  const options = { mode: process.env.VERIFY_MODE || (LOCAL_NETWORKS.includes(network) ? "local" : "etherscan") };
+  for (const arg of argv) {
+    if (arg === "--local") options.mode = "local";
+    else if (arg === "--etherscan") options.mode = "etherscan";
+    else throw new Error(`Unknown option ${arg}`);
   }
+  if (!["local", "etherscan"].includes(options.mode)) {
+    throw new Error(`VERIFY_MODE must be "local" or "etherscan", got "${options.mode}"`);
+  }
+  return options;
+}
 
-  // Load deployment information
-  const deploymentFile = path.join(__dirname, "..", "deployments", `${network}-deployment.json`);
+/**
+ * Recompiles the deployed contract from the current sources with the recorded
+ * compiler. Records written before deploy.js stored compiler settings fall back to
+ * the Hardhat config.
+ */
+async function recompile(record) {
+  await hre.run("compile", { quiet: true });
+  const artifact = await hre.artifacts.readArtifact(record.contractName || DEFAULT_CONTRACT_NAME);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
 
-  if (!fs.existsSync(deploymentFile)) {
-    console.error(`\n❌ Error: Deployment file not found at ${deploymentFile}`);
-    console.error("Please deploy the contract first using: npm run hardhat:deploy");
-    process.exit(1);
+  const recorded = record.compiler;
+  const longVersion = recorded?.version || buildInfo.solcLongVersion;
+  const solcVersion = longVersion.split("+")[0];
+  const input = {
+    ...buildInfo.input,
+    settings: {
+      ...buildInfo.input.settings,
+      ...recorded?.settings,
+      outputSelection: { [artifact.sourceName]: { [artifact.contractName]: ["evm.deployedBytecode", "metadata"] } },
+    },
+  };
+
+  const solcBuild = await hre.run(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, { quiet: true, solcVersion });
+  if (longVersion.includes("+") && solcBuild.longVersion !== longVersion) {
+    throw new Error(`Deployment was compiled with solc ${longVersion}, but ${solcBuild.longVersion} is available`);
   }
+  const output = solcBuild.isSolcJs
+    ? await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLCJS, { input, solcJsPath: solcBuild.compilerPath })
+    : await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLC, { input, solcPath: solcBuild.compilerPath, solcVersion });
 
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
-  const contractAddress = deploymentInfo.contractAddress;
+  const errors = (output.errors || []).filter((error) => error.severity === "error");
+  if (errors.length > 0) {
+    throw new Error(`Recompilation failed:\n${errors.map((error) => error.formattedMessage).join("\n")}`);
+  }
 
-  console.log(`\nContract Address: ${contractAddress}`);
-  console.log(`Deployed at block: ${deploymentInfo.blockNumber}`);
+  const contract = output.contracts[artifact.sourceName][artifact.contractName];
+  const { optimizer, evmVersion, viaIR } = input.settings;
+  return {
+    sourceName: artifact.sourceName,
+    contractName: artifact.contractName,
+    deployedBytecode: contract.evm.deployedBytecode,
+    compiler: {
+      version: solcBuild.longVersion,
+      settings: { optimizer, evmVersion, viaIR: Boolean(viaIR) },
+      settingsFrom: recorded?.settings ? "deployment record" : "hardhat config",
+    },
+    // keccak256 of every source the contract was built from, as in its metadata
+    sources: Object.fromEntries(
+      Object.entries(JSON.parse(contract.metadata).sources).map(([name, { keccak256 }]) => [name, keccak256])
+    ),
+  };
+}
+
+async function verifyLocally(record, deploymentFile) {
+  console.log("\n" + "-".repeat(60));
+  console.log("Local Verification (eth_getCode + recompile)");
+  console.log("-".repeat(60));
+
+  const { provider } = hre.ethers;
+  const { chainId } = await provider.getNetwork();
+  if (record.chainId && BigInt(record.chainId) !== chainId) {
+    throw new Error(`Deployment record is for chain ${record.chainId}, but the network is chain ${chainId}`);
+  }
+
+  const blockNumber = await provider.getBlockNumber();
+  const onChainCode = await provider.send("eth_getCode", [record.contractAddress, "latest"]);
+  console.log(`\nFetched runtime code at block ${blockNumber}: ${(onChainCode.length - 2) / 2} bytes`);
+
+  const compiled = await recompile(record);
+  console.log(`Recompiled ${compiled.sourceName}:${compiled.contractName} with solc ${compiled.compiler.version}`);
+  console.log(`Settings from the ${compiled.compiler.settingsFrom}: ${JSON.stringify(compiled.compiler.settings)}`);
+
+  const comparison = compareRuntimeCode(onChainCode, compiled.deployedBytecode);
+  const report = {
+    mode: "local",
+    status: comparison.status,
+    matches: ["full", "partial"].includes(comparison.status),
+    checkedAt: new Date().toISOString(),
+    chainId: Number(chainId),
+    blockNumber,
+    contract: `${compiled.sourceName}:${compiled.contractName}`,
+    compiler: compiled.compiler,
+    sources: compiled.sources,
+    ...comparison,
+  };
+
+  record.localVerification = report;
+  fs.writeFileSync(deploymentFile, JSON.stringify(record, null, 2) + "\n");
+
+  if (report.status === "full") {
+    console.log("\n✓ Runtime code matches, including the metadata hash");
+  } else if (report.status === "partial") {
+    console.log("\n✓ Runtime code matches; only the metadata hash differs");
+    console.log("  (comments, whitespace or source paths changed since deployment)");
+  } else if (report.status === "no-code") {
+    console.log(`\n❌ No contract code at ${record.contractAddress}`);
+  } else {
+    console.log(`\n❌ Runtime code differs from the repo's sources (first difference at byte ${report.firstDifference})`);
+    console.log(`  On-chain: ${report.onChain.size} bytes, recompiled: ${report.compiled.size} bytes`);
+  }
+  console.log(`Report written to ${path.relative(process.cwd(), deploymentFile)} (localVerification)`);
+  return report.matches;
+}
+
+async function verifyOnEtherscan(record, deploymentFile) {
+  const network = hre.network.name;
+  const contractAddress = record.contractAddress;
 
   // Wait for a few block confirmations before verification
   console.log("\nWaiting for block confirmations...");
   const confirmations = 5;
   let currentBlock = await hre.ethers.provider.getBlockNumber();
-  const targetBlock = deploymentInfo.blockNumber + confirmations;
+  const targetBlock = record.blockNumber + confirmations;
 
   if (currentBlock < targetBlock) {
     console.log(`Current block: ${currentBlock}, Target block: ${targetBlock}`);
@@ -69,49 +183,87 @@ async function main() {
     console.log("\n✓ Contract verified successfully!");
 
     // Update deployment info with verification status
-    deploymentInfo.verified = true;
-    deploymentInfo.verifiedAt = new Date().toISOString();
-    fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
+    record.verified = true;
+    record.verifiedAt = new Date().toISOString();
+    fs.writeFileSync(deploymentFile, JSON.stringify(record, null, 2) + "\n");
 
   } catch (error) {
     if (error.message.includes("Already Verified")) {
       console.log("\n✓ Contract is already verified on Etherscan");
 
       // Update deployment info
-      deploymentInfo.verified = true;
-      deploymentInfo.verifiedAt = new Date().toISOString();
-      fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
+      record.verified = true;
+      record.verifiedAt = new Date().toISOString();
+      fs.writeFileSync(deploymentFile, JSON.stringify(record, null, 2) + "\n");
 
     } else {
       console.error("\n❌ Verification failed:");
       console.error(error.message);
-      process.exit(1);
+      return false;
     }
   }
 
+  if (network === "sepolia") {
+    console.log(`\nEtherscan Contract Page:`);
+    console.log(`${record.etherscanUrl}`);
+    console.log(`\nEtherscan Verification Page:`);
+    console.log(`${record.etherscanUrl}#code`);
+  }
+  return true;
+}
+
+async function main() {
+  console.log("=".repeat(60));
+  console.log("Digital Court System - Contract Verification");
+  console.log("=".repeat(60));
+
+  const network = hre.network.name;
+  const options = parseArgs(process.argv.slice(2), network);
+  console.log(`\nNetwork: ${network}`);
+  console.log(`Mode: ${options.mode}`);
+
+  if (network === "hardhat") {
+    console.error("\n❌ The in-process hardhat network keeps no deployment record.");
+    console.error("Start `npx hardhat node`, deploy with --network localhost and verify there.");
+    return 1;
+  }
+
+  // Load deployment information
+  const deploymentFile = path.join(DEPLOYMENTS_DIR, `${network}-deployment.json`);
+
+  if (!fs.existsSync(deploymentFile)) {
+    console.error(`\n❌ Error: Deployment file not found at ${deploymentFile}`);
+    console.error("Please deploy the contract first using: npm run hardhat:deploy");
+    return 1;
+  }
+
+  const record = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+
+  console.log(`\nContract Address: ${record.contractAddress}`);
+  console.log(`Deployed at block: ${record.blockNumber}`);
+
+  const verified = options.mode === "local"
+    ? await verifyLocally(record, deploymentFile)
+    : await verifyOnEtherscan(record, deploymentFile);
+
   // Display verification info
   console.log("\n" + "=".repeat(60));
   console.log("Verification Summary");
   console.log("=".repeat(60));
-  console.log(`\nContract: DigitalCourt`);
-  console.log(`Address: ${contractAddress}`);
+  console.log(`\nContract: ${record.contractName || DEFAULT_CONTRACT_NAME}`);
+  console.log(`Address: ${record.contractAddress}`);
   console.log(`Network: ${network}`);
-
-  if (network === "sepolia") {
-    console.log(`\nEtherscan Contract Page:`);
-    console.log(`${deploymentInfo.etherscanUrl}`);
-    console.log(`\nEtherscan Verification Page:`);
-    console.log(`${deploymentInfo.etherscanUrl}#code`);
-  }
+  console.log(`Result: ${verified ? "✓ verified" : "❌ not verified"}`);
 
   console.log("\n" + "=".repeat(60));
-  console.log("Verification Complete!");
+  console.log(verified ? "Verification Complete!" : "Verification Failed");
   console.log("=".repeat(60) + "\n");
+  return verified ? 0 : 1;
 }
 
 // Execute verification
 main()
-  .then(() => process.exit(0))
+  .then((code) => process.exit(code))
   .catch((error) => {
     console.error("\n❌ Verification script failed:");
     console.error(error);
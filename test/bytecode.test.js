@@ -0,0 +1,58 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { compareRuntimeCode, splitMetadata } = require("../lib/bytecode");
+const { deployCourt } = require("./fixtures");
+
+// Flips the low bit of the byte at `offset` (negative counts from the end)
+const flipByte = (hex, offset) => {
+  const bytes = ethers.getBytes(hex);
+  bytes[offset < 0 ? bytes.length + offset : offset] ^= 1;
+  return ethers.hexlify(bytes);
+};
+
+describe("Runtime bytecode comparison", function () {
+  let onChainCode, deployedBytecode;
+
+  before(async function () {
+    const { court } = await deployCourt();
+    onChainCode = await ethers.provider.getCode(await court.getAddress());
+    const buildInfo = await artifacts.getBuildInfo("contracts/DigitalCourt.sol:DigitalCourt");
+    deployedBytecode = buildInfo.output.contracts["contracts/DigitalCourt.sol"].DigitalCourt.evm.deployedBytecode;
+  });
+
+  it("matches a deployed court in full against its compiler output", function () {
+    const result = compareRuntimeCode(onChainCode, deployedBytecode);
+    expect(result.status).to.equal("full");
+    expect(result.onChain.codeHash).to.equal(result.compiled.codeHash);
+    expect(result.firstDifference).to.equal(null);
+  });
+
+  it("reports a partial match when only the metadata trailer differs", function () {
+    // The last bytes before the two-byte length belong to the CBOR metadata
+    const result = compareRuntimeCode(flipByte(onChainCode, -3), deployedBytecode);
+    expect(result.status).to.equal("partial");
+    expect(result.onChain.metadata).not.to.equal(result.compiled.metadata);
+  });
+
+  it("reports a mismatch at the first differing byte", function () {
+    const result = compareRuntimeCode(flipByte(onChainCode, 40), deployedBytecode);
+    expect(result.status).to.equal("mismatch");
+    expect(result.firstDifference).to.equal(40);
+  });
+
+  it("ignores immutable values filled in at deploy time", function () {
+    const withImmutable = { ...deployedBytecode, immutableReferences: { 1: [{ start: 40, length: 32 }] } };
+    expect(compareRuntimeCode(flipByte(onChainCode, 40), withImmutable).status).to.equal("full");
+  });
+
+  it("reports an address without code", function () {
+    expect(compareRuntimeCode("0x", deployedBytecode).status).to.equal("no-code");
+  });
+
+  it("splits off the metadata trailer only when one is present", function () {
+    const { code, metadata } = splitMetadata(onChainCode);
+    expect(ethers.concat([code, metadata])).to.equal(onChainCode.toLowerCase());
+    expect(metadata.startsWith("0xa2")).to.equal(true);
+    expect(splitMetadata("0x6080604052").metadata).to.equal(null);
+  });
+});
@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  GUILTY,
+  DEFAULT_CASE,
+  PANEL_SIZE,
+  createCase,
+  castVote,
+  certifiedCourtFixture,
+  openCaseFixture,
+} = require("./fixtures");
+
+describe("Cases", function () {
+  describe("createCase", function () {
+    let court, judge;
+
+    beforeEach(async function () {
+      ({ court, judge } = await certifiedCourtFixture());
+    });
+
+    it("opens a case for VOTING_DURATION with the caller as judge", async function () {
+      const tx = await createCase(court, judge);
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      const endTime = BigInt(timestamp) + (await court.VOTING_DURATION());
+
+      await expect(tx)
+        .to.emit(court, "CaseCreated")
+        .withArgs(0, DEFAULT_CASE.title, judge.address, timestamp, endTime, DEFAULT_CASE.requiredJurors);
+
+      const info = await court.getCaseInfo(0);
+      expect(info.title).to.equal(DEFAULT_CASE.title);
+      expect(info.description).to.equal(DEFAULT_CASE.description);
+      expect(info.evidenceHash).to.equal(DEFAULT_CASE.evidenceHash);
+      expect(info.judge).to.equal(judge.address);
+      expect(info.endTime).to.equal(endTime);
+      expect(info.active).to.equal(true);
+      expect(info.revealed).to.equal(false);
+      expect(info.jurorCount).to.equal(0n);
+      expect(info.decryptionRequested).to.equal(false);
+      expect(info.decryptionDeadline).to.equal(0n);
+      expect(info.refundEnabled).to.equal(false);
+    });
+
+    it("numbers cases sequentially", async function () {
+      await createCase(court, judge);
+      await createCase(court, judge, { title: "Second" });
+      expect(await court.caseCount()).to.equal(2n);
+      expect((await court.getCaseInfo(1)).title).to.equal("Second");
+    });
+
+    it("enforces the MIN_JURORS and MAX_JURORS bounds", async function () {
+      const min = await court.MIN_JURORS();
+      const max = await court.MAX_JURORS();
+      await expect(createCase(court, judge, { requiredJurors: min - 1n })).to.be.revertedWith("Invalid juror count");
+      await expect(createCase(court, judge, { requiredJurors: max + 1n })).to.be.revertedWith("Invalid juror count");
+      await expect(createCase(court, judge, { requiredJurors: min })).to.emit(court, "CaseCreated");
+      await expect(createCase(court, judge, { requiredJurors: max })).to.emit(court, "CaseCreated");
+    });
+
+    it("validates the title", async function () {
+      await expect(createCase(court, judge, { title: "" })).to.be.revertedWith("Title cannot be empty");
+      await expect(createCase(court, judge, { title: "x".repeat(201) })).to.be.revertedWith("Title too long");
+      await expect(createCase(court, judge, { title: "x".repeat(200) })).not.to.be.reverted;
+    });
+
+    it("validates the description", async function () {
+      await expect(createCase(court, judge, { description: "" })).to.be.revertedWith("Description cannot be empty");
+      await expect(createCase(court, judge, { description: "x".repeat(5001) })).to.be.revertedWith("Description too long");
+      await expect(createCase(court, judge, { description: "x".repeat(5000) })).not.to.be.reverted;
+    });
+
+    it("allows an empty evidence hash", async function () {
+      await expect(createCase(court, judge, { evidenceHash: "" })).not.to.be.reverted;
+    });
+  });
+
+  describe("authorizeJuror", function () {
+    it("authorizes a certified juror", async function () {
+      const { court, judge, caseId, jurors } = await openCaseFixture();
+      await expect(court.connect(judge).authorizeJuror(caseId, jurors[3].address))
+        .to.emit(court, "JurorAuthorized")
+        .withArgs(caseId, jurors[3].address);
+      expect(await court.isAuthorizedJuror(caseId, jurors[3].address)).to.equal(true);
+    });
+
+    it("rejects uncertified accounts and the zero address", async function () {
+      const { court, judge, caseId, outsider } = await openCaseFixture();
+      await expect(court.connect(judge).authorizeJuror(caseId, outsider.address)).to.be.revertedWith("Juror not certified");
+      // certifiedJurors[0] is never set, so the certification check fires first
+      await expect(court.connect(judge).authorizeJuror(caseId, ethers.ZeroAddress)).to.be.revertedWith("Juror not certified");
+    });
+
+    it("rejects a juror who is already authorized", async function () {
+      const { court, judge, caseId, panel } = await openCaseFixture();
+      await expect(court.connect(judge).authorizeJuror(caseId, panel[0].address)).to.be.revertedWith("Juror already authorized");
+    });
+
+    it("caps authorization by votes cast, not by jurors authorized", async function () {
+      const { court, judge, caseId, panel, jurors } = await openCaseFixture();
+      // The panel already fills requiredJurors, but nobody has voted yet
+      await expect(court.connect(judge).authorizeJuror(caseId, jurors[3].address)).not.to.be.reverted;
+
+      for (const juror of panel) await castVote(court, juror, caseId, GUILTY);
+      await expect(court.connect(judge).authorizeJuror(caseId, jurors[4].address)).to.be.revertedWith("Max jurors reached");
+    });
+  });
+
+  describe("authorizeJurors", function () {
+    it("authorizes the whole batch", async function () {
+      const { court, judge, jurors } = await certifiedCourtFixture();
+      await createCase(court, judge, { requiredJurors: 4 });
+      const batch = jurors.slice(0, 4).map((juror) => juror.address);
+      const tx = court.connect(judge).authorizeJurors(0, batch);
+      for (const juror of batch) await expect(tx).to.emit(court, "JurorAuthorized").withArgs(0, juror);
+    });
+
+    it("rejects an empty batch", async function () {
+      const { court, judge, caseId } = await openCaseFixture();
+      await expect(court.connect(judge).authorizeJurors(caseId, [])).to.be.revertedWith("Empty juror array");
+    });
+
+    it("rejects batches larger than requiredJurors minus votes cast", async function () {
+      const { court, judge, jurors } = await certifiedCourtFixture();
+      await createCase(court, judge);
+      const batch = jurors.slice(0, PANEL_SIZE + 1).map((juror) => juror.address);
+      await expect(court.connect(judge).authorizeJurors(0, batch)).to.be.revertedWith("Exceeds max jurors");
+    });
+
+    it("rejects the whole batch on an uncertified, zero or duplicate address", async function () {
+      const { court, judge, jurors, outsider } = await certifiedCourtFixture();
+      await createCase(court, judge);
+      await expect(court.connect(judge).authorizeJurors(0, [jurors[0].address, outsider.address]))
+        .to.be.revertedWith("Juror not certified");
+      await expect(court.connect(judge).authorizeJurors(0, [jurors[0].address, ethers.ZeroAddress]))
+        .to.be.revertedWith("Invalid juror address");
+      await expect(court.connect(judge).authorizeJurors(0, [jurors[0].address, jurors[0].address]))
+        .to.be.revertedWith("Juror already authorized");
+      expect(await court.isAuthorizedJuror(0, jurors[0].address)).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployCourt } = require("./fixtures");
+
+describe("Juror certification", function () {
+  let court, owner, accounts;
+
+  beforeEach(async function () {
+    ({ court, owner, accounts } = await deployCourt());
+  });
+
+  describe("certifyJuror", function () {
+    it("certifies with the starting reputation of 100", async function () {
+      await expect(court.certifyJuror(accounts[0].address))
+        .to.emit(court, "JurorCertified")
+        .withArgs(accounts[0].address, owner.address);
+      expect(await court.certifiedJurors(accounts[0].address)).to.equal(true);
+      expect(await court.getJurorReputation(accounts[0].address)).to.equal(100n);
+    });
+
+    it("rejects the zero address", async function () {
+      await expect(court.certifyJuror(ethers.ZeroAddress)).to.be.revertedWith("Invalid juror address");
+    });
+
+    it("rejects a juror who is already certified", async function () {
+      await court.certifyJuror(accounts[0].address);
+      await expect(court.certifyJuror(accounts[0].address)).to.be.revertedWith("Juror already certified");
+    });
+
+    it("rejects a juror certified earlier in a batch", async function () {
+      await court.certifyJurors([accounts[0].address]);
+      await expect(court.certifyJuror(accounts[0].address)).to.be.revertedWith("Juror already certified");
+    });
+  });
+
+  describe("certifyJurors", function () {
+    it("certifies every juror in the batch", async function () {
+      const jurors = accounts.slice(0, 3).map((account) => account.address);
+      const tx = court.certifyJurors(jurors);
+      for (const juror of jurors) {
+        await expect(tx).to.emit(court, "JurorCertified").withArgs(juror, owner.address);
+      }
+      for (const juror of jurors) {
+        expect(await court.certifiedJurors(juror)).to.equal(true);
+        expect(await court.jurorReputation(juror)).to.equal(100n);
+      }
+    });
+
+    it("skips duplicates without resetting their reputation", async function () {
+      const [certified, fresh] = accounts;
+      await court.certifyJurors([certified.address]);
+      await court.connect(owner).certifyJurors([fresh.address, fresh.address, certified.address]);
+
+      const filter = court.filters.JurorCertified();
+      const events = await court.queryFilter(filter);
+      expect(events.map((event) => event.args.juror)).to.deep.equal([certified.address, fresh.address]);
+      expect(await court.jurorReputation(certified.address)).to.equal(100n);
+    });
+
+    it("rejects an empty batch", async function () {
+      await expect(court.certifyJurors([])).to.be.revertedWith("Empty juror array");
+    });
+
+    it("accepts 100 jurors and rejects 101", async function () {
+      const addresses = Array.from({ length: 101 }, () => ethers.Wallet.createRandom().address);
+      await expect(court.certifyJurors(addresses)).to.be.revertedWith("Batch size too large");
+      await expect(court.certifyJurors(addresses.slice(0, 100))).not.to.be.reverted;
+    });
+
+    it("rejects the whole batch if any address is zero", async function () {
+      await expect(court.certifyJurors([accounts[0].address, ethers.ZeroAddress]))
+        .to.be.revertedWith("Invalid juror address");
+      expect(await court.certifiedJurors(accounts[0].address)).to.equal(false);
+    });
+  });
+});
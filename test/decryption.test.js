@@ -0,0 +1,223 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyUint } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  GUILTY,
+  NOT_GUILTY,
+  increaseTime,
+  deployCourt,
+  createCase,
+  castVote,
+  gatewayCallbackArgs,
+  openCaseFixture,
+  votedCaseFixture,
+  decryptionRequestedFixture,
+  revealedCaseFixture,
+  timedOutCaseFixture,
+} = require("./fixtures");
+
+describe("Decryption lifecycle", function () {
+  describe("requestDecryption", function () {
+    it("records the request and a deadline DECRYPTION_TIMEOUT away", async function () {
+      const { court, judge, caseId } = await votedCaseFixture();
+      const tx = await court.connect(judge).requestDecryption(caseId);
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      const deadline = BigInt(timestamp) + (await court.DECRYPTION_TIMEOUT());
+
+      await expect(tx).to.emit(court, "DecryptionRequested").withArgs(caseId, anyUint, deadline);
+
+      const status = await court.getDecryptionStatus(caseId);
+      expect(status.requested).to.equal(true);
+      expect(status.deadline).to.equal(deadline);
+      expect(status.failed).to.equal(false);
+      expect(status.refundAvailable).to.equal(false);
+    });
+
+    it("maps the request id back to its case", async function () {
+      const { court, caseId, requestId } = await decryptionRequestedFixture();
+      expect(await court.requestIdToCaseId(requestId)).to.equal(caseId);
+    });
+
+    it("rejects a request while voting is still open", async function () {
+      const { court, judge, caseId, panel } = await openCaseFixture();
+      for (const juror of panel) await castVote(court, juror, caseId, GUILTY);
+      await expect(court.connect(judge).requestDecryption(caseId)).to.be.revertedWith("Voting still active");
+    });
+
+    it("rejects a request with fewer than MIN_JURORS votes", async function () {
+      const { court, judge, caseId, panel } = await openCaseFixture();
+      await castVote(court, panel[0], caseId, GUILTY);
+      await castVote(court, panel[1], caseId, GUILTY);
+      await court.connect(judge).endVoting(caseId);
+      await expect(court.connect(judge).requestDecryption(caseId)).to.be.revertedWith("Insufficient jurors");
+    });
+
+    it("rejects a second request", async function () {
+      const { court, judge, caseId } = await decryptionRequestedFixture();
+      await expect(court.connect(judge).requestDecryption(caseId)).to.be.revertedWith("Decryption already requested");
+    });
+
+    it("rejects a request once results are revealed", async function () {
+      const { court, judge, caseId } = await revealedCaseFixture();
+      await expect(court.connect(judge).requestDecryption(caseId)).to.be.revertedWith("Results already revealed");
+    });
+  });
+
+  describe("decryptionCallback", function () {
+    it("reveals the verdict and rewards every juror who voted", async function () {
+      const { court, owner, caseId, requestId, panel, jurors } = await decryptionRequestedFixture();
+      const args = await gatewayCallbackArgs(court, caseId, requestId, owner);
+
+      await expect(court.connect(owner).decryptionCallback(...args))
+        .to.emit(court, "DecryptionCallbackReceived")
+        .withArgs(caseId, requestId, true)
+        .and.to.emit(court, "CaseRevealed")
+        .withArgs(caseId, true, 2, 1, 3);
+
+      const results = await court.getRevealedResults(caseId);
+      expect(results.verdict).to.equal(true);
+      expect(results.guiltyVotes).to.equal(2n);
+      expect(results.innocentVotes).to.equal(1n);
+      expect(results.totalJurors).to.equal(3n);
+      for (const juror of panel) expect(await court.jurorReputation(juror.address)).to.equal(105n);
+      expect(await court.jurorReputation(jurors[3].address)).to.equal(100n);
+    });
+
+    it("acquits on a tie", async function () {
+      const { court, judge, owner, jurors } = await openCaseFixture();
+      await createCase(court, judge, { requiredJurors: 4 });
+      const panel = jurors.slice(0, 4);
+      await court.connect(judge).authorizeJurors(1, panel.map((juror) => juror.address));
+      const votes = [GUILTY, NOT_GUILTY, GUILTY, NOT_GUILTY];
+      for (const [i, juror] of panel.entries()) await castVote(court, juror, 1, votes[i]);
+      await court.connect(judge).endVoting(1);
+      const receipt = await (await court.connect(judge).requestDecryption(1)).wait();
+      const { requestId } = court.interface.parseLog(receipt.logs[0]).args;
+
+      const args = await gatewayCallbackArgs(court, 1, requestId, owner);
+      await expect(court.decryptionCallback(...args)).to.emit(court, "CaseRevealed").withArgs(1, false, 2, 2, 4);
+    });
+
+    it("rejects counts that do not add up to the jurors who voted", async function () {
+      const { court, caseId, requestId, owner } = await decryptionRequestedFixture();
+      const [, , , cleartexts, proof] = await gatewayCallbackArgs(court, caseId, requestId, owner);
+      await expect(court.decryptionCallback(requestId, 3, 1, cleartexts, proof))
+        .to.be.revertedWith("Vote count must equal juror count");
+      await expect(court.decryptionCallback(requestId, 1, 1, cleartexts, proof))
+        .to.be.revertedWith("Vote count must equal juror count");
+    });
+
+    it("rejects empty cleartexts or proof", async function () {
+      const { court, caseId, requestId, owner } = await decryptionRequestedFixture();
+      const [, guilty, innocent, cleartexts, proof] = await gatewayCallbackArgs(court, caseId, requestId, owner);
+      await expect(court.decryptionCallback(requestId, guilty, innocent, "0x", proof))
+        .to.be.revertedWith("Invalid cleartexts");
+      await expect(court.decryptionCallback(requestId, guilty, innocent, cleartexts, "0x"))
+        .to.be.revertedWith("Invalid decryption proof");
+    });
+
+    it("rejects a second callback", async function () {
+      const { court, caseId, requestId, owner } = await revealedCaseFixture();
+      const args = await gatewayCallbackArgs(court, caseId, requestId, owner);
+      await expect(court.decryptionCallback(...args)).to.be.revertedWith("Already revealed");
+    });
+
+    it("rejects a callback after the deadline", async function () {
+      const { court, caseId, requestId, owner } = await decryptionRequestedFixture();
+      const args = await gatewayCallbackArgs(court, caseId, requestId, owner);
+      await increaseTime((await court.DECRYPTION_TIMEOUT()) + 1n);
+      await expect(court.decryptionCallback(...args)).to.be.revertedWith("Decryption deadline passed");
+    });
+
+    it("rejects any request id before a case exists", async function () {
+      const { court } = await deployCourt();
+      await expect(court.decryptionCallback(1, 0, 0, "0x01", "0x01")).to.be.revertedWith("Invalid request ID");
+    });
+
+    // requestIdToCaseId returns 0 for unknown ids, so they resolve to case 0
+    it("treats an unknown request id as case 0", async function () {
+      const { court } = await votedCaseFixture();
+      await expect(court.decryptionCallback(12345, 2, 1, "0x01", "0x01")).to.be.revertedWith("No decryption requested");
+    });
+  });
+
+  describe("handleDecryptionTimeout", function () {
+    it("enables refunds once the deadline passes", async function () {
+      const { court, caseId, deadline, outsider } = await decryptionRequestedFixture();
+      await increaseTime((await court.DECRYPTION_TIMEOUT()) + 1n);
+      await expect(court.connect(outsider).handleDecryptionTimeout(caseId))
+        .to.emit(court, "TimeoutTriggered")
+        .withArgs(caseId, deadline);
+
+      const status = await court.getDecryptionStatus(caseId);
+      expect(status.failed).to.equal(true);
+      expect(status.refundAvailable).to.equal(true);
+    });
+
+    it("rejects a timeout before decryption is requested", async function () {
+      const { court, caseId } = await votedCaseFixture();
+      await expect(court.handleDecryptionTimeout(caseId)).to.be.revertedWith("No decryption requested");
+    });
+
+    it("rejects a timeout at the deadline", async function () {
+      const { court, caseId, deadline } = await decryptionRequestedFixture();
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(deadline)]);
+      await expect(court.handleDecryptionTimeout(caseId)).to.be.revertedWith("Deadline not passed");
+    });
+
+    it("rejects a timeout once results are revealed", async function () {
+      const { court, caseId } = await revealedCaseFixture();
+      await increaseTime((await court.DECRYPTION_TIMEOUT()) + 1n);
+      await expect(court.handleDecryptionTimeout(caseId)).to.be.revertedWith("Already revealed");
+    });
+
+    it("rejects a second timeout", async function () {
+      const { court, caseId } = await timedOutCaseFixture();
+      await expect(court.handleDecryptionTimeout(caseId)).to.be.revertedWith("Refund already enabled");
+    });
+  });
+
+  describe("processRefund", function () {
+    it("refunds the caller when no juror is given", async function () {
+      const { court, caseId, panel } = await timedOutCaseFixture();
+      await expect(court.connect(panel[0]).processRefund(caseId, ethers.ZeroAddress))
+        .to.emit(court, "RefundIssued")
+        .withArgs(caseId, panel[0].address, "Decryption failed");
+      expect(await court.hasVoted(caseId, panel[0].address)).to.equal(false);
+    });
+
+    it("lets anyone trigger a refund on a juror's behalf", async function () {
+      const { court, caseId, panel, outsider } = await timedOutCaseFixture();
+      await expect(court.connect(outsider).processRefund(caseId, panel[1].address))
+        .to.emit(court, "RefundIssued")
+        .withArgs(caseId, panel[1].address, "Decryption failed");
+    });
+
+    it("refunds each juror only once", async function () {
+      const { court, caseId, panel } = await timedOutCaseFixture();
+      await court.connect(panel[0]).processRefund(caseId, ethers.ZeroAddress);
+      await expect(court.connect(panel[0]).processRefund(caseId, ethers.ZeroAddress)).to.be.revertedWith("Juror did not vote");
+    });
+
+    it("rejects jurors who did not vote", async function () {
+      const { court, caseId, jurors } = await timedOutCaseFixture();
+      await expect(court.connect(jurors[3]).processRefund(caseId, ethers.ZeroAddress)).to.be.revertedWith("Juror did not vote");
+    });
+
+    it("rejects refunds before a timeout", async function () {
+      const { court, caseId, panel } = await decryptionRequestedFixture();
+      await expect(court.connect(panel[0]).processRefund(caseId, ethers.ZeroAddress)).to.be.revertedWith("Refunds not enabled");
+    });
+
+    it("rejects refunds on revealed cases", async function () {
+      const { court, caseId, panel } = await revealedCaseFixture();
+      await expect(court.connect(panel[0]).processRefund(caseId, ethers.ZeroAddress)).to.be.revertedWith("Refunds not enabled");
+    });
+
+    it("leaves reputations untouched", async function () {
+      const { court, caseId, panel } = await timedOutCaseFixture();
+      for (const juror of panel) await court.connect(juror).processRefund(caseId, ethers.ZeroAddress);
+      for (const juror of panel) expect(await court.jurorReputation(juror.address)).to.equal(100n);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { mockHandleFor } = require("../lib/fhe/mockBackend");
+const { generateSalt, computeCommitment } = require("../lib/commitments");
+const { tallyMockVotes, encodeCleartexts, buildDecryptionProof } = require("../lib/gateway");
+
+// DigitalCourt fixtures shared by the test suite and the Hardhat scripts
+// (scripts/simulate.js). Each fixture builds on the previous lifecycle stage:
+//
+//   certifiedCourtFixture → openCaseFixture → votedCaseFixture
+//     → decryptionRequestedFixture → revealedCaseFixture | timedOutCaseFixture
+//
+// Accounts: signer 0 owns the court, signer 1 is the judge, the next
+// JUROR_POOL_SIZE signers are certified jurors and the one after them is an
+// uncertified outsider. Every fixture takes { contractName } so the test-only
+// DigitalCourtHarness can run through the same stages.
+//
+// The stage fixtures go through loadFixture, so they only run on the in-process
+// Hardhat network; the scripts build on deployCourt and the helpers instead.
+
+const NOT_GUILTY = 0;
+const GUILTY = 1;
+
+const JUROR_POOL_SIZE = 6;
+const PANEL_SIZE = 3;
+// Two guilty, one not guilty: a GUILTY verdict once revealed
+const PANEL_VOTES = [GUILTY, GUILTY, NOT_GUILTY];
+
+// VoteWizard encrypts each vote as a single add8 input: index 0, 8 bits
+const VOTE_INPUT_INDEX = 0;
+const VOTE_INPUT_BITS = 8;
+
+const DEFAULT_CASE = {
+  title: "State v. Doe",
+  description: "Alleged theft of digital assets",
+  evidenceHash: "QmT5NvUtoM5nWFfrQdVrFtvGfKFmG7AHE8P34isapyhCxX",
+  requiredJurors: PANEL_SIZE,
+};
+
+/** Advances the chain clock by `seconds` and mines a block at the new time. */
+async function increaseTime(seconds) {
+  await network.provider.send("evm_increaseTime", [Number(seconds)]);
+  await network.provider.send("evm_mine");
+}
+
+/** A fresh court plus the owner, judge and the remaining (uncertified) accounts. */
+async function deployCourt({ contractName = "DigitalCourt" } = {}) {
+  const [owner, judge, ...accounts] = await ethers.getSigners();
+  const factory = await ethers.getContractFactory(contractName);
+  const court = await factory.deploy();
+  await court.waitForDeployment();
+  return { court, owner, judge, accounts };
+}
+
+function createCase(court, judge, overrides = {}) {
+  const { title, description, evidenceHash, requiredJurors } = { ...DEFAULT_CASE, ...overrides };
+  return court.connect(judge).createCase(title, description, evidenceHash, requiredJurors);
+}
+
+/**
+ * The castPrivateVote arguments for `vote`: a mock-encrypted handle, as the web
+ * app's mock backend produces it, and a receipt commitment over `salt` (default:
+ * a fresh random one; pass a fixed salt for reproducible calldata).
+ */
+async function encryptVote(court, juror, caseId, vote, salt = generateSalt()) {
+  const contractAddress = await court.getAddress();
+  const { chainId } = await ethers.provider.getNetwork();
+  return {
+    encryptedVote: mockHandleFor(contractAddress, juror.address, VOTE_INPUT_INDEX, VOTE_INPUT_BITS, vote),
+    commitment: computeCommitment({ chainId, contractAddress, caseId, juror: juror.address, vote, salt }),
+    salt,
+  };
+}
+
+async function castVote(court, juror, caseId, vote, salt) {
+  const { encryptedVote, commitment } = await encryptVote(court, juror, caseId, vote, salt);
+  return court.connect(juror).castPrivateVote(caseId, encryptedVote, commitment);
+}
+
+/**
+ * The decryptionCallback arguments a correct Gateway would send for `requestId`:
+ * the decrypted tally, its ABI-encoded cleartexts and a proof signed by `signer`.
+ */
+async function gatewayCallbackArgs(court, caseId, requestId, signer) {
+  const tally = await tallyMockVotes(court, caseId);
+  const cleartexts = encodeCleartexts(tally.guilty, tally.innocent);
+  const { chainId } = await ethers.provider.getNetwork();
+  const proof = await buildDecryptionProof([signer], {
+    chainId,
+    contractAddress: await court.getAddress(),
+    requestId,
+    cleartexts,
+  });
+  return [requestId, tally.guilty, tally.innocent, cleartexts, proof];
+}
+
+async function certifiedCourt(options) {
+  const deployment = await deployCourt(options);
+  const jurors = deployment.accounts.slice(0, JUROR_POOL_SIZE);
+  await (await deployment.court.certifyJurors(jurors.map((juror) => juror.address))).wait();
+  return { ...deployment, jurors, outsider: deployment.accounts[JUROR_POOL_SIZE] };
+}
+
+/** Case 0, needing PANEL_SIZE jurors, with the first PANEL_SIZE pool jurors authorized. */
+async function openCase(options) {
+  const fixture = await certifiedCourt(options);
+  const { court, judge, jurors } = fixture;
+  await (await createCase(court, judge)).wait();
+  const caseId = 0n;
+  const panel = jurors.slice(0, PANEL_SIZE);
+  await (await court.connect(judge).authorizeJurors(caseId, panel.map((juror) => juror.address))).wait();
+  return { ...fixture, caseId, panel };
+}
+
+/** The panel has voted PANEL_VOTES and the judge has closed voting. */
+async function votedCase(options) {
+  const fixture = await openCase(options);
+  const { court, judge, caseId, panel } = fixture;
+  for (const [i, juror] of panel.entries()) {
+    await (await castVote(court, juror, caseId, PANEL_VOTES[i])).wait();
+  }
+  await (await court.connect(judge).endVoting(caseId)).wait();
+  return { ...fixture, votes: PANEL_VOTES };
+}
+
+async function decryptionRequested(options) {
+  const fixture = await votedCase(options);
+  const { court, judge, caseId } = fixture;
+  const receipt = await (await court.connect(judge).requestDecryption(caseId)).wait();
+  const { requestId, deadline } = receipt.logs
+    .map((log) => court.interface.parseLog(log))
+    .find((event) => event && event.name === "DecryptionRequested").args;
+  return { ...fixture, requestId, deadline };
+}
+
+/** The owner, acting as the Gateway, has answered with the correct tally. */
+async function revealedCase(options) {
+  const fixture = await decryptionRequested(options);
+  const { court, owner, caseId, requestId } = fixture;
+  const args = await gatewayCallbackArgs(court, caseId, requestId, owner);
+  await (await court.connect(owner).decryptionCallback(...args)).wait();
+  return fixture;
+}
+
+/** The Gateway never answered; the deadline passed and refunds are enabled. */
+async function timedOutCase(options) {
+  const fixture = await decryptionRequested(options);
+  const { court, outsider, caseId } = fixture;
+  await increaseTime((await court.DECRYPTION_TIMEOUT()) + 1n);
+  await (await court.connect(outsider).handleDecryptionTimeout(caseId)).wait();
+  return fixture;
+}
+
+/**
+ * Wraps a stage in loadFixture: the first call builds it, later calls revert the
+ * chain to a snapshot taken after that build. loadFixture keys on function
+ * identity and rejects anonymous functions, so every contractName gets its own
+ * named wrapper.
+ */
+function stageFixture(build) {
+  const fixtures = new Map();
+  return function ({ contractName = "DigitalCourt" } = {}) {
+    if (!fixtures.has(contractName)) {
+      const name = `${build.name}For${contractName}`;
+      fixtures.set(contractName, { [name]: () => build({ contractName }) }[name]);
+    }
+    return loadFixture(fixtures.get(contractName));
+  };
+}
+
+const certifiedCourtFixture = stageFixture(certifiedCourt);
+const openCaseFixture = stageFixture(openCase);
+const votedCaseFixture = stageFixture(votedCase);
+const decryptionRequestedFixture = stageFixture(decryptionRequested);
+const revealedCaseFixture = stageFixture(revealedCase);
+const timedOutCaseFixture = stageFixture(timedOutCase);
+
+module.exports = {
+  NOT_GUILTY,
+  GUILTY,
+  JUROR_POOL_SIZE,
+  PANEL_SIZE,
+  PANEL_VOTES,
+  DEFAULT_CASE,
+  increaseTime,
+  deployCourt,
+  createCase,
+  encryptVote,
+  castVote,
+  gatewayCallbackArgs,
+  certifiedCourtFixture,
+  openCaseFixture,
+  votedCaseFixture,
+  decryptionRequestedFixture,
+  revealedCaseFixture,
+  timedOutCaseFixture,
+};
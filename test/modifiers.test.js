@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const {
+  GUILTY,
+  increaseTime,
+  deployCourt,
+  encryptVote,
+  castVote,
+  openCaseFixture,
+  decryptionRequestedFixture,
+  revealedCaseFixture,
+} = require("./fixtures");
+
+describe("DigitalCourt modifiers", function () {
+  describe("validCase", function () {
+    const MISSING_CASE = 7n;
+    let court, owner, judge, juror;
+
+    beforeEach(async function () {
+      ({ court, owner, judge, accounts: [juror] } = await deployCourt());
+    });
+
+    // Every entry point taking a caseId, called on a case that was never created
+    const guarded = {
+      authorizeJuror: () => court.connect(judge).authorizeJuror(MISSING_CASE, juror.address),
+      authorizeJurors: () => court.connect(judge).authorizeJurors(MISSING_CASE, [juror.address]),
+      castPrivateVote: async () => {
+        const { encryptedVote, commitment } = await encryptVote(court, juror, MISSING_CASE, GUILTY);
+        return court.connect(juror).castPrivateVote(MISSING_CASE, encryptedVote, commitment);
+      },
+      endVoting: () => court.connect(judge).endVoting(MISSING_CASE),
+      requestDecryption: () => court.connect(judge).requestDecryption(MISSING_CASE),
+      handleDecryptionTimeout: () => court.connect(owner).handleDecryptionTimeout(MISSING_CASE),
+      processRefund: () => court.connect(juror).processRefund(MISSING_CASE, ethers.ZeroAddress),
+      getCaseInfo: () => court.getCaseInfo(MISSING_CASE),
+      hasVoted: () => court.hasVoted(MISSING_CASE, juror.address),
+      isAuthorizedJuror: () => court.isAuthorizedJuror(MISSING_CASE, juror.address),
+      getRevealedResults: () => court.getRevealedResults(MISSING_CASE),
+      getDecryptionStatus: () => court.getDecryptionStatus(MISSING_CASE),
+    };
+
+    for (const [name, call] of Object.entries(guarded)) {
+      it(`rejects ${name} on a case that does not exist`, async function () {
+        await expect(call()).to.be.revertedWith("Invalid case ID");
+      });
+    }
+
+    it("accepts the last created case and rejects the next id", async function () {
+      await court.connect(judge).createCase("Title", "Description", "", 3);
+      await expect(court.getCaseInfo(0)).not.to.be.reverted;
+      await expect(court.getCaseInfo(1)).to.be.revertedWith("Invalid case ID");
+    });
+  });
+
+  describe("onlyOwner", function () {
+    it("limits certification to the owner", async function () {
+      const { court, judge, accounts: [juror] } = await deployCourt();
+      await expect(court.connect(judge).certifyJuror(juror.address))
+        .to.be.revertedWithCustomError(court, "OwnableUnauthorizedAccount")
+        .withArgs(judge.address);
+      await expect(court.connect(judge).certifyJurors([juror.address]))
+        .to.be.revertedWithCustomError(court, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("onlyJudge", function () {
+    it("limits juror authorization to the case judge", async function () {
+      const { court, owner, caseId, jurors } = await openCaseFixture();
+      const candidate = jurors[3];
+      await expect(court.connect(owner).authorizeJuror(caseId, candidate.address))
+        .to.be.revertedWith("Only case judge can perform this action");
+      await expect(court.connect(candidate).authorizeJurors(caseId, [candidate.address]))
+        .to.be.revertedWith("Only case judge can perform this action");
+    });
+
+    it("limits decryption requests to the case judge", async function () {
+      const { court, judge, owner, caseId, panel } = await openCaseFixture();
+      for (const juror of panel) await castVote(court, juror, caseId, GUILTY);
+      await court.connect(judge).endVoting(caseId);
+      await expect(court.connect(owner).requestDecryption(caseId))
+        .to.be.revertedWith("Only case judge can perform this action");
+    });
+
+    it("binds the judge per case", async function () {
+      const { court, caseId, jurors, outsider } = await openCaseFixture();
+      await court.connect(outsider).createCase("Second", "Filed by another judge", "", 3);
+      await expect(court.connect(outsider).authorizeJuror(caseId, jurors[3].address))
+        .to.be.revertedWith("Only case judge can perform this action");
+      await expect(court.connect(outsider).authorizeJuror(1, jurors[3].address))
+        .to.emit(court, "JurorAuthorized")
+        .withArgs(1, jurors[3].address);
+    });
+  });
+
+  describe("onlyAuthorizedJuror", function () {
+    it("rejects certified jurors who are not on the panel", async function () {
+      const { court, caseId, jurors } = await openCaseFixture();
+      await expect(castVote(court, jurors[3], caseId, GUILTY))
+        .to.be.revertedWith("Not authorized juror for this case");
+    });
+
+    it("rejects uncertified accounts", async function () {
+      const { court, caseId, outsider } = await openCaseFixture();
+      await expect(castVote(court, outsider, caseId, GUILTY))
+        .to.be.revertedWith("Not authorized juror for this case");
+    });
+
+    it("does not carry authorization over to other cases", async function () {
+      const { court, judge, panel } = await openCaseFixture();
+      await court.connect(judge).createCase("Second", "Another case", "", 3);
+      await expect(castVote(court, panel[0], 1, GUILTY))
+        .to.be.revertedWith("Not authorized juror for this case");
+    });
+  });
+
+  describe("votingActive", function () {
+    it("accepts votes until endTime", async function () {
+      const { court, caseId, panel } = await openCaseFixture();
+      const { endTime } = await court.getCaseInfo(caseId);
+      await network.provider.send("evm_setNextBlockTimestamp", [Number(endTime)]);
+      await expect(castVote(court, panel[0], caseId, GUILTY)).to.emit(court, "VoteCast");
+    });
+
+    it("rejects votes after endTime", async function () {
+      const { court, caseId, panel } = await openCaseFixture();
+      await increaseTime((await court.VOTING_DURATION()) + 1n);
+      await expect(castVote(court, panel[0], caseId, GUILTY)).to.be.revertedWith("Voting ended");
+    });
+
+    it("rejects votes once the case is closed", async function () {
+      const { court, judge, caseId, panel } = await openCaseFixture();
+      await court.connect(judge).endVoting(caseId);
+      await expect(castVote(court, panel[0], caseId, GUILTY)).to.be.revertedWith("Case not active");
+    });
+  });
+
+  describe("notTimedOut", function () {
+    const options = { contractName: "DigitalCourtHarness" };
+
+    it("passes before decryption is requested", async function () {
+      const { court, caseId } = await openCaseFixture(options);
+      await increaseTime((await court.VOTING_DURATION()) + (await court.DECRYPTION_TIMEOUT()));
+      expect(await court.checkNotTimedOut(caseId)).to.equal(true);
+    });
+
+    it("passes while the Gateway deadline has not passed", async function () {
+      const { court, caseId } = await decryptionRequestedFixture(options);
+      expect(await court.checkNotTimedOut(caseId)).to.equal(true);
+    });
+
+    it("reverts once the deadline passes without a reveal", async function () {
+      const { court, caseId } = await decryptionRequestedFixture(options);
+      await increaseTime((await court.DECRYPTION_TIMEOUT()) + 1n);
+      await expect(court.checkNotTimedOut(caseId)).to.be.revertedWith("Decryption timeout exceeded");
+    });
+
+    it("passes after the deadline once results are revealed", async function () {
+      const { court, caseId } = await revealedCaseFixture(options);
+      await increaseTime((await court.DECRYPTION_TIMEOUT()) + 1n);
+      expect(await court.checkNotTimedOut(caseId)).to.equal(true);
+    });
+
+    it("checks the case id first", async function () {
+      const { court } = await deployCourt(options);
+      await expect(court.checkNotTimedOut(0)).to.be.revertedWith("Invalid case ID");
+    });
+  });
+});
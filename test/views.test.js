@@ -0,0 +1,43 @@
+const { expect } = require("chai");
+const { createCase, certifiedCourtFixture, decryptionRequestedFixture, revealedCaseFixture } = require("./fixtures");
+
+describe("View functions", function () {
+  describe("getCases", function () {
+    it("pages through cases and clamps to caseCount", async function () {
+      const { court, judge } = await certifiedCourtFixture();
+      for (const title of ["First", "Second", "Third"]) await createCase(court, judge, { title });
+      await court.connect(judge).endVoting(1);
+
+      const page = await court.getCases(1, 5);
+      expect(page.caseIds).to.deep.equal([1n, 2n]);
+      expect(page.titles).to.deep.equal(["Second", "Third"]);
+      expect(page.activeStates).to.deep.equal([false, true]);
+      expect(page.revealedStates).to.deep.equal([false, false]);
+    });
+
+    it("returns empty lists past the last case", async function () {
+      const { court, judge } = await certifiedCourtFixture();
+      await createCase(court, judge);
+      const page = await court.getCases(4, 2);
+      expect(page.caseIds).to.deep.equal([]);
+      expect(page.titles).to.deep.equal([]);
+    });
+  });
+
+  describe("getRevealedResults", function () {
+    it("rejects reads before the reveal", async function () {
+      const { court, caseId } = await decryptionRequestedFixture();
+      await expect(court.getRevealedResults(caseId)).to.be.revertedWith("Results not revealed yet");
+    });
+
+    it("matches getCaseInfo after the reveal", async function () {
+      const { court, caseId } = await revealedCaseFixture();
+      const info = await court.getCaseInfo(caseId);
+      const results = await court.getRevealedResults(caseId);
+      expect(info.revealed).to.equal(true);
+      expect(info.verdict).to.equal(results.verdict);
+      expect(info.jurorCount).to.equal(results.totalJurors);
+      expect((await court.getCases(0, 1)).revealedStates).to.deep.equal([true]);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { readJurorVoteField, readCaseJurors } = require("../lib/courtStorage");
+const {
+  GUILTY,
+  NOT_GUILTY,
+  increaseTime,
+  createCase,
+  encryptVote,
+  castVote,
+  certifiedCourtFixture,
+  openCaseFixture,
+} = require("./fixtures");
+
+describe("Voting", function () {
+  describe("castPrivateVote", function () {
+    it("records the encrypted vote and its commitment", async function () {
+      const { court, caseId, panel } = await openCaseFixture();
+      const [juror] = panel;
+      const { encryptedVote, commitment } = await encryptVote(court, juror, caseId, GUILTY);
+
+      const tx = await court.connect(juror).castPrivateVote(caseId, encryptedVote, commitment);
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      await expect(tx).to.emit(court, "VoteCast").withArgs(caseId, juror.address, timestamp);
+
+      expect(await court.hasVoted(caseId, juror.address)).to.equal(true);
+      expect((await court.getCaseInfo(caseId)).jurorCount).to.equal(1n);
+      expect(await readJurorVoteField(court, caseId, juror.address, "encryptedVote")).to.equal(encryptedVote);
+      expect(await readJurorVoteField(court, caseId, juror.address, "commitment")).to.equal(commitment);
+    });
+
+    it("lists jurors in voting order", async function () {
+      const { court, caseId, panel } = await openCaseFixture();
+      for (const juror of [...panel].reverse()) await castVote(court, juror, caseId, NOT_GUILTY);
+      expect(await readCaseJurors(court, caseId)).to.deep.equal([...panel].reverse().map((juror) => juror.address));
+    });
+
+    it("rejects a second vote from the same juror", async function () {
+      const { court, caseId, panel } = await openCaseFixture();
+      await castVote(court, panel[0], caseId, GUILTY);
+      await expect(castVote(court, panel[0], caseId, NOT_GUILTY)).to.be.revertedWith("Already voted");
+      expect((await court.getCaseInfo(caseId)).jurorCount).to.equal(1n);
+    });
+
+    it("rejects an empty encrypted vote or commitment", async function () {
+      const { court, caseId, panel } = await openCaseFixture();
+      const [juror] = panel;
+      const { encryptedVote, commitment } = await encryptVote(court, juror, caseId, GUILTY);
+      await expect(court.connect(juror).castPrivateVote(caseId, ethers.ZeroHash, commitment))
+        .to.be.revertedWith("Invalid encrypted vote");
+      await expect(court.connect(juror).castPrivateVote(caseId, encryptedVote, ethers.ZeroHash))
+        .to.be.revertedWith("Invalid commitment");
+    });
+  });
+
+  describe("endVoting", function () {
+    it("lets the judge close voting at any time", async function () {
+      const { court, judge, caseId } = await openCaseFixture();
+      await court.connect(judge).endVoting(caseId);
+      expect((await court.getCaseInfo(caseId)).active).to.equal(false);
+    });
+
+    it("rejects anyone else before endTime while the panel is incomplete", async function () {
+      const { court, caseId, panel, outsider } = await openCaseFixture();
+      await castVote(court, panel[0], caseId, GUILTY);
+      await expect(court.connect(outsider).endVoting(caseId)).to.be.revertedWith("Cannot end voting yet");
+      await expect(court.connect(panel[0]).endVoting(caseId)).to.be.revertedWith("Cannot end voting yet");
+    });
+
+    it("lets anyone close voting once requiredJurors have voted", async function () {
+      const { court, caseId, panel, outsider } = await openCaseFixture();
+      for (const juror of panel) await castVote(court, juror, caseId, GUILTY);
+      await court.connect(outsider).endVoting(caseId);
+      expect((await court.getCaseInfo(caseId)).active).to.equal(false);
+    });
+
+    it("lets anyone close voting after endTime", async function () {
+      const { court, caseId, outsider } = await openCaseFixture();
+      await increaseTime((await court.VOTING_DURATION()) + 1n);
+      await court.connect(outsider).endVoting(caseId);
+      expect((await court.getCaseInfo(caseId)).active).to.equal(false);
+    });
+
+    it("rejects closing a case twice", async function () {
+      const { court, judge, caseId } = await openCaseFixture();
+      await court.connect(judge).endVoting(caseId);
+      await expect(court.connect(judge).endVoting(caseId)).to.be.revertedWith("Case not active");
+    });
+
+    it("closes one case without touching the others", async function () {
+      const { court, judge } = await certifiedCourtFixture();
+      await createCase(court, judge);
+      await createCase(court, judge, { title: "Second" });
+      await court.connect(judge).endVoting(0);
+      expect((await court.getCaseInfo(0)).active).to.equal(false);
+      expect((await court.getCaseInfo(1)).active).to.equal(true);
+    });
+  });
+});